@@ -17,6 +17,15 @@ exports.Scan = require('./lib/scan');
 exports.Result = require('./lib/result');
 exports.Client = require('./lib/client');
 exports.Delete = require('./lib/delete');
+exports.Increment = require('./lib/increment');
+exports.Append = require('./lib/append');
+exports.RowMutations = require('./lib/row_mutations');
+exports.RowLock = require('./lib/row_lock');
+exports.Admin = require('./lib/admin');
+exports.BufferedMutator = require('./lib/buffered_mutator');
+exports.HTableDescriptor = require('./lib/htable_descriptor');
+exports.HColumnDescriptor = require('./lib/hcolumn_descriptor');
+exports.LongColumnInterpreter = require('./lib/coprocessor/long_column_interpreter');
 exports.filters = require('./lib/filters');
 
 exports.create = exports.Client.create;
@@ -34,5 +34,37 @@ Action.prototype.write = function (out) {
   HbaseObjectWritable.writeObject(out, this.result, this.result ? this.result.constructor : 'Writable.class');
 };
 
+/**
+ * Estimated size of the row operation in a request, the row and its KeyValues or columns.
+ *
+ * @param {Row} row, Get, Put, Delete, Increment, Append or RowMutations
+ * @return {Number}
+ */
+Action.estimateSize = function (row) {
+  var size = 0;
+  if (Array.isArray(row.mutations)) {
+    // RowMutations
+    for (var i = 0; i < row.mutations.length; i++) {
+      size += Action.estimateSize(row.mutations[i]);
+    }
+    return size;
+  }
+  size = row.getRow().length;
+  for (var family in row.familyMap) {
+    var items = row.familyMap[family] || [];
+    for (var j = 0; j < items.length; j++) {
+      var item = items[j];
+      if (typeof item.getLength === 'function') {
+        // KeyValue of Put, Delete and Append
+        size += item.getLength();
+      } else {
+        // qualifier of Get, {qualifier, amount} of Increment
+        size += family.length + (item.qualifier || item).length;
+      }
+    }
+  }
+  return size;
+};
+
 
 module.exports = Action;
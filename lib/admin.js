@@ -0,0 +1,494 @@
+/**!
+ * node-hbase-client - lib/admin.js
+ *
+ * Copyright(c) Alibaba Group Holding Limited.
+ * MIT Licensed
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+
+var debug = require('debug')('hbase:admin');
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+var Connection = require('./connection');
+var HConstants = require('./hconstants');
+var HbaseObjectWritable = require('./io/hbase_object_writable');
+var HTableDescriptor = require('./htable_descriptor');
+var HColumnDescriptor = require('./hcolumn_descriptor');
+var errors = require('./errors');
+var Bytes = require('./util/bytes');
+var promise = require('./util/promise');
+
+/**
+ * Multiplier of the client retries for the operations which take long,
+ * e.g.: waiting for a table to be enabled.
+ */
+var RETRY_LONGER_MULTIPLIER = 10;
+
+/**
+ * Provides an interface to manage HBase database table metadata + general
+ * administrative functions. Use Admin to create, drop, enable and disable
+ * tables. Use it also to add and drop table column families.
+ * <p>
+ * It talks to the active master by `HMasterInterface`, the master address
+ * is read from the ZooKeeper `/master` node.
+ *
+ * @param {Client} client
+ * @param {Object} [options]
+ *  - {Number} pause, ms to wait between the checks of the table state, default is 1000 ms
+ *  - {Number} numRetries, max times to check the table state, default is `client.numRetries * 10`
+ */
+function Admin(client, options) {
+  if (!(this instanceof Admin)) {
+    return new Admin(client, options);
+  }
+  EventEmitter.call(this);
+  options = options || {};
+  this.client = client;
+  this.pause = options.pause || HConstants.DEFAULT_HBASE_CLIENT_PAUSE;
+  this.numRetries = options.numRetries || client.numRetries * RETRY_LONGER_MULTIPLIER;
+  this.masterZKPath = options.masterZKPath || '/master';
+  this.tableZKPath = options.tableZKPath || '/table';
+  this.master = null;
+}
+
+util.inherits(Admin, EventEmitter);
+
+/**
+ * Get the master address from ZooKeeper.
+ *
+ * @param {Function(err, address)} callback
+ *  - {Object} address, `{hostname, port, startcode, servername}`
+ */
+Admin.prototype.getMasterAddress = function (callback) {
+  var self = this;
+  var client = self.client;
+  client.ensureZookeeperTrackers(function (err) {
+    if (err) {
+      return callback(err);
+    }
+    client.zk.get(self.masterZKPath, function (err, data) {
+      if (err) {
+        if (err.name === 'NO_NODE') {
+          err = new errors.MasterNotRunningException(
+            'ZooKeeper available but no active master location found');
+        }
+        return callback(err);
+      }
+      callback(null, parseMasterAddress(client, data));
+    });
+  });
+};
+
+function removeMetaData(data) {
+  // lazy require, client requires admin
+  return require('./client').removeMetaData(data);
+}
+
+/**
+ * The master znode holds `ServerName.getVersionedBytes()`:
+ * `<version: short 0><hostname,port,startcode>`
+ */
+function parseMasterAddress(client, data) {
+  data = removeMetaData(data);
+  if (data && data.length > 2 && data[0] === 0 && data[1] === 0) {
+    data = data.slice(2);
+  }
+  return client.createServerName(data);
+}
+Admin.parseMasterAddress = parseMasterAddress;
+
+/**
+ * Get the connection of the active master.
+ *
+ * @param {Function(err, master)} callback
+ *  - {Connection} master
+ */
+Admin.prototype.getMaster = function (callback) {
+  var self = this;
+  if (self.master && self.master.state === 'ready') {
+    return callback(null, self.master);
+  }
+
+  self.once('master', callback);
+  if (self._connectingMaster) {
+    return;
+  }
+  self._connectingMaster = true;
+
+  var done = function (err, master) {
+    self._connectingMaster = false;
+    self.master = err ? null : master;
+    self.emit('master', err, master);
+  };
+
+  self.getMasterAddress(function (err, address) {
+    if (err) {
+      return done(err);
+    }
+
+    var client = self.client;
+    var name = address.hostname + ':' + address.port;
+    var master = new Connection({
+      host: address.hostname,
+      port: address.port,
+      protocol: HConstants.MASTER_PROTOCOL,
+      rpcTimeout: client.rpcTimeout,
+      logger: client.logger,
+    });
+
+    var handleConnectionError = function (err) {
+      clearTimeout(timer);
+      // avoid 'close' and 'connect' event emit.
+      master.removeAllListeners();
+      master.close();
+      debug(err.message);
+      done(err);
+    };
+
+    // handle connect timeout
+    var timer = setTimeout(function () {
+      handleConnectionError(new errors.ConnectionConnectTimeoutException(
+        'master ' + name + ' connect timeout, ' + client.rpcTimeout + ' ms'));
+    }, client.rpcTimeout);
+
+    master.once('connect', function () {
+      clearTimeout(timer);
+      master.getProtocolVersion(HConstants.MASTER_PROTOCOL, HConstants.MASTER_VERSION, function (err, version) {
+        if (err) {
+          master.removeAllListeners();
+          master.close();
+          return done(err);
+        }
+        debug('master %s connected, protocol version: %s', name, version);
+        master.state = 'ready';
+        done(null, master);
+      });
+    });
+    master.once('connectError', handleConnectionError);
+    master.once('close', function () {
+      if (self.master === master) {
+        self.master = null;
+      }
+      debug('master %s closed', name);
+    });
+  });
+};
+
+/**
+ * Call `method` of HMasterInterface.
+ *
+ * @param {String} method
+ * @param {Array} params
+ * @param {Function(err, value)} callback
+ * @api private
+ */
+Admin.prototype._call = function (method, params, callback) {
+  this.getMaster(function (err, master) {
+    if (err) {
+      return callback(err);
+    }
+    master.call(method, params, callback);
+  });
+};
+
+/**
+ * @param {Function(err, running)} callback
+ *  - {Boolean} running, true if the master is running
+ */
+Admin.prototype.isMasterRunning = function (callback) {
+  this._call('isMasterRunning', [], callback);
+};
+
+/**
+ * Creates a new table with an optional set of split keys to create the
+ * table with initial regions.
+ * Waits until the table is created and all its regions are online.
+ *
+ * @param {HTableDescriptor} desc table descriptor for table
+ * @param {Array} [splitKeys] array of split keys for the initial regions of the table
+ * @param {Function(err)} callback
+ */
+Admin.prototype.createTable = function (desc, splitKeys, callback) {
+  if (typeof splitKeys === 'function') {
+    callback = splitKeys;
+    splitKeys = null;
+  }
+  var self = this;
+  self.createTableAsync(desc, splitKeys, function (err) {
+    if (err) {
+      return callback(err);
+    }
+    self._waitTableState(desc.getName(), 'ENABLED', "Table '" + desc.getNameAsString() +
+      "' not yet enabled", callback);
+  });
+};
+
+/**
+ * Creates a new table but does not block and wait for it to come online.
+ *
+ * @param {HTableDescriptor} desc table descriptor for table
+ * @param {Array} [splitKeys] array of split keys for the initial regions of the table
+ * @param {Function(err)} callback
+ */
+Admin.prototype.createTableAsync = function (desc, splitKeys, callback) {
+  if (typeof splitKeys === 'function') {
+    callback = splitKeys;
+    splitKeys = null;
+  }
+  if (!(desc instanceof HTableDescriptor)) {
+    return callback(new errors.IllegalArgumentException('HTableDescriptor is required'));
+  }
+  if (desc.getFamilies().length === 0) {
+    return callback(new errors.IllegalArgumentException('Table ' + desc.getNameAsString() +
+      ' should have at least one column family'));
+  }
+
+  var keys = null;
+  if (splitKeys && splitKeys.length > 0) {
+    keys = splitKeys.map(function (key) {
+      return Bytes.toBytes(key);
+    }).sort(Bytes.compareTo);
+    // Verify there are no duplicate split keys
+    for (var i = 0; i < keys.length; i++) {
+      if (keys[i].length === 0) {
+        return callback(new errors.IllegalArgumentException(
+          'Empty split key must not be passed in the split keys.'));
+      }
+      if (i > 0 && Bytes.equals(keys[i - 1], keys[i])) {
+        return callback(new errors.IllegalArgumentException(
+          'All split keys must be unique, found duplicate: ' + Bytes.toStringBinary(keys[i]) +
+          ', ' + Bytes.toStringBinary(keys[i - 1])));
+      }
+    }
+  }
+
+  var params = [desc, keys || new HbaseObjectWritable.NullInstance('byte[][].class')];
+  this._call('createTable', params, function (err) {
+    callback(err);
+  });
+};
+
+/**
+ * Deletes a table. The table must be disabled first.
+ * Waits until the table is removed.
+ *
+ * @param {String|Buffer} tableName name of table to delete
+ * @param {Function(err)} callback
+ */
+Admin.prototype.deleteTable = function (tableName, callback) {
+  var self = this;
+  tableName = Bytes.toBytes(tableName);
+  self._call('deleteTable', [tableName], function (err) {
+    if (err) {
+      return callback(err);
+    }
+    var message = 'Retries exhausted, it took too long to wait for the table ' +
+      Bytes.toString(tableName) + ' to be deleted';
+    self._waitTableState(tableName, null, message, function (err) {
+      // Delete cached information to prevent clients from using old locations
+      self.client.clearRegionCache(tableName);
+      callback(err);
+    });
+  });
+};
+
+/**
+ * Enable a table. May timeout if the table takes too long to come online.
+ *
+ * @param {String|Buffer} tableName name of the table
+ * @param {Function(err)} callback
+ */
+Admin.prototype.enableTable = function (tableName, callback) {
+  var self = this;
+  tableName = Bytes.toBytes(tableName);
+  self._call('enableTable', [tableName], function (err) {
+    if (err) {
+      return callback(err);
+    }
+    self._waitTableState(tableName, 'ENABLED', 'Unable to enable table ' + Bytes.toString(tableName), callback);
+  });
+};
+
+/**
+ * Disable a table. Waits until the table is disabled.
+ *
+ * @param {String|Buffer} tableName name of the table
+ * @param {Function(err)} callback
+ */
+Admin.prototype.disableTable = function (tableName, callback) {
+  var self = this;
+  tableName = Bytes.toBytes(tableName);
+  self._call('disableTable', [tableName], function (err) {
+    if (err) {
+      return callback(err);
+    }
+    self._waitTableState(tableName, 'DISABLED', 'Unable to disable table ' + Bytes.toString(tableName), callback);
+  });
+};
+
+/**
+ * @param {String|Buffer} tableName name of table to check
+ * @param {Function(err, enabled)} callback
+ *  - {Boolean} enabled, true if table is on-line
+ */
+Admin.prototype.isTableEnabled = function (tableName, callback) {
+  this._getTableState(Bytes.toBytes(tableName), function (err, state) {
+    callback(err, state === 'ENABLED');
+  });
+};
+
+/**
+ * @param {String|Buffer} tableName name of table to check
+ * @param {Function(err, disabled)} callback
+ *  - {Boolean} disabled, true if table is off-line
+ */
+Admin.prototype.isTableDisabled = function (tableName, callback) {
+  this._getTableState(Bytes.toBytes(tableName), function (err, state) {
+    callback(err, state === 'DISABLED');
+  });
+};
+
+/**
+ * Add a column to an existing table.
+ *
+ * @param {String|Buffer} tableName name of the table to add column to
+ * @param {HColumnDescriptor} column column descriptor of column to be added
+ * @param {Function(err)} callback
+ */
+Admin.prototype.addColumn = function (tableName, column, callback) {
+  if (!(column instanceof HColumnDescriptor)) {
+    return callback(new errors.IllegalArgumentException('HColumnDescriptor is required'));
+  }
+  this._call('addColumn', [Bytes.toBytes(tableName), column], function (err) {
+    callback(err);
+  });
+};
+
+/**
+ * Delete a column from a table.
+ *
+ * @param {String|Buffer} tableName name of table
+ * @param {String|Buffer} columnName name of column to be deleted
+ * @param {Function(err)} callback
+ */
+Admin.prototype.deleteColumn = function (tableName, columnName, callback) {
+  this._call('deleteColumn', [Bytes.toBytes(tableName), Bytes.toBytes(columnName)], function (err) {
+    callback(err);
+  });
+};
+
+/**
+ * Modify an existing column family on a table.
+ *
+ * @param {String|Buffer} tableName name of table
+ * @param {HColumnDescriptor} descriptor new column descriptor to use
+ * @param {Function(err)} callback
+ */
+Admin.prototype.modifyColumn = function (tableName, descriptor, callback) {
+  if (!(descriptor instanceof HColumnDescriptor)) {
+    return callback(new errors.IllegalArgumentException('HColumnDescriptor is required'));
+  }
+  this._call('modifyColumn', [Bytes.toBytes(tableName), descriptor], function (err) {
+    callback(err);
+  });
+};
+
+/**
+ * Modify an existing table, more IRB friendly version.
+ * Asynchronous operation. This means that it may be a while before your
+ * schema change is updated across all of the table.
+ *
+ * @param {String|Buffer} tableName name of table.
+ * @param {HTableDescriptor} htd modified description of the table
+ * @param {Function(err)} callback
+ */
+Admin.prototype.modifyTable = function (tableName, htd, callback) {
+  if (!(htd instanceof HTableDescriptor)) {
+    return callback(new errors.IllegalArgumentException('HTableDescriptor is required'));
+  }
+  this._call('modifyTable', [Bytes.toBytes(tableName), htd], function (err) {
+    callback(err);
+  });
+};
+
+/**
+ * Close the master connection.
+ */
+Admin.prototype.close = function () {
+  if (this.master) {
+    this.master.close();
+    this.master = null;
+  }
+};
+
+/**
+ * Read the table state from ZooKeeper `/table/<tableName>`.
+ *
+ * @param {Buffer} tableName
+ * @param {Function(err, state)} callback
+ *  - {String} state, 'ENABLED', 'DISABLED', 'ENABLING', 'DISABLING' or null if no state
+ * @api private
+ */
+Admin.prototype._getTableState = function (tableName, callback) {
+  var self = this;
+  var client = self.client;
+  client.ensureZookeeperTrackers(function (err) {
+    if (err) {
+      return callback(err);
+    }
+    client.zk.get(self.tableZKPath + '/' + Bytes.toString(tableName), function (err, data) {
+      if (err) {
+        return callback(err.name === 'NO_NODE' ? null : err, null);
+      }
+      data = removeMetaData(data);
+      callback(null, data && data.length > 0 ? Bytes.toString(data) : null);
+    });
+  });
+};
+
+/**
+ * Wait until the table state is `expected`.
+ *
+ * @param {Buffer} tableName
+ * @param {String} expected, null means the table is deleted
+ * @param {String} message, error message when retries exhausted
+ * @param {Function(err)} callback
+ * @api private
+ */
+Admin.prototype._waitTableState = function (tableName, expected, message, callback) {
+  var self = this;
+  var tries = 0;
+  var check = function () {
+    self._getTableState(tableName, function (err, state) {
+      if (err) {
+        return callback(err);
+      }
+      if (state === expected) {
+        return callback();
+      }
+      tries++;
+      debug('[%s] %d: table state %s, waiting for %s', Bytes.toString(tableName), tries, state, expected);
+      if (tries >= self.numRetries) {
+        return callback(new errors.IOException(message + ', state is ' + state + ' after ' +
+          (tries * self.pause) + 'ms.'));
+      }
+      setTimeout(check, self.pause);
+    });
+  };
+  check();
+};
+
+promise.promisifyMethods(Admin.prototype, [
+  'getMasterAddress', 'getMaster', 'isMasterRunning',
+  'createTable', 'createTableAsync', 'deleteTable', 'enableTable', 'disableTable',
+  'isTableEnabled', 'isTableDisabled',
+  'addColumn', 'deleteColumn', 'modifyColumn', 'modifyTable'
+]);
+
+
+module.exports = Admin;
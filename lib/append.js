@@ -0,0 +1,106 @@
+/**!
+ * node-hbase-client - lib/append.js
+ *
+ * Copyright(c) Alibaba Group Holding Limited.
+ * MIT Licensed
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+
+var util = require('util');
+var errors = require('./errors');
+var Bytes = require('./util/bytes');
+var OperationWithAttributes = require('./operation_with_attributes');
+var HConstants = require('./hconstants');
+var Put = require('./put');
+
+var APPEND_VERSION = 1;
+var RETURN_RESULTS = '_rr_';
+var TRUE_BYTES = new Buffer([0xff]);
+var FALSE_BYTES = new Buffer([0x00]);
+
+/**
+ * Performs Append operations on a single row.
+ * <p>
+ * Note that this operation does not appear atomic to readers. Appends are done
+ * under a single row lock, so write operations to a row are synchronized, but
+ * readers do not take row locks so get and scan operations can see this
+ * operation partially completed.
+ * <p>
+ * To append to a set of columns of a single row, instantiate an Append object
+ * with the row to append to. At least one column to append must be specified
+ * using the {@link #add(byte[], byte[], byte[])} method.
+ *
+ * @param row row to append to
+ * @param rowLock previously acquired row lock, or null
+ */
+function Append(row, rowLock) {
+  OperationWithAttributes.call(this);
+
+  if (row && !Buffer.isBuffer(row)) {
+    row = Bytes.toBytes(row);
+  }
+  if (row === null || row.length > HConstants.MAX_ROW_LENGTH) {
+    throw new errors.IllegalArgumentException("Row key is invalid");
+  }
+
+  this.row = row;
+  this.ts = HConstants.LATEST_TIMESTAMP;
+  this.lockId = -1;
+  if (rowLock) {
+    this.lockId = rowLock.getLockId();
+    this.rowLock = rowLock;
+  }
+  this.familyMap = {};
+  this.writeToWAL = true;
+}
+
+util.inherits(Append, OperationWithAttributes);
+
+/**
+ * Add the specified column and value to this Append operation.
+ *
+ * @param family family name
+ * @param qualifier column qualifier
+ * @param value value to append to specified column
+ * @return this
+ */
+Append.prototype.add = Put.prototype.add;
+Append.prototype.createPutKeyValue = Put.prototype.createPutKeyValue;
+Append.prototype.getKeyValueList = Put.prototype.getKeyValueList;
+Append.prototype.getRow = Put.prototype.getRow;
+Append.prototype.write = Put.prototype.write;
+
+/**
+ * @param {Boolean} returnResults
+ *          True (default) if the append operation should return the results.
+ *          A client that is not interested in the result can save network
+ *          bandwidth setting this to false.
+ * @return this
+ */
+Append.prototype.setReturnResults = function (returnResults) {
+  this.setAttribute(RETURN_RESULTS, returnResults ? TRUE_BYTES : FALSE_BYTES);
+  return this;
+};
+
+/**
+ * @return current setting for returnResults
+ */
+Append.prototype.isReturnResults = function () {
+  var v = this.getAttribute(RETURN_RESULTS);
+  return v ? v[0] !== 0 : true;
+};
+
+/**
+ * @return the Writable version of this operation
+ */
+Append.prototype.getVersion = function () {
+  return APPEND_VERSION;
+};
+
+
+module.exports = Append;
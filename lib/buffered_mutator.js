@@ -0,0 +1,200 @@
+/**!
+ * node-hbase-client - lib/buffered_mutator.js
+ *
+ * Copyright(c) Alibaba Group Holding Limited.
+ * MIT Licensed
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+
+var debug = require('debug')('hbase:buffered_mutator');
+var utility = require('utility');
+var HConstants = require('./hconstants');
+var Put = require('./put');
+var Delete = require('./delete');
+var Action = require('./action');
+var errors = require('./errors');
+var promise = require('./util/promise');
+
+/**
+ * Buffers `Put` and `Delete` of one table on the client, like HTable with autoFlush off.
+ * The buffer is sent by `client.processBatch()` when its size reaches `writeBufferSize`,
+ * `flushIntervalMs` after the first buffered mutation, or on `flush()` and `close()`.
+ * <p>
+ * Flushes run one by one, so mutations are sent in the order they were buffered.
+ *
+ * @param {Client} client
+ * @param {String|Buffer} tableName
+ * @param {Object} [options]
+ *  - {Number} writeBufferSize, bytes, default is 2MB
+ *  - {Number} flushIntervalMs, flush the buffered mutations periodically, default is 0, disabled
+ *  - {Function(err, mutation)} onError, called for each failed mutation,
+ *    default logs the error by `client.logger`
+ */
+function BufferedMutator(client, tableName, options) {
+  if (!(this instanceof BufferedMutator)) {
+    return new BufferedMutator(client, tableName, options);
+  }
+  options = options || {};
+  this.client = client;
+  this.tableName = tableName;
+  this.writeBufferSize = options.writeBufferSize || HConstants.DEFAULT_WRITE_BUFFER_SIZE;
+  this.flushIntervalMs = options.flushIntervalMs || 0;
+  this.onError = options.onError || null;
+  this.writeBuffer = [];
+  this.currentWriteBufferSize = 0;
+  this.closed = false;
+  this._flushing = false;
+  // callbacks of the flush() called while flushing
+  this._flushCallbacks = [];
+  this._timer = null;
+}
+
+BufferedMutator.prototype.getName = function () {
+  return this.tableName;
+};
+
+BufferedMutator.prototype.getWriteBufferSize = function () {
+  return this.writeBufferSize;
+};
+
+/**
+ * Buffer mutations, a flush is started when the buffer is full.
+ *
+ * @param {Put|Delete|Array} mutations
+ * @return this for invocation chaining
+ */
+BufferedMutator.prototype.mutate = function (mutations) {
+  if (this.closed) {
+    throw new errors.IOException('Cannot mutate when the BufferedMutator is closed.');
+  }
+  if (!Array.isArray(mutations)) {
+    mutations = [mutations];
+  }
+  for (var i = 0; i < mutations.length; i++) {
+    var mutation = mutations[i];
+    if (!(mutation instanceof Put) && !(mutation instanceof Delete)) {
+      throw new errors.IllegalArgumentException('Mutation must be Put or Delete');
+    }
+    if (mutation instanceof Put && Object.keys(mutation.familyMap).length === 0) {
+      throw new errors.IllegalArgumentException('No columns to insert');
+    }
+  }
+
+  for (i = 0; i < mutations.length; i++) {
+    this.writeBuffer.push(mutations[i]);
+    this.currentWriteBufferSize += Action.estimateSize(mutations[i]);
+  }
+
+  if (this.currentWriteBufferSize >= this.writeBufferSize) {
+    this._backgroundFlush();
+  } else if (this.flushIntervalMs > 0 && !this._timer && this.writeBuffer.length > 0) {
+    this._timer = setTimeout(this._backgroundFlush.bind(this), this.flushIntervalMs);
+  }
+  return this;
+};
+
+// the failed mutations are reported to `onError`
+BufferedMutator.prototype._backgroundFlush = function () {
+  this.flush(utility.noop);
+};
+
+/**
+ * Send all buffered mutations and wait for them.
+ * Called while flushing, it waits for the running flush too and gets its errors as well.
+ *
+ * @param {Function(err)} callback
+ *  - {RetriesExhaustedWithDetailsException} err, `err.exceptions[i]` is the error of `err.actions[i]`
+ */
+BufferedMutator.prototype.flush = function (callback) {
+  if (this._timer) {
+    clearTimeout(this._timer);
+    this._timer = null;
+  }
+  if (this._flushing) {
+    // send the mutations buffered from now on after the running flush
+    this._flushCallbacks.push(callback);
+    return;
+  }
+  if (this.writeBuffer.length === 0) {
+    return utility.setImmediate(callback);
+  }
+
+  var self = this;
+  var list = self.writeBuffer;
+  self.writeBuffer = [];
+  self.currentWriteBufferSize = 0;
+  self._flushing = true;
+  debug('flush %d mutations to table %s', list.length, self.tableName);
+
+  self.client.processBatch(self.tableName, list, true, 0, function (err, results) {
+    results = results || [];
+    var exceptions = [];
+    var actions = [];
+    for (var i = 0; i < list.length; i++) {
+      var result = results[i];
+      if (result instanceof Error || (err && result === undefined)) {
+        exceptions.push(result instanceof Error ? result : err);
+        actions.push(list[i]);
+      }
+    }
+    if (exceptions.length > 0) {
+      self._reportErrors(exceptions, actions);
+      err = new errors.RetriesExhaustedWithDetailsException(exceptions, actions);
+    } else {
+      err = null;
+    }
+
+    self._flushing = false;
+    var callbacks = self._flushCallbacks;
+    self._flushCallbacks = [];
+    if (callbacks.length > 0) {
+      var runningErr = err;
+      self.flush(function (nextErr) {
+        var err = mergeErrors(runningErr, nextErr);
+        for (var i = 0; i < callbacks.length; i++) {
+          callbacks[i](err);
+        }
+      });
+    }
+    callback(err);
+  });
+};
+
+function mergeErrors(err, nextErr) {
+  if (!err || !nextErr) {
+    return err || nextErr || null;
+  }
+  return new errors.RetriesExhaustedWithDetailsException(err.exceptions.concat(nextErr.exceptions),
+    err.actions.concat(nextErr.actions));
+}
+
+BufferedMutator.prototype._reportErrors = function (exceptions, actions) {
+  for (var i = 0; i < exceptions.length; i++) {
+    if (this.onError) {
+      this.onError(exceptions[i], actions[i]);
+    } else {
+      this.client.logger.warn('[%s] [worker:%s] BufferedMutator mutate table %s row %s error: %s',
+        Date(), process.pid, this.tableName, actions[i].getRow().toString(), exceptions[i].message);
+    }
+  }
+};
+
+/**
+ * Flush the buffered mutations and stop accepting new ones.
+ *
+ * @param {Function(err)} callback, see `flush()`
+ */
+BufferedMutator.prototype.close = function (callback) {
+  this.closed = true;
+  this.flush(callback);
+};
+
+promise.promisifyMethods(BufferedMutator.prototype, ['flush', 'close']);
+
+
+module.exports = BufferedMutator;
@@ -29,7 +29,17 @@ var IOException = errors.IOException;
 var Get = require('./get');
 var Put = require('./put');
 var Delete = require('./delete');
-var Scanner = require('./scanner');
+var Increment = require('./increment');
+var Append = require('./append');
+var RowMutations = require('./row_mutations');
+var RowLock = require('./row_lock');
+var Exec = require('./exec');
+var ExecResult = require('./exec_result');
+var AggregationClient = require('./coprocessor/aggregation_client');
+var Admin = require('./admin');
+var BufferedMutator = require('./buffered_mutator');
+var ClientScanner = require('./client_scanner');
+var ScannerStream = require('./scanner_stream');
 var Scan = require('./scan');
 var utility = require('utility');
 var MultiResponse = require('./multi_response');
@@ -39,6 +49,9 @@ var MultiAction = require('./multi_action');
 var Action = require('./action');
 var HRegionInfo = require('./hregion_info');
 var HRegionLocation = require('./hregion_location');
+var promise = require('./util/promise');
+var WritableUtils = require('./writable_utils');
+var filters = require('./filters');
 
 /**
  * This character is used as separator between server hostname, port and
@@ -92,6 +105,15 @@ function Client(options) {
   this.prefetchRegionLimit = options.prefetchRegionLimit || HConstants.DEFAULT_HBASE_CLIENT_PREFETCH_LIMIT;
   this.numRetries = options.numRetries || HConstants.DEFAULT_HBASE_CLIENT_RETRIES_NUMBER;
   this.maxActionRetries = options.maxActionRetries || 3;
+  // ms to wait before retrying the failed actions, multiplied by `HConstants.RETRY_BACKOFF`
+  this.pause = options.pause || HConstants.DEFAULT_HBASE_CLIENT_PAUSE;
+  // split the multi request of a region server by action count and estimated bytes
+  this.maxBatchActions = options.maxBatchActions || HConstants.DEFAULT_HBASE_CLIENT_MAX_BATCH_ACTIONS;
+  this.maxBatchBytes = options.maxBatchBytes || HConstants.DEFAULT_WRITE_BUFFER_SIZE;
+  // parallel multi requests to one region server, `Infinity` means no limit
+  this.maxBatchConcurrency = options.maxBatchConcurrency || HConstants.DEFAULT_HBASE_CLIENT_MAX_PERSERVER_TASKS;
+  // rows fetched by one `next` call of the scanners without `scan.caching`
+  this.scannerCaching = options.scannerCaching || HConstants.DEFAULT_HBASE_CLIENT_SCANNER_CACHING;
 
   this.ensureZookeeperTrackers(utility.noop);
 }
@@ -146,19 +168,116 @@ Client.prototype.get = function (tableName, get, callback) {
   this._action('get', tableName, get, true, 0, callback);
 };
 
-Client.prototype.checkAndPut = function (tableName, row, family, qualifier, value, put, callback) {
+/**
+ * Obtains a lock on a row.
+ *
+ * @param {String|Buffer} tableName
+ * @param {String|Buffer} row the row to lock
+ * @param {Function(err, rowLock)} callback
+ *  - {RowLock} rowLock, pass it to `Get`, `Put`, `Delete`, `Increment` or `Append`
+ *    to operate on the locked row, and release it by `unlockRow()`
+ */
+Client.prototype.lockRow = function (tableName, row, callback) {
+  row = Bytes.toBytes(row);
+  this._regionAction('lockRow', tableName, row, row, true, 0, function (err, lockId, server, location) {
+    if (err) {
+      return callback(err);
+    }
+    callback(null, new RowLock(row, lockId, location));
+  });
+};
+
+/**
+ * Releases a row lock.
+ *
+ * @param {String|Buffer} tableName
+ * @param {RowLock} rowLock the row lock to release
+ * @param {Function(err)} callback
+ */
+Client.prototype.unlockRow = function (tableName, rowLock, callback) {
   var _row = {
-    getRow: function() {
-      return row;
-    },
-    getFamily: function() { return family; },
-    getQualifier: function() { return qualifier; },
-    getValue: function() { return value; },
-    getPut: function() { return put; }
+    rowLock: rowLock,
+    getLockId: function () { return rowLock.getLockId(); }
   };
-  this._action('checkAndPut', tableName, _row, callback);
+  this._regionAction('unlockRow', tableName, rowLock.getRow(), _row, true, 0, function (err) {
+    callback(err);
+  });
+};
+
+/**
+ * Test for the existence of columns in the table, as specified in the Get.
+ * <p>
+ * This will return true if the Get matches one or more keys, false if not.
+ * <p>
+ * This is a server-side call so it prevents any data from being transfered to
+ * the client.
+ *
+ * @param {String|Buffer} tableName
+ * @param {Get} get the Get
+ * @param {Function(err, exists)} callback
+ *  - {Boolean} exists, true if the specified Get matches one or more keys, false if not
+ */
+Client.prototype.exists = function (tableName, get, callback) {
+  this._action('exists', tableName, get, true, 0, callback);
+};
+
+/**
+ * Atomically checks if a row/family/qualifier value matches the expected
+ * value. If it does, it adds the put.
+ *
+ * @param {String|Buffer} tableName
+ * @param {String|Buffer} row to check
+ * @param {String|Buffer} family column family to check
+ * @param {String|Buffer} qualifier column qualifier to check
+ * @param {String|Buffer} value the expected value,
+ *   `null` means the cell must be absent
+ * @param {Put} put data to put if check succeeds
+ * @param {Function(err, success)} callback
+ *  - {Boolean} success, true if the new put was executed, false otherwise
+ */
+Client.prototype.checkAndPut = function (tableName, row, family, qualifier, value, put, callback) {
+  var _row = checkAndMutateArgs(row, family, qualifier, value);
+  _row.getPut = function () { return put; };
+  this._action('checkAndPut', tableName, _row, true, 0, callback);
 };
 
+/**
+ * Atomically checks if a row/family/qualifier value matches the expected
+ * value. If it does, it adds the delete.
+ *
+ * @param {String|Buffer} tableName
+ * @param {String|Buffer} row to check
+ * @param {String|Buffer} family column family to check
+ * @param {String|Buffer} qualifier column qualifier to check
+ * @param {String|Buffer} value the expected value,
+ *   `null` means the cell must be absent
+ * @param {Delete} del data to delete if check succeeds
+ * @param {Function(err, success)} callback
+ *  - {Boolean} success, true if the delete was executed, false otherwise
+ */
+Client.prototype.checkAndDelete = function (tableName, row, family, qualifier, value, del, callback) {
+  var _row = checkAndMutateArgs(row, family, qualifier, value);
+  _row.getDelete = function () { return del; };
+  this._action('checkAndDelete', tableName, _row, true, 0, callback);
+};
+
+function checkAndMutateArgs(row, family, qualifier, value) {
+  row = Bytes.toBytes(row);
+  family = Bytes.toBytes(family);
+  qualifier = Bytes.toBytes(qualifier);
+  if (value !== null && value !== undefined) {
+    value = Bytes.toBytes(value);
+  } else {
+    value = null;
+  }
+  return {
+    getRow: function () { return row; },
+    getFamily: function () { return family; },
+    getQualifier: function () { return qualifier; },
+    getValue: function () { return value; }
+  };
+}
+
 Client.prototype.put = function (tableName, put, callback) {
   this._action('put', tableName, put, true, 0, callback);
 };
@@ -168,19 +287,159 @@ Client.prototype.delete = function (tableName, del, callback) {
 };
 
 
+/**
+ * Increments one or more columns within a single row.
+ *
+ * @param {String|Buffer} tableName
+ * @param {Increment} increment object that specifies the columns and amounts to be used
+ *   for the increment operations.
+ * @param {Function(err, result)} callback
+ *  - {Result} result, values of columns after the increment, use `Bytes.toLong(value)` to read them
+ */
+Client.prototype.increment = function (tableName, increment, callback) {
+  if (increment.numColumns() === 0) {
+    return callback(new errors.IllegalArgumentException("Increment must have at least one column"));
+  }
+  this._action('increment', tableName, increment, true, 0, callback);
+};
+
+/**
+ * Appends values to one or more columns within a single row.
+ *
+ * @param {String|Buffer} tableName
+ * @param {Append} append object that specifies the columns and values to be appended
+ * @param {Function(err, result)} callback
+ *  - {Result} result, values of columns after the append,
+ *    `null` if `append.setReturnResults(false)`
+ */
+Client.prototype.append = function (tableName, append, callback) {
+  if (Object.keys(append.familyMap).length === 0) {
+    return callback(new errors.IllegalArgumentException("Append must have at least one column"));
+  }
+  this._action('append', tableName, append, true, 0, callback);
+};
+
+/**
+ * Performs multiple mutations atomically on a single row.
+ * Currently {@link Put} and {@link Delete} are supported.
+ *
+ * @param {String|Buffer} tableName
+ * @param {RowMutations} rm object that specifies the set of mutations to perform atomically
+ * @param {Function(err)} callback
+ */
+Client.prototype.mutateRow = function (tableName, rm, callback) {
+  if (rm.mutations.length === 0) {
+    return callback(new errors.IllegalArgumentException("RowMutations must have at least one mutation"));
+  }
+  this._action('mutateRow', tableName, rm, true, 0, callback);
+};
+
+/**
+ * Atomically increments a column value.
+ *
+ * @param {String|Buffer} tableName
+ * @param {String|Buffer} row
+ * @param {String|Buffer} family
+ * @param {String|Buffer} qualifier
+ * @param {Number|Long} amount, the amount to increment the cell by, can be negative
+ * @param {Boolean} [writeToWAL], default is true
+ * @param {Function(err, value)} callback
+ *  - {Long} value, the new value
+ */
+Client.prototype.incrementColumnValue = function (tableName, row, family, qualifier, amount, writeToWAL, callback) {
+  if (typeof writeToWAL === 'function') {
+    callback = writeToWAL;
+    writeToWAL = true;
+  }
+  row = Bytes.toBytes(row);
+  family = Bytes.toBytes(family);
+  qualifier = Bytes.toBytes(qualifier);
+  amount = WritableUtils.toLong(amount);
+  var _row = {
+    getRow: function () { return row; },
+    getFamily: function () { return family; },
+    getQualifier: function () { return qualifier; },
+    getAmount: function () { return amount; },
+    getWriteToWAL: function () { return writeToWAL !== false; }
+  };
+  this._action('incrementColumnValue', tableName, _row, true, 0, callback);
+};
+
+/**
+ * Open a scanner on the table. The scanner walks through every region
+ * between `scan.startRow` and `scan.stopRow`.
+ *
+ * @param {String|Buffer} tableName
+ * @param {Scan} scan
+ * @param {Function(err, scanner)} callback
+ *  - {ClientScanner} scanner
+ */
 Client.prototype.getScanner = function (tableName, scan, callback) {
-  this._action('openScanner', tableName, scan, true, 0, function (err, scannerId, server) {
+  var scanner = new ClientScanner(this, tableName, scan);
+  scanner.open(function (err) {
     if (err) {
       return callback(err);
     }
-    var scanner = new Scanner(server, scannerId);
     callback(null, scanner);
   });
 };
 
+/**
+ * Create an object mode readable stream of the scan results.
+ *
+ * @param {String|Buffer} tableName
+ * @param {Scan} scan, rows will be fetched in `scan.caching` sized batches
+ * @param {Object} [options]
+ *  - {Boolean} raw, push `Result` instead of row object, default is false
+ * @return {ScannerStream}
+ */
+Client.prototype.createReadStream = function (tableName, scan, options) {
+  return new ScannerStream(this, tableName, scan, options);
+};
+
 var _CACHE_TABLES = {};
 
+function toTableName(tableName) {
+  if (!Buffer.isBuffer(tableName)) {
+    tableName = _CACHE_TABLES[tableName] || new Buffer(tableName);
+    _CACHE_TABLES[tableName] = tableName;
+  }
+  return tableName;
+}
+
+// org.apache.hadoop.hbase.DoNotRetryIOException and its subclasses of HBase 0.94
+var DO_NOT_RETRY_EXCEPTIONS = [
+  'DoNotRetryIOException',
+  'AccessDeniedException',
+  'ConstraintException',
+  'CoprocessorException',
+  'InvalidFamilyOperationException',
+  'LeaseException',
+  'NoSuchColumnFamilyException',
+  'NotAllMetaRegionsOnlineException',
+  'TableNotDisabledException',
+  'TableNotEnabledException',
+  'TableNotFoundException',
+  'UnknownProtocolException',
+  'UnknownRowLockException',
+  'UnknownScannerException',
+];
+
+/**
+ * @param {Number} pause
+ * @param {Number} tries
+ * @return {Number} ms to wait before the `tries` retry
+ */
+function getPauseTime(pause, tries) {
+  var ntries = Math.min(tries, HConstants.RETRY_BACKOFF.length - 1);
+  return pause * HConstants.RETRY_BACKOFF[ntries];
+}
+
 function isRetryException(err) {
+  var simpleName = err.name.substring(err.name.lastIndexOf('.') + 1);
+  if (DO_NOT_RETRY_EXCEPTIONS.indexOf(simpleName) >= 0) {
+    return false;
+  }
   var errName = err.name.toLowerCase();
   return errName.indexOf('org.apache.hadoop.hbase.') >= 0
     || errName.indexOf('offline') >= 0
@@ -189,15 +448,34 @@ function isRetryException(err) {
 }
 
 Client.prototype._action = function (method, tableName, obj, useCache, retry, callback) {
+  this._regionAction(method, tableName, obj.getRow(), obj, useCache, retry, callback);
+};
+
+/**
+ * Send `obj` to the region of `tableName` which `row` lives in.
+ *
+ * @param {String} method, HRegionInterface method name
+ * @param {String|Buffer} tableName
+ * @param {Buffer} row, row key used to locate the region
+ * @param {Object} obj, the operation object
+ * @param {Boolean} useCache
+ * @param {Number} retry
+ * @param {Function(err, value, server, location)} callback
+ */
+Client.prototype._regionAction = function (method, tableName, row, obj, useCache, retry, callback) {
   retry = retry || 0;
   debug('action %s, useCache: %s, retry: %s', method, useCache, retry);
-  if (!Buffer.isBuffer(tableName)) {
-    tableName = _CACHE_TABLES[tableName] || new Buffer(tableName);
-    _CACHE_TABLES[tableName] = tableName;
-  }
-  var row = obj.getRow();
+  tableName = toTableName(tableName);
   var self = this;
-  self.locateRegion(tableName, row, useCache, function (err, location) {
+  // row lock only lives in the region which granted it, don't locate again
+  var lockLocation = obj && obj.rowLock && obj.rowLock.getRegionLocation();
+  var locate = function (callback) {
+    if (lockLocation) {
+      return callback(null, lockLocation);
+    }
+    self.locateRegion(tableName, row, useCache, callback);
+  };
+  locate(function (err, location) {
     if (err || !location) {
       return callback(err);
     }
@@ -209,18 +487,19 @@ Client.prototype._action = function (method, tableName, obj, useCache, retry, ca
 
       server[method](location.getRegionInfo().getRegionName(), obj, function (err, value) {
         // org.apache.hadoop.hbase.regionserver.WrongRegionException retry
-        if (err && isRetryException(err)) {
+        if (err && !lockLocation && isRetryException(err)) {
           retry++;
           self.logger.warn('[%s] [worker:%s] %s', Date(), process.pid, err.stack);
           if (retry <= self.maxActionRetries) {
             // max retries
             self.logger.warn('[%s] [worker:%s] [%s] %s retries %s table row %s got wrong region: %s',
               Date(), process.pid, method, retry, tableName, row.toString(), location.toString());
-            return utility.setImmediate(self._action.bind(self, method, tableName, obj, false, retry, callback));
+            return utility.setImmediate(self._regionAction.bind(self, method, tableName, row, obj, false,
+              retry, callback));
           }
         }
 
-        callback(err, value, server);
+        callback(err, value, server, location);
       });
 
     });
@@ -228,142 +507,562 @@ Client.prototype._action = function (method, tableName, obj, useCache, retry, ca
 };
 
 /**
- * Parameterized batch processing, allowing varying return types for
- * different {@link Row} implementations.
- * @param {byte []} tableName
+ * Find the regions of `tableName` which contain rows in range [startRow, stopRow].
+ *
+ * @param {String|Buffer} tableName
+ * @param {Buffer} startRow, empty means the first row of the table
+ * @param {Buffer} stopRow, inclusive, empty means the last row of the table
+ * @param {Boolean} useCache
+ * @param {Function(err, locations)} callback
+ *  - {Array} locations, HRegionLocation list in row order
+ * @api private
  */
-Client.prototype.processBatch = function (tableName, workingList, useCache, retry, callback) {
+Client.prototype._locateRegionsInRange = function (tableName, startRow, stopRow, useCache, callback) {
   var self = this;
-  var actionsByServer = {};
+  var locations = [];
+  var locate = function (row) {
+    self.locateRegion(tableName, row, useCache, function (err, location) {
+      if (err || !location) {
+        return callback(err || new errors.RegionException('region of table ' + tableName +
+          ' with row ' + Bytes.toStringBinary(row) + ' not found'));
+      }
+      locations.push(location);
+      var endKey = location.getRegionInfo().getEndKey();
+      if (!endKey || endKey.length === 0 || (stopRow.length > 0 && Bytes.compareTo(endKey, stopRow) > 0)) {
+        return callback(null, locations);
+      }
+      locate(endKey);
+    });
+  };
+  locate(startRow);
+};
 
-  // remove empty
-  var requestObjects = [];
+/**
+ * Invoke a coprocessor endpoint method on every region in the range [startRow, stopRow].
+ *
+ * @param {String|Buffer} tableName
+ * @param {String} protocolName Java interface name of the CoprocessorProtocol
+ * @param {String} methodName
+ * @param {Array} args method arguments, they are serialized by `HbaseObjectWritable.writeObject()`
+ * @param {Object} [options]
+ *  - {String|Buffer} startRow, default is the first row of the table
+ *  - {String|Buffer} stopRow, inclusive, default is the last row of the table
+ *  - {Array} parameterClasses, Java class names of the method parameters, e.g.: `['[B', 'long']`,
+ *    infer from `args` by default
+ * @param {Function(err, results)} callback
+ *  - {Object} results, `{regionName: returnValue}`
+ */
+Client.prototype.coprocessorExec = function (tableName, protocolName, methodName, args, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = null;
+  }
+  options = options || {};
+  var startRow = Bytes.toBytes(options.startRow || HConstants.EMPTY_START_ROW);
+  var stopRow = Bytes.toBytes(options.stopRow || HConstants.EMPTY_END_ROW);
+
+  var self = this;
+  self._locateRegionsInRange(tableName, startRow, stopRow, true, function (err, locations) {
+    if (err) {
+      return callback(err);
+    }
+
+    var execs = [];
+    try {
+      for (var i = 0; i < locations.length; i++) {
+        execs.push(new Exec(locations[i].getRegionInfo().getStartKey(),
+          protocolName, methodName, args, options.parameterClasses));
+      }
+    } catch (e) {
+      return callback(e);
+    }
+
+    var results = {};
+    var ep = EventProxy.create();
+    ep.fail(callback);
+    ep.after('exec', execs.length, function () {
+      callback(null, results);
+    });
+    execs.forEach(function (exec) {
+      self._action('execCoprocessor', tableName, exec, true, 0, ep.done(function (result) {
+        if (result instanceof ExecResult) {
+          results[Bytes.toString(result.getRegionName())] = result.getValue();
+        }
+        ep.emit('exec');
+      }));
+    });
+  });
+};
+
+/**
+ * Aggregate the cells in the scan range by the AggregateProtocol coprocessor,
+ * `org.apache.hadoop.hbase.coprocessor.AggregateImplementation` must be loaded on the table.
+ *
+ * @param {String|Buffer} tableName
+ * @param {Scan} scan, must have one column family, and an optional column qualifier
+ * @param {String} method, 'rowCount', 'sum', 'max', 'min', 'avg' or 'std'
+ * @param {Object} [options]
+ *  - {ColumnInterpreter} columnInterpreter, default is `LongColumnInterpreter`
+ * @param {Function(err, value)} callback
+ *  - {Long|Number} value, `Number` for 'avg' and 'std', others depend on the column interpreter
+ */
+Client.prototype.aggregate = function (tableName, scan, method, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = null;
+  }
+  options = options || {};
+  if (AggregationClient.METHODS.indexOf(method) === -1) {
+    return callback(new errors.IllegalArgumentException('Unsupported aggregate method: ' + method));
+  }
+  new AggregationClient(this)[method](tableName, options.columnInterpreter, scan, callback);
+};
+
+/**
+ * Get the Admin to create, delete, enable, disable and modify tables.
+ * The Admin talks to the active master, its address is read from ZooKeeper.
+ *
+ * @param {Object} [options] see {@link Admin}, only used by the first call
+ * @return {Admin}
+ */
+Client.prototype.admin = function (options) {
+  if (!this._admin) {
+    this._admin = new Admin(this, options);
+  }
+  return this._admin;
+};
+
+/**
+ * Get a `BufferedMutator` to write `Put` and `Delete` of `tableName` in batches.
+ *
+ * @param {String|Buffer} tableName
+ * @param {Object} [options] see {@link BufferedMutator}
+ *  - {Number} writeBufferSize, bytes, default is 2MB
+ *  - {Number} flushIntervalMs, default is 0, only flush by size, `flush()` and `close()`
+ *  - {Function(err, mutation)} onError
+ * @return {BufferedMutator}
+ */
+Client.prototype.getBufferedMutator = function (tableName, options) {
+  return new BufferedMutator(this, tableName, options);
+};
+
+/**
+ * Send the actions of `workingList` in multi requests per region server.
+ * The actions of one server are split into requests of at most `maxBatchActions` actions
+ * and `maxBatchBytes` estimated bytes, `maxBatchConcurrency` requests are sent to a server at the same time.
+ * <p>
+ * Only the actions failed with retryable exceptions are sent again, after the cached
+ * locations of their regions are removed, and `pause * HConstants.RETRY_BACKOFF[tries]` ms later.
+ * Each action is retried at most `maxActionRetries` times.
+ * The actions with a `RowLock` are sent to the region which granted the lock and never retried.
+ *
+ * @param {String|Buffer} tableName
+ * @param {Array} workingList, `Get`, `Put` or `Delete` list, empty items are skipped
+ * @param {Boolean} useCache, use the cached region locations for the first attempt
+ * @param {Number} retry, retries already done of each action
+ * @param {Object} [options]
+ *  - {Number} maxBatchActions, default is `client.maxBatchActions`, 1000
+ *  - {Number} maxBatchBytes, default is `client.maxBatchBytes`, 2MB
+ *  - {Number} maxBatchConcurrency, default is `client.maxBatchConcurrency`, 2, `Infinity` means no limit
+ *  - {Function(finished, total)} progress, called after each multi request,
+ *    `finished` is the count of the actions succeeded or failed without retry
+ * @param {Function(err, results)} callback
+ *  - {RetriesExhaustedWithDetailsException} err, when any action failed,
+ *    `err.exceptions[i]` is the error of `err.actions[i]`, which is `workingList[err.indexes[i]]`
+ *  - {Array} results, in the same order of `workingList`: `Result` of `Get`, `null` of `Put` and `Delete`,
+ *    or the `Error` of the failed action
+ */
+Client.prototype.processBatch = function (tableName, workingList, useCache, retry, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = null;
+  }
+  tableName = toTableName(tableName);
+  var tableNames = workingList.map(function () {
+    return tableName;
+  });
+  this._processBatch(tableNames, workingList, useCache, retry, options, callback);
+};
+
+/**
+ * `processBatch()` of the actions in different tables, `workingList[i]` belongs to `tableNames[i]`.
+ * The actions of all regions on the same server are sent in one `MultiAction`.
+ *
+ * @param {Array} tableNames, Buffer list
+ * @param {Array} workingList
+ * @param {Boolean} useCache
+ * @param {Number} retry
+ * @param {Object} options, see `processBatch()`
+ * @param {Function(err, results)} callback, see `processBatch()`
+ * @api private
+ */
+Client.prototype._processBatch = function (tableNames, workingList, useCache, retry, options, callback) {
+  options = options || {};
+  var self = this;
+  var maxActions = options.maxBatchActions || self.maxBatchActions;
+  var maxBytes = options.maxBatchBytes || self.maxBatchBytes;
+  var concurrency = options.maxBatchConcurrency || self.maxBatchConcurrency ||
+    HConstants.DEFAULT_HBASE_CLIENT_MAX_PERSERVER_TASKS;
+  var progress = options.progress;
+  var finished = 0;
+  var results = [];
+  // attempts and the last location of each action, by the index of `workingList`
+  var attempts = [];
+  var locations = [];
+  var indexes = [];
   for (var i = 0; i < workingList.length; i++) {
-    var item = workingList[i];
-    if (!item) {
+    if (!workingList[i]) {
       continue;
     }
-    requestObjects.push(item);
+    attempts[i] = retry || 0;
+    indexes.push(i);
   }
 
-  if (requestObjects.length === 0) {
+  if (indexes.length === 0) {
     return callback(null, []);
   }
-
-  var ep = EventProxy.create();
-  ep.fail(callback);
-  ep.after('multi_action', workingList.length, function () {
-    // step 2: make the requests
-    var requestSize = Object.keys(actionsByServer).length;
-    if (debug.enabled) {
-      debug('multi_action: Caculate regionServer: %d %d \n %s',
-        workingList.length, requestSize, Object.keys(actionsByServer).join('\n'));
+  var total = indexes.length;
+
+  function done() {
+    var exceptions = [];
+    var actions = [];
+    var failedIndexes = [];
+    for (var i = 0; i < workingList.length; i++) {
+      if (results[i] instanceof Error) {
+        exceptions.push(results[i]);
+        actions.push(workingList[i]);
+        failedIndexes.push(i);
+      }
+    }
+    debug('processBatch got %d results, including %d exceptions', results.length, exceptions.length);
+    if (exceptions.length > 0) {
+      return callback(new errors.RetriesExhaustedWithDetailsException(exceptions, actions, failedIndexes), results);
     }
+    callback(null, results);
+  }
 
-    var results = [];
-    var totalExceptionCount = 0;
-    var retryException = null;
-    ep.after('request_done', requestSize, function () {
-      debug('processBatch got %d results, including %d exceptions',
-        results.length, totalExceptionCount);
-      if (retryException) {
-        // org.apache.hadoop.hbase.regionserver.WrongRegionException retry
-        retry++;
-        if (retry <= self.maxActionRetries) {
-          self.logger.warn('[%s] [worker:%s] %s', Date(), process.pid, retryException.message);
-          self.logger.warn('[%s] [worker:%s] processBatch %s retries on table %s',
-            Date(), process.pid, retry, tableName);
-          return utility.setImmediate(self.processBatch.bind(self, tableName, workingList, false, retry, callback));
+  // step 1: break up into regionserver-sized chunks and build the data structs
+  // step 2: make the requests
+  // step 3: collect the failures and successes, retry the failed actions
+  function processIndexes(indexes, useCache) {
+    var actionsByServer = {};
+    var retryIndexes = [];
+    var failedRegions = {};
+
+    function fail(index, err, retryable) {
+      results[index] = err;
+      // row lock only lives in the region which granted it, don't locate again
+      if (!retryable || attempts[index] >= self.maxActionRetries || getLockLocation(workingList[index])) {
+        finished++;
+        return;
+      }
+      attempts[index]++;
+      retryIndexes.push(index);
+      var regionName = locations[index] ? locations[index].getRegionInfo().regionNameStr : null;
+      if (regionName && !failedRegions[regionName]) {
+        failedRegions[regionName] = true;
+        if (debug.enabled) {
+          debug('Failures for region: %s, removing from cache, error: %s', regionName, err.message);
         }
-        // max retry
-        return callback(retryException, results);
+        self.deleteCachedLocation(tableNames[index], workingList[index].getRow());
       }
-      callback(null, results);
-    });
+    }
 
-    // step 4: identify failures and prep for a retry (if applicable).
-    // TODO: retry for exceptions
-    // step 3: collect the failures and successes and prepare for retry
-    function processResult(value) {
-      if (!value) {
-        return;
-      }
-      for (var regionName in value.results) {
-        var regionResults = value.results[regionName];
-        for (var j = 0; j < regionResults.length; j++) {
-          var pair = regionResults[j];
+    function processResult(multiAction, value) {
+      var regionResults = value && value.results || {};
+      var received = {};
+      for (var regionName in regionResults) {
+        var pairs = regionResults[regionName];
+        for (var j = 0; j < pairs.length; j++) {
+          var pair = pairs[j];
           if (!pair) {
             // if the first/only record is 'null' the entire region failed.
-            // if (debug.enabled) {
-            //   debug('Failures for region: %s, removing from cache', regionName);
-            // }
             continue;
           }
           var idx = pair.getFirst();
           var result = pair.getSecond();
-          results[idx] = result;
-
-          // if (result.name === 'org.apache.hadoop.hbase.NotServingRegionException') {
-          //   delete self.cachedRegionLocations[Bytes.mapKey(regionName.split(',')[0])];
-          // }
-
+          received[idx] = true;
           if (result instanceof Error) {
-            totalExceptionCount++;
-            if (!retryException && isRetryException(result)) {
-              retryException = result;
-              if (debug.enabled) {
-                debug('Failures for region: %s, may be removing from cache, error: %s',
-                  regionName, retryException.message);
-              }
-            }
+            fail(idx, result, isRetryException(result));
+          } else {
+            results[idx] = result;
+            finished++;
           }
         }
       }
+
+      // no result for the actions of the failed regions
+      var actions = multiAction.allActions();
+      for (var k = 0; k < actions.length; k++) {
+        var index = actions[k].originalIndex;
+        if (!received[index]) {
+          fail(index, new errors.IOException('No result of the action from region ' +
+            locations[index].getRegionInfo().regionNameStr), true);
+        }
+      }
     }
 
-    // step 2: make the requests
-    function makeRequest(location, multiAction) {
-      var hostname = location.getHostname();
-      var port = location.getPort();
-      self.getRegionConnection(hostname, port, ep.done(function (server) {
-        server.multi(multiAction, ep.done(function (value) {
-          processResult(value);
-          ep.emit('request_done');
-        }));
-      }));
+    function makeRequest(location, multiAction, callback) {
+      var fails = function (err) {
+        var actions = multiAction.allActions();
+        for (var k = 0; k < actions.length; k++) {
+          fail(actions[k].originalIndex, err, isRetryException(err));
+        }
+        callback();
+      };
+      debug('multi request %d actions to %s', multiAction.size(), location.getHostnamePort());
+      self.getRegionConnection(location.getHostname(), location.getPort(), function (err, server) {
+        if (err) {
+          return fails(err);
+        }
+        server.multi(multiAction, function (err, value) {
+          if (err) {
+            return fails(err);
+          }
+          processResult(multiAction, value);
+          callback();
+        });
+      });
     }
 
-    for (var loc in actionsByServer) {
-      var action = actionsByServer[loc];
-      var location = action[0];
-      var mua = action[1];
-      makeRequest(location, mua);
+    function roundDone() {
+      if (retryIndexes.length === 0) {
+        return done();
+      }
+      var tries = 0;
+      for (var i = 0; i < retryIndexes.length; i++) {
+        tries = Math.max(tries, attempts[retryIndexes[i]]);
+      }
+      var pause = getPauseTime(self.pause, tries);
+      // org.apache.hadoop.hbase.regionserver.WrongRegionException retry
+      self.logger.warn('[%s] [worker:%s] processBatch retries %d of %d actions on table %s after %dms',
+        Date(), process.pid, retryIndexes.length, indexes.length, tableNames[retryIndexes[0]], pause);
+      // the failed regions are removed from cache, locate them again
+      setTimeout(processIndexes.bind(null, retryIndexes, true), pause);
     }
-  });
 
-  // step 1: break up into regionserver-sized chunks and build the data structs
-  function buildDataStructs(row, i) {
-    self.locateRegion(tableName, row.getRow(), useCache, ep.done(function (loc) {
-      if (!loc) {
-        // TODO: retry
-        return ep.emit('multi_action');
+    // split the actions of a server by `maxActions` and `maxBytes`, in the order of `workingList`
+    function splitActions(actions) {
+      actions.sort(function (a, b) {
+        return a[1].originalIndex - b[1].originalIndex;
+      });
+      var chunks = [];
+      var multiAction = null;
+      var bytes = 0;
+      for (var i = 0; i < actions.length; i++) {
+        var size = Action.estimateSize(actions[i][1].action);
+        if (multiAction && ((maxActions && multiAction.size() >= maxActions) ||
+            (maxBytes && bytes + size > maxBytes))) {
+          multiAction = null;
+        }
+        if (!multiAction) {
+          multiAction = new MultiAction();
+          chunks.push(multiAction);
+          bytes = 0;
+        }
+        multiAction.add(actions[i][0], actions[i][1]);
+        bytes += size;
       }
-      var regionInfo = loc.getRegionInfo();
-      var key = regionInfo.regionNameStr;
-      var actions = actionsByServer[key];
-      if (!actions) {
-        actions = actionsByServer[key] = [loc, new MultiAction()];
+      return chunks;
+    }
+
+    // send the chunks of a server, at most `concurrency` requests at the same time
+    function sendChunks(location, chunks, onRequestDone) {
+      var next = 0;
+      var send = function () {
+        var multiAction = chunks[next++];
+        makeRequest(location, multiAction, function () {
+          if (typeof progress === 'function') {
+            progress(finished, total);
+          }
+          onRequestDone();
+          if (next < chunks.length) {
+            send();
+          }
+        });
+      };
+      while (next < Math.min(concurrency, chunks.length)) {
+        send();
       }
-      var action = new Action(row, i);
+    }
 
-      actions[1].add(regionInfo, action);
-      ep.emit('multi_action');
-    }));
+    var ep = EventProxy.create();
+    ep.after('multi_action', indexes.length, function () {
+      var servers = Object.keys(actionsByServer);
+      if (debug.enabled) {
+        debug('multi_action: Caculate regionServer: %d %d \n %s',
+          indexes.length, servers.length, servers.join('\n'));
+      }
+      var chunksByServer = {};
+      var requestSize = 0;
+      servers.forEach(function (server) {
+        chunksByServer[server] = splitActions(actionsByServer[server][1]);
+        requestSize += chunksByServer[server].length;
+      });
+      if (requestSize === 0) {
+        return roundDone();
+      }
+      ep.after('request_done', requestSize, roundDone);
+      servers.forEach(function (server) {
+        sendChunks(actionsByServer[server][0], chunksByServer[server], function () {
+          ep.emit('request_done');
+        });
+      });
+    });
+
+    indexes.forEach(function (index) {
+      var row = workingList[index];
+      var tableName = tableNames[index];
+      var lockLocation = getLockLocation(row);
+      var locate = function (callback) {
+        if (lockLocation) {
+          return callback(null, lockLocation);
+        }
+        self.locateRegion(tableName, row.getRow(), useCache, callback);
+      };
+      locate(function (err, loc) {
+        locations[index] = loc;
+        if (err || !loc) {
+          err = err || new errors.NoServerForRegionException('Unable to find region for ' +
+            Bytes.toStringBinary(row.getRow()) + ' in table ' + tableName);
+          fail(index, err, isRetryException(err));
+          return ep.emit('multi_action');
+        }
+        var key = loc.getHostnamePort();
+        var item = actionsByServer[key];
+        if (!item) {
+          item = actionsByServer[key] = [loc, []];
+        }
+        item[1].push([loc.getRegionInfo(), new Action(row, index)]);
+        ep.emit('multi_action');
+      });
+    });
+  }
+
+  processIndexes(indexes, useCache);
+};
+
+// the region location of the row lock of a batch action
+function getLockLocation(action) {
+  if (action.rowLock) {
+    return action.rowLock.getRegionLocation();
+  }
+  var mutations = action instanceof RowMutations ? action.mutations : [];
+  for (var i = 0; i < mutations.length; i++) {
+    if (mutations[i].rowLock) {
+      return mutations[i].rowLock.getRegionLocation();
+    }
+  }
+  return null;
+}
+
+function checkBatchAction(action, index) {
+  if (!(action instanceof Get) && !(action instanceof Put) && !(action instanceof Delete) &&
+      !(action instanceof Increment) && !(action instanceof Append) && !(action instanceof RowMutations)) {
+    return new errors.IllegalArgumentException(
+      'Invalid action at ' + index + ', must be a Get, Put, Delete, Increment, Append or RowMutations');
+  }
+  if (action instanceof Increment && action.numColumns() === 0) {
+    return new errors.IllegalArgumentException('Increment must have at least one column');
   }
+  return null;
+}
 
-  for (var i = 0; i < requestObjects.length; i++) {
-    buildDataStructs(requestObjects[i], i);
+// the region server returns an empty Result for mutations
+function toBatchResults(actions, results) {
+  for (var i = 0; i < actions.length; i++) {
+    if (results[i] instanceof Error) {
+      continue;
+    }
+    var action = actions[i];
+    if (action instanceof Put || action instanceof Delete || action instanceof RowMutations) {
+      results[i] = null;
+    }
+  }
+  return results;
+}
+
+/**
+ * Send `Get`, `Put`, `Delete`, `Increment`, `Append` and `RowMutations` of one table
+ * in one multi request per region server.
+ *
+ * @param {String|Buffer} tableName
+ * @param {Array} actions
+ * @param {Object} [options]
+ *  - {Number} maxBatchActions, maxBatchBytes, maxBatchConcurrency, split the multi requests, see `processBatch()`
+ *  - {Function(finished, total)} progress, called after each multi request
+ * @param {Function(err, results)} callback
+ *  - {Array} results, in the same order of `actions`: `Result` of `Get`, `Increment` and `Append`,
+ *    `null` of the successful `Put`, `Delete` and `RowMutations`, or the `Error` of the failed action
+ */
+Client.prototype.batch = function (tableName, actions, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = null;
+  }
+  if (!Array.isArray(actions)) {
+    return callback(new errors.IllegalArgumentException('actions must be an array'));
+  }
+  for (var i = 0; i < actions.length; i++) {
+    var err = checkBatchAction(actions[i], i);
+    if (err) {
+      return callback(err);
+    }
   }
+  if (actions.length === 0) {
+    return callback(null, []);
+  }
+
+  // the failed actions are in `results`
+  this.processBatch(tableName, actions, true, 0, options, function (err, results) {
+    if (err && !err.exceptions) {
+      return callback(err);
+    }
+    callback(null, toBatchResults(actions, results));
+  });
+};
+
+/**
+ * `batch()` of the actions in different tables.
+ * The actions of all tables on the same region server are sent in one multi request.
+ *
+ * @param {Array} items, `[{table: 'user', action: put}, {table: 'user_index', action: put2}, ...]`
+ * @param {Object} [options] see `batch()`
+ * @param {Function(err, results)} callback
+ *  - {Array} results, in the same order of `items`, see `batch()`
+ */
+Client.prototype.multiTableBatch = function (items, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = null;
+  }
+  if (!Array.isArray(items)) {
+    return callback(new errors.IllegalArgumentException('items must be an array'));
+  }
+  var tableNames = [];
+  var actions = [];
+  for (var i = 0; i < items.length; i++) {
+    var item = items[i];
+    if (!item || !item.table) {
+      return callback(new errors.IllegalArgumentException('Missing table of the item at ' + i));
+    }
+    var err = checkBatchAction(item.action, i);
+    if (err) {
+      return callback(err);
+    }
+    tableNames.push(toTableName(item.table));
+    actions.push(item.action);
+  }
+  if (actions.length === 0) {
+    return callback(null, []);
+  }
+
+  this._processBatch(tableNames, actions, true, 0, options, function (err, results) {
+    if (err && !err.exceptions) {
+      return callback(err);
+    }
+    callback(null, toBatchResults(actions, results));
+  });
 };
 
 /**
@@ -374,20 +1073,30 @@ Client.prototype.processBatch = function (tableName, workingList, useCache, retr
  * @param {Array} [columns], column name, format: 'family:qualifier'.
  *   if `columns` not set or null or '*', will return all columns. like `select *`.
  *   e.g.: `['cf1:name', 'cf2:age', 'cf1:title']`
+ * @param {Object} [options]
+ *  - {Filter} filter, server-side filter of the columns, e.g.: `new filters.ColumnPrefixFilter('his')`
  * @param {Function(err, data)} callback
  */
-Client.prototype.getRow = function (tableName, row, columns, callback) {
+Client.prototype.getRow = function (tableName, row, columns, options, callback) {
   var get = new Get(row);
   if (typeof columns === 'function') {
     callback = columns;
     columns = null;
+    options = null;
+  } else if (typeof options === 'function') {
+    callback = options;
+    options = null;
   }
+  options = options || {};
   if (Array.isArray(columns) && columns.length > 0) {
     for (var i = 0; i < columns.length; i++) {
       var col = columns[i].split(':');
       get.addColumn(col[0], col[1]);
     }
   }
+  if (options.filter) {
+    get.setFilter(options.filter);
+  }
   this.get(tableName, get, function (err, result) {
     if (err || !result) {
       return callback(err, result);
@@ -412,14 +1121,22 @@ Client.prototype.getRow = function (tableName, row, columns, callback) {
  * @param {List<String|Buffer>} row
  * @param {Array} columns, column name, format: 'family:qualifier'.
  *   e.g.: `['cf1:name', 'cf2:age', 'cf1:title']`
- * @param {Object} opts, e.g.: `{raw: true}`
+ * @param {Object} [opts]
+ *  - {Boolean} raw, return `Result` instead of `{'family:qualifier': value}`
+ *  - {Filter} filter, server-side filter of the columns, applied to every row
+ *  - {Number} maxBatchActions, maxBatchBytes, maxBatchConcurrency, split the multi requests, see `processBatch()`
+ *  - {Function(finished, total)} progress, called after each multi request
  * @param {Function(err, data)} callback
+ *  - {RetriesExhaustedWithDetailsException} err, when any row failed, `err.indexes[i]` is the index
+ *    of the row failed with `err.exceptions[i]`, `data` still holds the other rows
+ *  - {Array} data, in the same order of `rows`, `null` if the row not exists or failed
  */
 Client.prototype.mget = function (tableName, rows, columns, opts, callback) {
   if (typeof opts === 'function') {
     callback = opts;
     opts = {};
   }
+  opts = opts || {};
   var workingList = [];
   for (var j = 0; j < rows.length; j++) {
     var row = rows[j];
@@ -430,10 +1147,13 @@ Client.prototype.mget = function (tableName, rows, columns, opts, callback) {
         get.addColumn(col[0], col[1]);
       }
     }
+    if (opts.filter) {
+      get.setFilter(opts.filter);
+    }
     workingList.push(get);
   }
-  this.processBatch(tableName, workingList, true, 0, function (err, results) {
-    if (err) {
+  this.processBatch(tableName, workingList, true, 0, opts, function (err, results) {
+    if (!results) {
       return callback(err);
     }
     for (var j = 0, len = results.length; j < len; j++) {
@@ -458,7 +1178,7 @@ Client.prototype.mget = function (tableName, rows, columns, opts, callback) {
         results[j] = r;
       }
     }
-    callback(null, results);
+    callback(err, results);
   });
 };
 
@@ -466,8 +1186,16 @@ Client.prototype.mget = function (tableName, rows, columns, opts, callback) {
  * put rows into table
  * @param  {String|Buffer} tableName
  * @param  {Array} rows [{row: 'aaabbbcccddd', 'f:name': 'xa', 'f:age': 1}]
+ * @param  {Object} [options]
+ *  - {Number} maxBatchActions, maxBatchBytes, maxBatchConcurrency, split the multi requests, see `processBatch()`
+ *  - {Function(finished, total)} progress, called after each multi request
+ * @param  {Function(err, results)} callback
  */
-Client.prototype.mput = function (tableName, rows, callback) {
+Client.prototype.mput = function (tableName, rows, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = null;
+  }
   if (!Array.isArray(rows)) {
     return callback('Input rows must be an array.');
   }
@@ -494,22 +1222,28 @@ Client.prototype.mput = function (tableName, rows, callback) {
     }
     workingList.push(put);
   }
-  this.processBatch(tableName, workingList, true, 0, callback);
+  this.processBatch(tableName, workingList, true, 0, options, callback);
 };
 
 /**
  * delete rows from table
  * @param  {String|Buffer}  tableName
  * @param  {Array} rows ['aabbcc']
+ * @param  {Object} [options] see `mput()`
+ * @param  {Function(err, results)} callback
  */
-Client.prototype.mdelete = function (tableName, rows, callback) {
+Client.prototype.mdelete = function (tableName, rows, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = null;
+  }
   var workingList = [];
   for (var i = 0, len = rows.length; i < len; i++) {
     var row = rows[i];
     var del = new Delete(row);
     workingList.push(del);
   }
-  this.processBatch(tableName, workingList, true, 0, callback);
+  this.processBatch(tableName, workingList, true, 0, options, callback);
 };
 
 /**
@@ -517,8 +1251,19 @@ Client.prototype.mdelete = function (tableName, rows, callback) {
  *
  * @param {String|Buffer} tableName
  * @param {Array} rows ['aabbcc']
+ * @param {Object} [options]
+ *  - {Boolean} atomic, apply the Put and Delete of each row atomically by `mutateRow()`,
+ *    default is false. Rows are still mutated one request per row, not atomic across rows.
+ *  - {Number} maxBatchActions, maxBatchBytes, maxBatchConcurrency, split the multi requests, see `processBatch()`
+ *  - {Function(finished, total)} progress, called after each multi request, not used with `atomic`
+ * @param {Function(err, results)} callback
  */
-Client.prototype.mupsert = function (tableName, rows, callback) {
+Client.prototype.mupsert = function (tableName, rows, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = null;
+  }
+  options = options || {};
   var workingList = [];
 
   for (var i = 0, len = rows.length; i < len; i++) {
@@ -544,6 +1289,20 @@ Client.prototype.mupsert = function (tableName, rows, callback) {
       }
     }
 
+    if (options.atomic) {
+      if (put !== null || del !== null) {
+        var rm = new RowMutations(data.row);
+        if (put !== null) {
+          rm.add(put);
+        }
+        if (del !== null) {
+          rm.add(del);
+        }
+        workingList.push(rm);
+      }
+      continue;
+    }
+
     if (put !== null) {
       workingList.push(put);
     }
@@ -552,7 +1311,106 @@ Client.prototype.mupsert = function (tableName, rows, callback) {
     }
   }
 
-  this.processBatch(tableName, workingList, true, 0, callback);
+  if (options.atomic) {
+    return this._mutateRows(tableName, workingList, callback);
+  }
+  this.processBatch(tableName, workingList, true, 0, options, callback);
+};
+
+/**
+ * Send each RowMutations by `mutateRow()` in parallel.
+ *
+ * @param {String|Buffer} tableName
+ * @param {Array} list, RowMutations list
+ * @param {Function(err, results)} callback
+ * @api private
+ */
+Client.prototype._mutateRows = function (tableName, list, callback) {
+  var results = [];
+  if (list.length === 0) {
+    return callback(null, results);
+  }
+  var ep = EventProxy.create();
+  ep.fail(callback);
+  ep.after('mutated', list.length, function () {
+    callback(null, results);
+  });
+  list.forEach(function (rm, index) {
+    this.mutateRow(tableName, rm, ep.done(function () {
+      results[index] = null;
+      ep.emit('mutated');
+    }));
+  }, this);
+};
+
+/**
+ * Copy the `Get` to only check the existence of its row: the server returns at most the first
+ * key of the row without value, after the filter of the `Get` if any.
+ */
+function toExistsGet(get) {
+  var existsGet = Object.create(Get.prototype);
+  for (var k in get) {
+    if (get.hasOwnProperty(k)) {
+      existsGet[k] = get[k];
+    }
+  }
+  var filter = new filters.FilterList({operator: filters.FilterList.Operator.MUST_PASS_ALL});
+  if (get.getFilter()) {
+    filter.addFilter(get.getFilter());
+  }
+  filter.addFilter(new filters.FirstKeyOnlyFilter());
+  filter.addFilter(new filters.KeyOnlyFilter());
+  existsGet.setFilter(filter);
+  return existsGet;
+}
+
+/**
+ * Test for the existence of rows in the table.
+ * <p>
+ * The rows are checked by `Get`s with `FirstKeyOnlyFilter` and `KeyOnlyFilter` in batches
+ * like `mget()`, only the first key of each existing row is transfered to the client.
+ *
+ * @param {String|Buffer} tableName
+ * @param {Array} rows, row keys or `Get` objects
+ * @param {Array} [columns], only check these columns of the row keys, e.g.: `['f1:name']`
+ * @param {Object} [options], see `processBatch()`
+ * @param {Function(err, exists)} callback
+ *  - {RetriesExhaustedWithDetailsException} err, see `mget()`, `exists` still holds the other rows
+ *  - {Array} exists, Boolean list in the same order of `rows`, `null` if the row failed
+ */
+Client.prototype.mexists = function (tableName, rows, columns, options, callback) {
+  if (typeof columns === 'function') {
+    callback = columns;
+    columns = null;
+    options = null;
+  } else if (typeof options === 'function') {
+    callback = options;
+    options = null;
+  }
+  var workingList = [];
+  for (var j = 0; j < rows.length; j++) {
+    var get = rows[j];
+    if (!(get instanceof Get)) {
+      get = new Get(get);
+      if (columns) {
+        for (var i = 0; i < columns.length; i++) {
+          var col = columns[i].split(':');
+          get.addColumn(col[0], col[1]);
+        }
+      }
+    }
+    workingList.push(toExistsGet(get));
+  }
+
+  this.processBatch(tableName, workingList, true, 0, options || {}, function (err, results) {
+    if (!results) {
+      return callback(err);
+    }
+    var exists = results.map(function (result) {
+      return result instanceof Error ? null : !!result && result.size() > 0;
+    });
+    callback(err, exists);
+  });
 };
 
 /**
@@ -1005,25 +1863,13 @@ Client.prototype._handleConnectionClose = function (rsName) {
  * @param row
  */
 Client.prototype.deleteCachedLocation = function (tableName, row) {
-  var key = Bytes.mapKey(tableName);
-  var tableLocations = this.cachedRegionLocations[key];
-  if (!tableLocations || !tableLocations.length) {
+  var location = this.getCachedLocation(tableName, row);
+  if (!location) {
     return;
   }
-
-  // start to examine the cache. we can only do cache actions
-  // if there's something in the cache for this table.
-  var needs = [];
-  for (var i = 0; i < tableLocations.length; i++) {
-    var location = tableLocations[i];
-    var r = Bytes.compareTo(row, location.regionInfo.startKey);
-    if (r < 0) {
-      needs.push(location);
-      continue;
-    }
-  }
-
-  this.cachedRegionLocations[key] = needs;
+  var tableLocations = this.getTableLocations(tableName);
+  tableLocations.splice(tableLocations.indexOf(location), 1);
+  debug('Removed %s from cache', location.toString());
 };
 
 /*
@@ -1270,5 +2116,316 @@ Client.prototype.prefetchRegionCache = function (tableName, row, callback) {
   });
 };
 
+function readRegionInfo(value) {
+  if (!value || value.length === 0) {
+    return null;
+  }
+  var regionInfo = new HRegionInfo();
+  regionInfo.readFields(new DataInputBuffer(value));
+  return regionInfo;
+}
+
+/**
+ * Convert a `.META.` row to the region state.
+ *
+ * @param {Result} row
+ * @return {Object} region, null if the row has no `info:regioninfo`
+ *  - {HRegionInfo} regionInfo
+ *  - {String} regionName
+ *  - {Buffer} startKey
+ *  - {Buffer} endKey
+ *  - {String} server, `hostname:port` of the region server, null if not assigned
+ *  - {String} hostname
+ *  - {Number} port
+ *  - {Long} startcode, start code of the region server
+ *  - {Boolean} offline, region is offline
+ *  - {Boolean} split, region is a split parent
+ *  - {Boolean} online, region is assigned and not offline
+ *  - {HRegionInfo} splitA, first daughter of the split parent
+ *  - {HRegionInfo} splitB, second daughter of the split parent
+ */
+function metaRowToRegion(row) {
+  var regionInfo = readRegionInfo(row.getValue(HConstants.CATALOG_FAMILY, HConstants.REGIONINFO_QUALIFIER));
+  if (!regionInfo) {
+    return null;
+  }
+
+  var region = {
+    regionInfo: regionInfo,
+    regionName: regionInfo.regionNameStr,
+    startKey: regionInfo.getStartKey(),
+    endKey: regionInfo.getEndKey(),
+    server: null,
+    hostname: null,
+    port: null,
+    startcode: null,
+    offline: !!regionInfo.isOffline(),
+    split: !!regionInfo.isSplit(),
+    online: false,
+    splitA: readRegionInfo(row.getValue(HConstants.CATALOG_FAMILY, HConstants.SPLITA_QUALIFIER)),
+    splitB: readRegionInfo(row.getValue(HConstants.CATALOG_FAMILY, HConstants.SPLITB_QUALIFIER)),
+  };
+
+  var value = row.getValue(HConstants.CATALOG_FAMILY, HConstants.SERVER_QUALIFIER);
+  if (value && value.length > 0) {
+    region.server = Bytes.toString(value);
+    var items = region.server.split(':');
+    region.hostname = items[0];
+    region.port = parseInt(items[1], 10);
+  }
+  value = row.getValue(HConstants.CATALOG_FAMILY, HConstants.STARTCODE_QUALIFIER);
+  if (value && value.length === Bytes.SIZEOF_LONG) {
+    region.startcode = Bytes.toLong(value);
+  }
+  region.online = !!region.server && !region.offline && !region.split;
+  return region;
+}
+Client.metaRowToRegion = metaRowToRegion;
+
+/**
+ * Scan the catalog family of all `.META.` regions from `startRow`.
+ *
+ * @param {Buffer} startRow, empty means the first row of `.META.`
+ * @param {Function(region)} visitor, return `false` to stop the scan
+ *  - {Object} region, see `metaRowToRegion()`
+ * @param {Function(err)} callback
+ * @api private
+ */
+Client.prototype._scanMeta = function (startRow, visitor, callback) {
+  var scan = new Scan(startRow);
+  scan.addFamily(HConstants.CATALOG_FAMILY);
+  this.getScanner(HConstants.META_TABLE_NAME, scan, function (err, scanner) {
+    var done = function (error) {
+      if (scanner) {
+        scanner.close(function () {
+          callback(error);
+        });
+      } else {
+        callback(error);
+      }
+    };
+
+    if (err) {
+      return done(err);
+    }
+
+    var next = function () {
+      scanner.next(100, function (err, rows) {
+        if (err) {
+          return done(err);
+        }
+        if (!rows || rows.length === 0) {
+          return done();
+        }
+        for (var i = 0; i < rows.length; i++) {
+          var region;
+          try {
+            region = metaRowToRegion(rows[i]);
+          } catch (e) {
+            return done(e);
+          }
+          if (region && visitor(region) === false) {
+            return done();
+          }
+        }
+        next();
+      });
+    };
+    next();
+  });
+};
+
+function createTableRegions(tableName) {
+  return {
+    name: Bytes.toString(tableName),
+    tableName: tableName,
+    regions: [],
+    splitParents: [],
+    online: true,
+  };
+}
+
+function addTableRegion(table, region) {
+  if (region.split) {
+    table.splitParents.push(region);
+    return;
+  }
+  table.regions.push(region);
+  table.online = table.online && region.online;
+}
+
+/**
+ * List all user tables by reading `.META.`, no master round trip.
+ * <p>
+ * `.META.` does not hold the column families since HBase 0.92,
+ * they are in the HDFS `.tableinfo` file.
+ *
+ * @param {Function(err, tables)} callback
+ *  - {Array} tables, in table name order, every table is:
+ *    - {String} name
+ *    - {Buffer} tableName
+ *    - {Array} regions, in row order, excluding split parents, see `Client.metaRowToRegion()`
+ *    - {Array} splitParents, split parent regions which still have daughters referring to them
+ *    - {Boolean} online, true if all regions are online
+ */
+Client.prototype.listTables = function (callback) {
+  var tables = [];
+  var table = null;
+  this._scanMeta(HConstants.EMPTY_START_ROW, function (region) {
+    var tableName = region.regionInfo.getTableName();
+    if (!table || !Bytes.equals(table.tableName, tableName)) {
+      table = createTableRegions(tableName);
+      tables.push(table);
+    }
+    addTableRegion(table, region);
+  }, function (err) {
+    callback(err, err ? null : tables);
+  });
+};
+
+/**
+ * Get the regions and state of `tableName` by reading `.META.`.
+ * It is not an `HTableDescriptor`, `.META.` does not hold the column families.
+ *
+ * @param {String|Buffer} tableName
+ * @param {Function(err, table)} callback
+ *  - {Object} table, see `listTables()`
+ */
+Client.prototype.getTableRegionsInfo = function (tableName, callback) {
+  tableName = Bytes.toBytes(tableName);
+  var table = createTableRegions(tableName);
+  var startRow = HRegionInfo.createRegionName(tableName, HConstants.EMPTY_START_ROW, HConstants.ZEROES, false);
+  this._scanMeta(startRow, function (region) {
+    if (!Bytes.equals(region.regionInfo.getTableName(), tableName)) {
+      return false;
+    }
+    addTableRegion(table, region);
+  }, function (err) {
+    if (err) {
+      return callback(err);
+    }
+    if (table.regions.length === 0 && table.splitParents.length === 0) {
+      return callback(new TableNotFoundException("Table '" + table.name + "' was not found"));
+    }
+    callback(null, table);
+  });
+};
+
+/**
+ * Alias of `getTableRegionsInfo()`.
+ */
+Client.prototype.getTableDescriptor = Client.prototype.getTableRegionsInfo;
+
+/**
+ * Sort the cached locations of a table by start key,
+ * only return them if they cover the whole table without gap or overlap.
+ *
+ * @param {Array} tableLocations
+ * @return {Array} locations in row order, null if incomplete
+ */
+function completeLocations(tableLocations) {
+  var locations = tableLocations.slice().sort(function (a, b) {
+    return Bytes.compareTo(a.regionInfo.startKey, b.regionInfo.startKey);
+  });
+  if (locations.length === 0) {
+    return null;
+  }
+  var expectStartKey = HConstants.EMPTY_START_ROW;
+  for (var i = 0; i < locations.length; i++) {
+    var regionInfo = locations[i].regionInfo;
+    if (!Bytes.equals(regionInfo.startKey, expectStartKey) || (i > 0 && expectStartKey.length === 0)) {
+      return null;
+    }
+    expectStartKey = regionInfo.endKey;
+  }
+  return expectStartKey.length === 0 ? locations : null;
+}
+
+/**
+ * Get all the regions of `tableName` by paging through `.META.` for the whole table.
+ * The assigned regions replace the cached locations of the table.
+ *
+ * @param {String|Buffer} tableName
+ * @param {Object} [options]
+ *  - {Boolean} refresh, read `.META.` again, default is true. If false, return the cached locations
+ *    if they cover the whole table, they may be stale
+ *  - {Boolean} useCache, same as `refresh: false`, ignored if `refresh` is set
+ *  - {Boolean} includeUnassigned, also return the offline regions and the regions not assigned
+ *    to a region server, `hostname` and `port` are null if not assigned, default is false
+ * @param {Function(err, locations)} callback
+ *  - {Array} locations, HRegionLocation list in row order, split parents are excluded
+ */
+Client.prototype.getRegionLocations = function (tableName, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = null;
+  }
+  options = options || {};
+  tableName = Bytes.toBytes(tableName);
+
+  var self = this;
+  var tableLocations = self.getTableLocations(tableName);
+  var refresh = options.refresh === undefined ? !options.useCache : options.refresh;
+  if (!refresh) {
+    var cached = completeLocations(tableLocations);
+    if (cached) {
+      return callback(null, cached);
+    }
+  }
+
+  self.getTableRegionsInfo(tableName, function (err, table) {
+    if (err) {
+      return callback(err);
+    }
+    var locations = [];
+    // keep the cache array, it is referred by the pending lookups
+    tableLocations.length = 0;
+    for (var i = 0; i < table.regions.length; i++) {
+      var region = table.regions[i];
+      var location = new HRegionLocation(region.regionInfo, region.hostname, region.port);
+      if (region.online) {
+        self.cacheLocation(tableName, location);
+      } else if (!options.includeUnassigned) {
+        continue;
+      }
+      locations.push(location);
+    }
+    callback(null, locations);
+  });
+};
+
+/**
+ * Gets the starting and ending row keys for every region in the table.
+ *
+ * @param {String|Buffer} tableName
+ * @param {Function(err, keys)} callback
+ *  - {Pair} keys, `keys.getFirst()` is the start keys and `keys.getSecond()` is the end keys,
+ *    both in row order
+ */
+Client.prototype.getStartEndKeys = function (tableName, callback) {
+  this.getRegionLocations(tableName, {includeUnassigned: true}, function (err, locations) {
+    if (err) {
+      return callback(err);
+    }
+    var startKeys = [];
+    var endKeys = [];
+    for (var i = 0; i < locations.length; i++) {
+      startKeys.push(locations[i].regionInfo.getStartKey());
+      endKeys.push(locations[i].regionInfo.getEndKey());
+    }
+    callback(null, new Pair(startKeys, endKeys));
+  });
+};
+
+// return a Promise when no callback passed
+promise.promisifyMethods(Client.prototype, [
+  'get', 'put', 'delete', 'getRow', 'putRow', 'deleteRow', 'exists', 'mexists',
+  'mget', 'mput', 'mdelete', 'mupsert', 'batch', 'multiTableBatch', 'checkAndPut', 'checkAndDelete',
+  'increment', 'incrementColumnValue', 'append', 'mutateRow',
+  'lockRow', 'unlockRow', 'coprocessorExec', 'aggregate',
+  'getScanner', 'locateRegion', 'listTables', 'getTableRegionsInfo', 'getTableDescriptor',
+  'getRegionLocations', 'getStartEndKeys',
+]);
+
 
 module.exports = Client;
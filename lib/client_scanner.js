@@ -0,0 +1,206 @@
+/**!
+ * node-hbase-client - lib/client_scanner.js
+ *
+ * Copyright(c) Alibaba Group Holding Limited.
+ * MIT Licensed
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+
+var debug = require('debug')('hbase:client_scanner');
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+var promise = require('./util/promise');
+var utility = require('utility');
+var Bytes = require('./util/bytes');
+var HConstants = require('./hconstants');
+var Scanner = require('./scanner');
+
+/**
+ * Implements the scanner interface for the HBase client.
+ * If there are multiple regions in a table, this scanner will iterate
+ * through them all.
+ *
+ * @param {Client} client
+ * @param {String|Buffer} tableName
+ * @param {Scan} scan
+ */
+function ClientScanner(client, tableName, scan) {
+  EventEmitter.call(this);
+
+  this.client = client;
+  this.tableName = tableName;
+  this.scan = scan;
+  this.caching = scan.caching > 0 ? scan.caching :
+    client.scannerCaching || HConstants.DEFAULT_HBASE_CLIENT_SCANNER_CACHING;
+
+  // current region scanner
+  this.scanner = null;
+  this.currentRegion = null;
+  this.server = null;
+  this.id = null;
+  this.closed = false;
+  // error of opening the scanner of the next region
+  this.error = null;
+}
+
+util.inherits(ClientScanner, EventEmitter);
+
+/**
+ * Open the scanner on the region which contains `scan.startRow`.
+ *
+ * @param {Function(err)} callback
+ */
+ClientScanner.prototype.open = function (callback) {
+  this._openScanner(this.scan.getRow(), callback);
+};
+
+ClientScanner.prototype._openScanner = function (startKey, callback) {
+  var self = this;
+  self.client._regionAction('openScanner', self.tableName, startKey, self.scan, true, 0,
+  function (err, scannerId, server, location) {
+    if (err) {
+      return callback(err);
+    }
+    self.scanner = new Scanner(server, scannerId);
+    self.server = server;
+    self.id = scannerId;
+    self.currentRegion = location.getRegionInfo();
+    debug('open scanner#%s on region %s', scannerId, self.currentRegion.regionNameStr);
+    callback();
+  });
+};
+
+ClientScanner.prototype._closeScanner = function (callback) {
+  var scanner = this.scanner;
+  if (!scanner) {
+    return callback();
+  }
+  this.scanner = null;
+  this.server = null;
+  this.id = null;
+  scanner.close(function (err) {
+    if (err) {
+      debug('close scanner#%s error: %s', scanner.id, err.message);
+    }
+    callback(err);
+  });
+};
+
+/**
+ * @param {Buffer} endKey
+ * @return {Boolean} true if `scan.stopRow` is inside the region ending at `endKey`
+ */
+ClientScanner.prototype.checkScanStopRow = function (endKey) {
+  var stopRow = this.scan.stopRow;
+  if (stopRow && stopRow.length > 0) {
+    return Bytes.compareTo(stopRow, endKey) <= 0;
+  }
+  // stopRow is empty, scan to the end of table
+  return false;
+};
+
+/**
+ * Close the current region scanner and open the next one.
+ *
+ * @param {Boolean} done, server tell us do not go to the next region, e.g.: filter rules the scan is done
+ * @param {Function(err, hasNext)} callback
+ */
+ClientScanner.prototype.nextScanner = function (done, callback) {
+  var self = this;
+  var region = self.currentRegion;
+  if (self.closed) {
+    // scanner closed by user while fetching rows
+    return callback(null, false);
+  }
+  // the region scanner lease will expire on server side, ignore close error
+  self._closeScanner(function () {
+    if (done || !region) {
+      self.closed = true;
+      return callback(null, false);
+    }
+
+    var endKey = region.getEndKey();
+    if (!endKey || endKey.length === 0 || self.checkScanStopRow(endKey)) {
+      debug('finished scanning table %s', self.tableName);
+      self.closed = true;
+      return callback(null, false);
+    }
+
+    self._openScanner(endKey, function (err) {
+      if (err) {
+        // no region scanner to read from, report the error on the following `next()`
+        self.closed = true;
+        self.error = err;
+        return callback(err);
+      }
+      callback(null, true);
+    });
+  });
+};
+
+/**
+ * Get the next rows, cross regions.
+ *
+ * @param {Number} [numberOfRows], default is `scan.caching`.
+ *   If `numberOfRows` not set, return one `Result` or null when scanner is done.
+ * @param {Function(err, rows)} callback
+ *  - {Array} rows, empty array when scanner is done.
+ */
+ClientScanner.prototype.next = function (numberOfRows, callback) {
+  if (typeof numberOfRows === 'function') {
+    callback = numberOfRows;
+    this._next(1, function (err, rows) {
+      callback(err, rows && rows.length > 0 ? rows[0] : null);
+    });
+    return;
+  }
+  this._next(numberOfRows || this.caching, callback);
+};
+
+ClientScanner.prototype._next = function (numberOfRows, callback) {
+  var self = this;
+  if (self.closed) {
+    return self.error ? callback(self.error) : callback(null, []);
+  }
+
+  self.scanner.next(numberOfRows, function (err, values) {
+    if (err) {
+      return callback(err);
+    }
+    if (values && values.length > 0) {
+      return callback(null, values);
+    }
+
+    // empty array means this region is done, null means the whole scan is done
+    self.nextScanner(values === null, function (err, hasNext) {
+      if (err) {
+        return callback(err);
+      }
+      if (!hasNext) {
+        return callback(null, []);
+      }
+      self._next(numberOfRows, callback);
+    });
+  });
+};
+
+/**
+ * Close the scanner and release the region server scanner lease.
+ *
+ * @param {Function(err)} callback
+ */
+ClientScanner.prototype.close = function (callback) {
+  this.closed = true;
+  this._closeScanner(callback || utility.noop);
+};
+
+promise.promisifyMethods(ClientScanner.prototype, ['next', 'close']);
+promise.asyncIterable(ClientScanner);
+
+
+module.exports = ClientScanner;
@@ -413,6 +413,40 @@ Connection.prototype.get = function (regionName, get, callback) {
   this.call('get', [regionName, get], callback);
 };
 
+/**
+ * Opens a remote row lock.
+ *
+ * @param regionName name of region
+ * @param row row to lock
+ * @return lockId lock identifier
+ * @throws IOException e
+ */
+Connection.prototype.lockRow = function (regionName, row, callback) {
+  this.call('lockRow', [regionName, row], callback);
+};
+
+/**
+ * Releases a remote row lock.
+ *
+ * @param regionName region name
+ * @param wrapped args
+ * @throws IOException e
+ */
+Connection.prototype.unlockRow = function (regionName, o, callback) {
+  this.call('unlockRow', [regionName, o.getLockId()], callback);
+};
+
+/**
+ * Perform exists operation.
+ * @param regionName name of region to get from
+ * @param get Get operation describing cell to test
+ * @return true if exists
+ * @throws IOException e
+ */
+Connection.prototype.exists = function (regionName, get, callback) {
+  this.call('exists', [regionName, get], callback);
+};
+
 /**
  * Put data into the specified region if check passes
  * @param regionName region name
@@ -420,10 +454,33 @@ Connection.prototype.get = function (regionName, get, callback) {
  * @throws IOException e
  */
 Connection.prototype.checkAndPut = function (regionName, o, callback) {
-  var a = [regionName, o.getRow(), o.getFamily(), o.getQualifier(), o.getValue(), o.getPut()];
+  var a = [regionName, o.getRow(), o.getFamily(), o.getQualifier(), nullableBytes(o.getValue()), o.getPut()];
   this.call('checkAndPut', a, callback);
 };
 
+/**
+ * Deletes as specified if check passes
+ * @param regionName region name
+ * @param wrapped args
+ * @return true if the new delete was executed, false otherwise
+ * @throws IOException e
+ */
+Connection.prototype.checkAndDelete = function (regionName, o, callback) {
+  var a = [regionName, o.getRow(), o.getFamily(), o.getQualifier(), nullableBytes(o.getValue()), o.getDelete()];
+  this.call('checkAndDelete', a, callback);
+};
+
+/**
+ * `null` expected value means the cell must be absent,
+ * send it as a null `byte[]` parameter.
+ */
+function nullableBytes(value) {
+  if (value === null || value === undefined) {
+    return new HbaseObjectWritable.NullInstance('byte[].class');
+  }
+  return value;
+}
+
 /**
  * Put data into the specified region
  * @param regionName region name
@@ -444,6 +501,71 @@ Connection.prototype.delete = function (regionName, del, callback) {
   this.call('delete', [regionName, del], callback);
 };
 
+/**
+ * Increment one or more columns of a row in the specified region
+ * @param regionName region name
+ * @param increment the Increment operation
+ * @return Result with the new values
+ * @throws IOException e
+ */
+Connection.prototype.increment = function (regionName, increment, callback) {
+  this.call('increment', [regionName, increment], callback);
+};
+
+/**
+ * Appends values to one or more columns of a row in the specified region
+ * @param regionName region name
+ * @param append the Append operation
+ * @return Result with the new values, or null if returnResults is false
+ * @throws IOException e
+ */
+Connection.prototype.append = function (regionName, append, callback) {
+  this.call('append', [regionName, append], callback);
+};
+
+/**
+ * Performs multiple mutations atomically on a single row.
+ * @param regionName region name
+ * @param rm object that specifies the set of mutations to perform atomically
+ * @throws IOException e
+ */
+Connection.prototype.mutateRow = function (regionName, rm, callback) {
+  this.call('mutateRow', [regionName, rm], callback);
+};
+
+/**
+ * Atomically increments a column value. If the column value isn't long-like,
+ * this could throw an exception.
+ *
+ * @param regionName region name
+ * @param wrapped args
+ * @return new incremented column value
+ * @throws IOException e
+ */
+Connection.prototype.incrementColumnValue = function (regionName, o, callback) {
+  var a = [regionName, o.getRow(), o.getFamily(), o.getQualifier(), o.getAmount(), o.getWriteToWAL()];
+  this.call('incrementColumnValue', a, callback);
+};
+
+/**
+ * Executes a single {@link CoprocessorProtocol}
+ * method using the registered protocol handlers.
+ * {@link CoprocessorProtocol} implementations must be registered via the
+ * {@link org.apache.hadoop.hbase.regionserver.HRegion#registerProtocol(Class, CoprocessorProtocol)}
+ * method before they are available.
+ *
+ * @param regionName name of the region against which the invocation is executed
+ * @param exec an {@code Exec} instance identifying the protocol, method name,
+ *     and parameters for the method invocation
+ * @return an {@code ExecResult} instance containing the region name of the
+ *     invocation and the return value
+ * @throws IOException if no registered protocol handler is found or an error
+ *     occurs during the invocation
+ */
+Connection.prototype.execCoprocessor = function (regionName, exec, callback) {
+  this.call('execCoprocessor', [regionName, exec], callback);
+};
+
 /**
  * Method used for doing multiple actions(Deletes, Gets and Puts) in one call
  * @param {MultiAction} multi
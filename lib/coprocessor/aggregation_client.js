@@ -0,0 +1,273 @@
+/**!
+ * node-hbase-client - lib/coprocessor/aggregation_client.js
+ *
+ * Copyright(c) Alibaba Group Holding Limited.
+ * MIT Licensed
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+
+var Long = require('long');
+var errors = require('../errors');
+var Bytes = require('../util/bytes');
+var LongColumnInterpreter = require('./long_column_interpreter');
+
+var PROTOCOL = 'org.apache.hadoop.hbase.coprocessor.AggregateProtocol';
+var PARAMETER_CLASSES = [
+  'org.apache.hadoop.hbase.coprocessor.ColumnInterpreter',
+  'org.apache.hadoop.hbase.client.Scan'
+];
+
+/**
+ * This client class is for invoking the aggregate functions deployed on the
+ * Region Server side via the AggregateProtocol. This class will implement the
+ * supporting functionality for summing/processing the individual results
+ * obtained from the AggregateProtocol for each region.
+ * <p>
+ * This will serve as the client side handler for invoking the aggregate
+ * functions.
+ * <ul>
+ * For all aggregate functions,
+ * <li>start row < end row is an essential condition (if they are not
+ * {@link HConstants#EMPTY_BYTE_ARRAY})
+ * <li>Column family can't be null. In case where multiple families are
+ * provided, an IOException will be thrown. An optional column qualifier can
+ * also be defined.
+ * <li>For methods to find maximum, minimum, sum, rowcount, it returns the
+ * parameter type. For average and std, it returns a double value. For row
+ * count, it returns a long value.
+ *
+ * @param {Client} client
+ */
+function AggregationClient(client) {
+  this.client = client;
+}
+
+AggregationClient.METHODS = ['rowCount', 'sum', 'max', 'min', 'avg', 'std'];
+
+/**
+ * Invoke `methodName` of AggregateProtocol on all regions of the scan range.
+ *
+ * @param {String|Buffer} tableName
+ * @param {String} methodName
+ * @param {ColumnInterpreter} ci
+ * @param {Scan} scan
+ * @param {Function(err, values)} callback
+ *  - {Array} values, result of every region
+ * @api private
+ */
+AggregationClient.prototype._exec = function (tableName, methodName, ci, scan, callback) {
+  var err = validateParameters(scan);
+  if (err) {
+    return callback(err);
+  }
+  var options = {
+    startRow: scan.startRow,
+    stopRow: scan.stopRow,
+    parameterClasses: PARAMETER_CLASSES
+  };
+  ci = ci || new LongColumnInterpreter();
+  this.client.coprocessorExec(tableName, PROTOCOL, methodName, [ci, scan], options, function (err, results) {
+    if (err) {
+      return callback(err);
+    }
+    var values = [];
+    for (var regionName in results) {
+      values.push(results[regionName]);
+    }
+    callback(null, values);
+  });
+};
+
+/**
+ * It gives the maximum for a given combination of column qualifier and column
+ * family, in the given row range as defined in the Scan object. In its
+ * current implementation, it takes one column family and one column qualifier
+ * (if provided). In case of null column qualifier, maximum value for the
+ * entire column family will be returned.
+ *
+ * @param {String|Buffer} tableName
+ * @param {ColumnInterpreter} ci
+ * @param {Scan} scan
+ * @param {Function(err, max)} callback
+ */
+AggregationClient.prototype.max = function (tableName, ci, scan, callback) {
+  ci = ci || new LongColumnInterpreter();
+  this._exec(tableName, 'getMax', ci, scan, function (err, values) {
+    if (err) {
+      return callback(err);
+    }
+    var max = null;
+    for (var i = 0; i < values.length; i++) {
+      if (max === null || (values[i] !== null && ci.compare(max, values[i]) < 0)) {
+        max = values[i];
+      }
+    }
+    callback(null, max);
+  });
+};
+
+/**
+ * It gives the minimum for a given combination of column qualifier and column
+ * family, in the given row range as defined in the Scan object. In its
+ * current implementation, it takes one column family and one column qualifier
+ * (if provided). In case of null column qualifier, minimum value for the
+ * entire column family will be returned.
+ *
+ * @param {String|Buffer} tableName
+ * @param {ColumnInterpreter} ci
+ * @param {Scan} scan
+ * @param {Function(err, min)} callback
+ */
+AggregationClient.prototype.min = function (tableName, ci, scan, callback) {
+  ci = ci || new LongColumnInterpreter();
+  this._exec(tableName, 'getMin', ci, scan, function (err, values) {
+    if (err) {
+      return callback(err);
+    }
+    var min = null;
+    for (var i = 0; i < values.length; i++) {
+      if (min === null || (values[i] !== null && ci.compare(min, values[i]) > 0)) {
+        min = values[i];
+      }
+    }
+    callback(null, min);
+  });
+};
+
+/**
+ * It gives the row count, by summing up the individual results obtained from
+ * regions. In case the qualifier is null, FirstKeyValueFilter is used to
+ * optimised the operation. In case qualifier is provided, I can't use the
+ * filter as it may set the flag to skip to next row, but the value read is
+ * not of the given filter: in this case, this particular row will not be
+ * counted ==> an error.
+ *
+ * @param {String|Buffer} tableName
+ * @param {ColumnInterpreter} ci
+ * @param {Scan} scan
+ * @param {Function(err, count)} callback
+ *  - {Long} count
+ */
+AggregationClient.prototype.rowCount = function (tableName, ci, scan, callback) {
+  this._exec(tableName, 'getRowNum', ci, scan, function (err, values) {
+    if (err) {
+      return callback(err);
+    }
+    var count = Long.ZERO;
+    for (var i = 0; i < values.length; i++) {
+      count = count.add(values[i]);
+    }
+    callback(null, count);
+  });
+};
+
+/**
+ * It sums up the value returned from various regions. In case qualifier is
+ * null, summation of all the column qualifiers in the given family is done.
+ *
+ * @param {String|Buffer} tableName
+ * @param {ColumnInterpreter} ci
+ * @param {Scan} scan
+ * @param {Function(err, sum)} callback
+ */
+AggregationClient.prototype.sum = function (tableName, ci, scan, callback) {
+  ci = ci || new LongColumnInterpreter();
+  this._exec(tableName, 'getSum', ci, scan, function (err, values) {
+    if (err) {
+      return callback(err);
+    }
+    var sum = null;
+    for (var i = 0; i < values.length; i++) {
+      sum = ci.add(sum, values[i]);
+    }
+    callback(null, sum);
+  });
+};
+
+/**
+ * This is the client side interface/handle for calling the average method for
+ * a given cf-cq combination. It was necessary to add one more call stack as
+ * its return type should be a decimal value, irrespective of what
+ * columninterpreter says. So, this methods collects the necessary parameters
+ * to compute the average and returs the double value.
+ *
+ * @param {String|Buffer} tableName
+ * @param {ColumnInterpreter} ci
+ * @param {Scan} scan
+ * @param {Function(err, avg)} callback
+ *  - {Number} avg
+ */
+AggregationClient.prototype.avg = function (tableName, ci, scan, callback) {
+  ci = ci || new LongColumnInterpreter();
+  this._exec(tableName, 'getAvg', ci, scan, function (err, values) {
+    if (err) {
+      return callback(err);
+    }
+    // Pair<S, Long>: (sum, count)
+    var sum = null;
+    var count = Long.ZERO;
+    for (var i = 0; i < values.length; i++) {
+      sum = ci.add(sum, values[i].first);
+      count = count.add(values[i].second);
+    }
+    callback(null, ci.divideForAvg(sum, count));
+  });
+};
+
+/**
+ * This is the client side interface/handle for calling the std method for a
+ * given cf-cq combination. It was necessary to add one more call stack as its
+ * return type should be a decimal value, irrespective of what
+ * columninterpreter says. So, this methods collects the necessary parameters
+ * to compute the std and returns the double value.
+ *
+ * @param {String|Buffer} tableName
+ * @param {ColumnInterpreter} ci
+ * @param {Scan} scan
+ * @param {Function(err, std)} callback
+ *  - {Number} std
+ */
+AggregationClient.prototype.std = function (tableName, ci, scan, callback) {
+  ci = ci || new LongColumnInterpreter();
+  this._exec(tableName, 'getStd', ci, scan, function (err, values) {
+    if (err) {
+      return callback(err);
+    }
+    // Pair<List<S>, Long>: ([sum, sumOfSquares], count)
+    var sum = null;
+    var sumSq = null;
+    var count = Long.ZERO;
+    for (var i = 0; i < values.length; i++) {
+      sum = ci.add(sum, values[i].first[0]);
+      sumSq = ci.add(sumSq, values[i].first[1]);
+      count = count.add(values[i].second);
+    }
+    var avg = ci.divideForAvg(sum, count);
+    var avgOfSumSq = ci.divideForAvg(sumSq, count);
+    callback(null, Math.sqrt(avgOfSumSq - avg * avg));
+  });
+};
+
+function validateParameters(scan) {
+  if (!scan) {
+    return new errors.IOException("Agg client Exception: Scan is required");
+  }
+  var startRow = scan.startRow;
+  var stopRow = scan.stopRow;
+  if ((Bytes.equals(startRow, stopRow) && startRow.length > 0) ||
+      (Bytes.compareTo(startRow, stopRow) > 0 && stopRow.length > 0)) {
+    return new errors.IOException("Agg client Exception: Startrow should be smaller than Stoprow");
+  }
+  if (Object.keys(scan.familyMap).length !== 1) {
+    return new errors.IOException("There must be only one family.");
+  }
+  return null;
+}
+
+
+module.exports = AggregationClient;
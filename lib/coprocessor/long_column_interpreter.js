@@ -0,0 +1,91 @@
+/**!
+ * node-hbase-client - lib/coprocessor/long_column_interpreter.js
+ *
+ * Copyright(c) Alibaba Group Holding Limited.
+ * MIT Licensed
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+
+var Long = require('long');
+
+/**
+ * A concrete column interpreter implementation. The cell value is a Long value
+ * and its promoted data type is also a Long value. For computing aggregation
+ * function, this class is used to find the datatype of the cell value. Client
+ * is supposed to instantiate it and passed along as a parameter. See
+ * `client.aggregate()` for its usage.
+ * <p>
+ * Partial results of the regions are merged by this interpreter at client side.
+ */
+function LongColumnInterpreter() {
+
+}
+
+LongColumnInterpreter.classname = 'org.apache.hadoop.hbase.client.coprocessor.LongColumnInterpreter';
+
+/**
+ * @param {Long} l1
+ * @param {Long} l2
+ * @return {Long} sum of `l1` and `l2`, null values are ignored
+ */
+LongColumnInterpreter.prototype.add = function (l1, l2) {
+  if (l1 === null || l1 === undefined) {
+    return l2 === undefined ? null : l2;
+  }
+  if (l2 === null || l2 === undefined) {
+    return l1;
+  }
+  return l1.add(l2);
+};
+
+/**
+ * @return {Number} 0 if equal, < 0 if `l1` is less than `l2`, null is the least
+ */
+LongColumnInterpreter.prototype.compare = function (l1, l2) {
+  var isNull1 = l1 === null || l1 === undefined;
+  var isNull2 = l2 === null || l2 === undefined;
+  if (isNull1 || isNull2) {
+    return isNull1 ? (isNull2 ? 0 : -1) : 1;
+  }
+  return l1.compare(l2);
+};
+
+LongColumnInterpreter.prototype.getMaxValue = function () {
+  return Long.MAX_VALUE;
+};
+
+LongColumnInterpreter.prototype.getMinValue = function () {
+  return Long.MIN_VALUE;
+};
+
+/**
+ * @param {Long} sum
+ * @param {Long} count
+ * @return {Number} the average, NaN if any of them is null
+ */
+LongColumnInterpreter.prototype.divideForAvg = function (sum, count) {
+  if (sum === null || sum === undefined || count === null || count === undefined) {
+    return NaN;
+  }
+  return sum.toNumber() / count.toNumber();
+};
+
+LongColumnInterpreter.prototype.write = function (out) {
+  // nothing to serialize
+};
+
+LongColumnInterpreter.prototype.readFields = function (io) {
+  // nothing to serialize
+};
+
+LongColumnInterpreter.prototype.toString = function () {
+  return 'LongColumnInterpreter';
+};
+
+
+module.exports = LongColumnInterpreter;
@@ -126,6 +126,22 @@ DataInputStream.prototype.readInt = function () {
   return buf ? buf.readInt32BE(0) : null;
 };
 
+/**
+ * See the general contract of the <code>readFloat</code>
+ * method of <code>DataInput</code>.
+ * <p>
+ * Bytes
+ * for this operation are read from the contained
+ * input stream.
+ *
+ * @return     the next four bytes of this input stream, interpreted as a
+ *             <code>float</code>.
+ */
+DataInputStream.prototype.readFloat = function () {
+  var buf = this.in.read(4);
+  return buf ? buf.readFloatBE(0) : null;
+};
+
 /**
  * See the general contract of the <code>readLong</code>
  * method of <code>DataInput</code>.
@@ -145,5 +161,23 @@ DataInputStream.prototype.readLong = function () {
   return WritableUtils.toLong(buf);
 };
 
+/**
+ * See the general contract of the <code>readUTF</code>
+ * method of <code>DataInput</code>.
+ * <p>
+ * Bytes
+ * for this operation are read from the contained
+ * input stream.
+ *
+ * @return     a Unicode string written by <code>writeUTF</code>,
+ *             a 2 bytes length followed by the UTF-8 bytes.
+ */
+DataInputStream.prototype.readUTF = function () {
+  var buf = this.in.read(2);
+  if (buf === null) {
+    return buf;
+  }
+  return this.in.read(buf.readUInt16BE(0)).toString('utf8');
+};
 
 module.exports = DataInputStream;
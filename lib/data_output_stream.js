@@ -97,6 +97,20 @@ DataOutputStream.prototype.writeInt = function (v) {
   this.write(buf);
 };
 
+/**
+ * Converts the float argument to an <code>int</code> using the
+ * <code>floatToIntBits</code> method in class <code>Float</code>,
+ * and then writes that <code>int</code> value to the underlying
+ * output stream as a 4-byte quantity, high byte first.
+ *
+ * @param      v   a <code>float</code> value to be written.
+ */
+DataOutputStream.prototype.writeFloat = function (v) {
+  var buf = new Buffer(4);
+  buf.writeFloatBE(v, 0);
+  this.write(buf);
+};
+
 var ZERO_LONG_BUFFER = new Buffer([0, 0, 0, 0, 0, 0, 0, 0]);
 
 var MAX_INT32 = 4294967295;
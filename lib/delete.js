@@ -42,6 +42,7 @@ function Delete(row, timestamp, rowLock) {
   this.lockId = -1;
   if (rowLock !== null && typeof rowLock !== 'undefined') {
     this.lockId = rowLock.getLockId();
+    this.rowLock = rowLock;
   }
   this.familyMap = {};
   this.writeToWAL = true;
@@ -90,6 +90,15 @@ var NoServerForRegionException = function (msg) {
 util.inherits(NoServerForRegionException, RegionException);
 NoServerForRegionException.prototype.name = 'NoServerForRegionException';
 
+/**
+ * Thrown if the master is not running
+ */
+var MasterNotRunningException = function (msg) {
+  MasterNotRunningException.super_.call(this, msg, this.constructor);
+};
+util.inherits(MasterNotRunningException, IOException);
+MasterNotRunningException.prototype.name = 'MasterNotRunningException';
+
 var RemoteException = function (className, msg) {
   RemoteException.super_.call(this, msg, this.constructor);
   this.name = className;
@@ -122,6 +131,29 @@ var VersionMismatchException = function (expectedVersion, foundVersion) {
 util.inherits(VersionMismatchException, IOException);
 VersionMismatchException.prototype.name = 'VersionMismatchException';
 
+/**
+ * Thrown when some of the actions of a batch failed. `exceptions[i]` is the error of `actions[i]`,
+ * and `indexes[i]` is the index of `actions[i]` in the batch if known.
+ */
+var RetriesExhaustedWithDetailsException = function (exceptions, actions, indexes) {
+  var names = [];
+  for (var i = 0; i < exceptions.length; i++) {
+    var name = exceptions[i] && exceptions[i].name || 'Error';
+    if (names.indexOf(name) < 0) {
+      names.push(name);
+    }
+  }
+  var msg = 'Failed ' + exceptions.length + ' action' + (exceptions.length === 1 ? '' : 's') +
+    ': ' + names.join(', ');
+  RetriesExhaustedWithDetailsException.super_.call(this, msg, this.constructor);
+  this.exceptions = exceptions;
+  this.actions = actions;
+  this.indexes = indexes || [];
+};
+util.inherits(RetriesExhaustedWithDetailsException, IOException);
+RetriesExhaustedWithDetailsException.prototype.name = 'RetriesExhaustedWithDetailsException';
+
+
 
 // Argument
 var IllegalArgumentException = function (msg) {
@@ -145,13 +177,16 @@ module.exports = {
   IOException: IOException,
   RegionException: RegionException,
   TableNotFoundException: TableNotFoundException,
+  MasterNotRunningException: MasterNotRunningException,
   RemoteException: RemoteException,
   VersionMismatchException: VersionMismatchException,
   RemoteCallTimeoutException: RemoteCallTimeoutException,
   ConnectionClosedException: ConnectionClosedException,
   ConnectionConnectTimeoutException: ConnectionConnectTimeoutException,
+  RetriesExhaustedWithDetailsException: RetriesExhaustedWithDetailsException,
 
   RegionOfflineException: RegionOfflineException,
+  NoServerForRegionException: NoServerForRegionException,
 
   // Runtime
   RuntimeException: RuntimeException,
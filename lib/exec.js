@@ -0,0 +1,114 @@
+/**!
+ * node-hbase-client - lib/exec.js
+ *
+ * Copyright(c) Alibaba Group Holding Limited.
+ * MIT Licensed
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+
+var Long = require('long');
+var HbaseObjectWritable = require('./io/hbase_object_writable');
+var IllegalArgumentException = require('./errors').IllegalArgumentException;
+var Bytes = require('./util/bytes');
+
+// Java class names of the operations which can be the parameters of a coprocessor method
+var OPERATION_CLASSES = {
+  Get: 'org.apache.hadoop.hbase.client.Get',
+  Put: 'org.apache.hadoop.hbase.client.Put',
+  Delete: 'org.apache.hadoop.hbase.client.Delete',
+  Scan: 'org.apache.hadoop.hbase.client.Scan',
+  Increment: 'org.apache.hadoop.hbase.client.Increment',
+  Append: 'org.apache.hadoop.hbase.client.Append',
+};
+
+/**
+ * Represents an arbitrary method invocation against a Coprocessor
+ * instance.  In order for a coprocessor implementation to be remotely callable
+ * by clients, it must define and implement a CoprocessorProtocol subclass.
+ * Only methods defined in the CoprocessorProtocol interface will be callable
+ * by clients.
+ *
+ * @param {Buffer} row the row used to locate the region
+ * @param {String} protocolName Java interface name of the protocol,
+ *   e.g.: 'org.apache.hadoop.hbase.coprocessor.AggregateProtocol'
+ * @param {String} methodName
+ * @param {Array} parameters
+ * @param {Array} [parameterClasses] Java class names of the method parameters, e.g.: ['[B', 'long'],
+ *   infer from the parameters by default
+ */
+function Exec(row, protocolName, methodName, parameters, parameterClasses) {
+  if (!(this instanceof Exec)) {
+    return new Exec(row, protocolName, methodName, parameters, parameterClasses);
+  }
+
+  if (row && !Buffer.isBuffer(row)) {
+    row = Bytes.toBytes(row);
+  }
+  this.referenceRow = row;
+  this.protocolName = protocolName;
+  this.methodName = methodName;
+  this.parameters = parameters || [];
+  this.parameterClasses = [];
+  for (var i = 0; i < this.parameters.length; i++) {
+    var className = parameterClasses && parameterClasses[i];
+    this.parameterClasses.push(className || getParameterClassName(this.parameters[i], i));
+  }
+}
+
+Exec.prototype.getRow = function () {
+  return this.referenceRow;
+};
+
+Exec.prototype.getProtocolName = function () {
+  return this.protocolName;
+};
+
+Exec.prototype.write = function (out) {
+  // fields for Invocation
+  out.writeUTF(this.methodName);
+  out.writeInt(this.parameters.length);
+  for (var i = 0; i < this.parameters.length; i++) {
+    HbaseObjectWritable.writeObject(out, this.parameters[i]);
+    out.writeUTF(this.parameterClasses[i]);
+  }
+  // fields for Exec
+  Bytes.writeByteArray(out, this.referenceRow);
+  out.writeUTF(this.protocolName);
+};
+
+function getParameterClassName(value, index) {
+  if (Buffer.isBuffer(value)) {
+    return '[B';
+  }
+  if (value instanceof Long) {
+    return 'long';
+  }
+  if (typeof value === 'number') {
+    return 'int';
+  }
+  if (typeof value === 'boolean') {
+    return 'boolean';
+  }
+  if (typeof value === 'string') {
+    return 'java.lang.String';
+  }
+  if (value && value.constructor) {
+    if (OPERATION_CLASSES[value.constructor.name]) {
+      return OPERATION_CLASSES[value.constructor.name];
+    }
+    // filters
+    if (value.constructor.classname) {
+      return value.constructor.classname;
+    }
+  }
+  throw new IllegalArgumentException("Can't infer the Java class of parameter " + index +
+    ", please set it by parameterClasses");
+}
+
+
+module.exports = Exec;
@@ -0,0 +1,49 @@
+/**!
+ * node-hbase-client - lib/exec_result.js
+ *
+ * Copyright(c) Alibaba Group Holding Limited.
+ * MIT Licensed
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+
+var HbaseObjectWritable = require('./io/hbase_object_writable');
+
+/**
+ * Represents the return value from a
+ * {@link Exec} invocation.
+ * This simply wraps the value for easier
+ * {@link HbaseObjectWritable} serialization.
+ *
+ * @param {Buffer} regionName
+ * @param value
+ */
+function ExecResult(regionName, value) {
+  if (!(this instanceof ExecResult)) {
+    return new ExecResult(regionName, value);
+  }
+  this.regionName = regionName || null;
+  this.value = value === undefined ? null : value;
+}
+
+ExecResult.prototype.getRegionName = function () {
+  return this.regionName;
+};
+
+ExecResult.prototype.getValue = function () {
+  return this.value;
+};
+
+ExecResult.prototype.readFields = function (io) {
+  this.regionName = io.readByteArray();
+  this.value = HbaseObjectWritable.readObject(io);
+};
+
+
+// ExecResult has no class code, server sends its class name
+HbaseObjectWritable.addToClass('org.apache.hadoop.hbase.client.coprocessor.ExecResult', ExecResult);
+module.exports = ExecResult;
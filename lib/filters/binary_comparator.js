@@ -0,0 +1,37 @@
+/**!
+ * node-hbase-client - lib/filters/binary_comparator.js
+ *
+ * Copyright(c) Alibaba Group Holding Limited.
+ * MIT Licensed
+ */
+
+"use strict";
+
+/**
+ * Module dependencies.
+ */
+
+var util = require('util');
+var HbaseObjectWritable = require('../io/hbase_object_writable');
+var WritableByteArrayComparable = require('./writable_byte_array_comparable');
+
+/**
+ * A binary comparator which lexicographically compares against the specified
+ * byte array using `Bytes.compareTo(Buffer, Buffer)`.
+ *
+ * @param {String|Buffer} value the value to compare against
+ */
+function BinaryComparator(value) {
+  if (!(this instanceof BinaryComparator)) {
+    return new BinaryComparator(value);
+  }
+  WritableByteArrayComparable.call(this, value);
+}
+
+util.inherits(BinaryComparator, WritableByteArrayComparable);
+
+BinaryComparator.classname = 'org.apache.hadoop.hbase.filter.BinaryComparator';
+
+HbaseObjectWritable.addToClass('BinaryComparator.class', BinaryComparator);
+
+module.exports = BinaryComparator;
@@ -0,0 +1,39 @@
+/**!
+ * node-hbase-client - lib/filters/binary_prefix_comparator.js
+ *
+ * Copyright(c) Alibaba Group Holding Limited.
+ * MIT Licensed
+ */
+
+"use strict";
+
+/**
+ * Module dependencies.
+ */
+
+var util = require('util');
+var HbaseObjectWritable = require('../io/hbase_object_writable');
+var WritableByteArrayComparable = require('./writable_byte_array_comparable');
+
+/**
+ * A comparator which compares against a specified byte array, but only compares
+ * up to the length of this byte array. For the rest it is similar to
+ * {@link BinaryComparator}.
+ *
+ * @param {String|Buffer} value the value to compare against
+ */
+function BinaryPrefixComparator(value) {
+  if (!(this instanceof BinaryPrefixComparator)) {
+    return new BinaryPrefixComparator(value);
+  }
+  WritableByteArrayComparable.call(this, value);
+}
+
+util.inherits(BinaryPrefixComparator, WritableByteArrayComparable);
+
+BinaryPrefixComparator.classname = 'org.apache.hadoop.hbase.filter.BinaryPrefixComparator';
+
+// no class code in HbaseObjectWritable, written with its Java class name
+HbaseObjectWritable.addToClass(BinaryPrefixComparator.classname, BinaryPrefixComparator);
+
+module.exports = BinaryPrefixComparator;
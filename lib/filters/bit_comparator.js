@@ -0,0 +1,75 @@
+/**!
+ * node-hbase-client - lib/filters/bit_comparator.js
+ *
+ * Copyright(c) Alibaba Group Holding Limited.
+ * MIT Licensed
+ */
+
+"use strict";
+
+/**
+ * Module dependencies.
+ */
+
+var util = require('util');
+var HbaseObjectWritable = require('../io/hbase_object_writable');
+var WritableByteArrayComparable = require('./writable_byte_array_comparable');
+var IllegalArgumentException = require('../errors').IllegalArgumentException;
+
+/**
+ * A bit comparator which performs the specified bitwise operation on each of
+ * the bytes with the specified byte array. Matches when the result is not zero.
+ *
+ * @param {String|Buffer} value the value to compare against
+ * @param {String} bitOperator operator to use on the bit comparison, `BitComparator.BitwiseOp`
+ */
+function BitComparator(value, bitOperator) {
+  if (!(this instanceof BitComparator)) {
+    return new BitComparator(value, bitOperator);
+  }
+  WritableByteArrayComparable.call(this, value);
+  this.bitOperator = null;
+  if (value === undefined) {
+    // for readFields()
+    return;
+  }
+  this.bitOperator = BitComparator.checkBitwiseOp(bitOperator);
+}
+
+util.inherits(BitComparator, WritableByteArrayComparable);
+
+BitComparator.classname = 'org.apache.hadoop.hbase.filter.BitComparator';
+
+/**
+ * Bit operators, written by their Java enum names.
+ */
+BitComparator.BitwiseOp = {
+  AND: 'AND',
+  OR: 'OR',
+  XOR: 'XOR'
+};
+
+BitComparator.checkBitwiseOp = function (bitOperator) {
+  if (!BitComparator.BitwiseOp.hasOwnProperty(bitOperator)) {
+    throw new IllegalArgumentException('Unknown BitwiseOp: ' + bitOperator);
+  }
+  return bitOperator;
+};
+
+BitComparator.prototype.getOperator = function () {
+  return this.bitOperator;
+};
+
+BitComparator.prototype.readFields = function (io) {
+  WritableByteArrayComparable.prototype.readFields.call(this, io);
+  this.bitOperator = BitComparator.checkBitwiseOp(io.readUTF());
+};
+
+BitComparator.prototype.write = function (out) {
+  WritableByteArrayComparable.prototype.write.call(this, out);
+  out.writeUTF(this.bitOperator);
+};
+
+HbaseObjectWritable.addToClass('BitComparator.class', BitComparator);
+
+module.exports = BitComparator;
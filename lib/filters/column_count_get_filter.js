@@ -0,0 +1,64 @@
+/**!
+ * node-hbase-client - lib/filters/column_count_get_filter.js
+ *
+ * Copyright(c) Alibaba Group Holding Limited.
+ * MIT Licensed
+ */
+
+"use strict";
+
+/**
+ * Module dependencies.
+ */
+
+var util = require('util');
+var HbaseObjectWritable = require('../io/hbase_object_writable');
+var IllegalArgumentException = require('../errors').IllegalArgumentException;
+var FilterBase = require('./filter_base');
+
+/**
+ * Simple filter that returns first N columns on row only.
+ * This filter was written to test filters in Get and as soon as it gets
+ * its quota of columns, `filterAllRemaining()` returns true. This
+ * makes this filter unsuitable as a Scan filter.
+ *
+ * @param {Number} limit max columns of the row
+ */
+function ColumnCountGetFilter(limit) {
+  if (!(this instanceof ColumnCountGetFilter)) {
+    return new ColumnCountGetFilter(limit);
+  }
+  this.limit = 0;
+  if (limit === undefined) {
+    // for readFields()
+    return;
+  }
+  if (typeof limit !== 'number' || limit < 0) {
+    throw new IllegalArgumentException('limit be positive ' + limit);
+  }
+  this.limit = limit;
+}
+
+util.inherits(ColumnCountGetFilter, FilterBase);
+
+ColumnCountGetFilter.classname = 'org.apache.hadoop.hbase.filter.ColumnCountGetFilter';
+
+ColumnCountGetFilter.prototype.getLimit = function () {
+  return this.limit;
+};
+
+ColumnCountGetFilter.prototype.readFields = function (io) {
+  this.limit = io.readInt();
+};
+
+ColumnCountGetFilter.prototype.write = function (out) {
+  out.writeInt(this.limit);
+};
+
+ColumnCountGetFilter.prototype.toString = function () {
+  return 'ColumnCountGetFilter ' + this.limit;
+};
+
+HbaseObjectWritable.addToClass('ColumnCountGetFilter.class', ColumnCountGetFilter);
+
+module.exports = ColumnCountGetFilter;
@@ -0,0 +1,64 @@
+/**!
+ * node-hbase-client - lib/filters/column_pagination_filter.js
+ *
+ * Copyright(c) Alibaba Group Holding Limited.
+ * MIT Licensed
+ */
+
+"use strict";
+
+/**
+ * Module dependencies.
+ */
+
+var util = require('util');
+var HbaseObjectWritable = require('../io/hbase_object_writable');
+var FilterBase = require('./filter_base');
+
+/**
+ * A filter, based on the ColumnCountGetFilter, takes two arguments: limit and offset.
+ * This filter can be used for row-based indexing, where references to other tables are stored across many columns,
+ * in order to efficient lookups and paginated results for end users. Only most recent versions are considered
+ * for pagination.
+ *
+ * @param {Number} limit max columns of each row
+ * @param {Number} offset columns to skip of each row
+ */
+function ColumnPaginationFilter(limit, offset) {
+  if (!(this instanceof ColumnPaginationFilter)) {
+    return new ColumnPaginationFilter(limit, offset);
+  }
+  this.limit = limit || 0;
+  this.offset = offset || 0;
+}
+
+util.inherits(ColumnPaginationFilter, FilterBase);
+
+ColumnPaginationFilter.classname = 'org.apache.hadoop.hbase.filter.ColumnPaginationFilter';
+
+ColumnPaginationFilter.prototype.getLimit = function () {
+  return this.limit;
+};
+
+ColumnPaginationFilter.prototype.getOffset = function () {
+  return this.offset;
+};
+
+ColumnPaginationFilter.prototype.readFields = function (io) {
+  this.limit = io.readInt();
+  this.offset = io.readInt();
+};
+
+ColumnPaginationFilter.prototype.write = function (out) {
+  out.writeInt(this.limit);
+  out.writeInt(this.offset);
+};
+
+ColumnPaginationFilter.prototype.toString = function () {
+  return 'ColumnPaginationFilter (' + this.limit + ', ' + this.offset + ')';
+};
+
+// no class code in HbaseObjectWritable, written with its Java class name
+HbaseObjectWritable.addToClass(ColumnPaginationFilter.classname, ColumnPaginationFilter);
+
+module.exports = ColumnPaginationFilter;
@@ -13,10 +13,19 @@
  * Module dependencies.
  */
 
-/**
+var util = require('util');
+var HbaseObjectWritable = require('../io/hbase_object_writable');
+var Bytes = require('../util/bytes');
+var FilterBase = require('./filter_base');
 
+/**
+ * This filter is used for selecting only those keys with columns that matches
+ * a particular prefix.
  */
 function ColumnPrefixFilter(prefix) {
+  if (!(this instanceof ColumnPrefixFilter)) {
+    return new ColumnPrefixFilter(prefix);
+  }
   prefix = prefix === undefined ? '' : prefix;
 
   if (!Buffer.isBuffer(prefix)) {
@@ -26,19 +35,22 @@ function ColumnPrefixFilter(prefix) {
   this.prefix = prefix;
 }
 
+util.inherits(ColumnPrefixFilter, FilterBase);
+
 ColumnPrefixFilter.classname = 'org.apache.hadoop.hbase.filter.ColumnPrefixFilter';
 
-ColumnPrefixFilter.prototype.write = function (out) {
-  out.writeByte(this.prefix.length);
-  out.writeBytes(this.prefix);
+ColumnPrefixFilter.prototype.readFields = function (io) {
+  this.prefix = io.readByteArray();
 };
 
-ColumnPrefixFilter.prototype.getClass = function () {
-  return {getName: function() {return ColumnPrefixFilter.classname;}};
+ColumnPrefixFilter.prototype.write = function (out) {
+  Bytes.writeByteArray(out, this.prefix);
 };
 
 ColumnPrefixFilter.prototype.toString = function () {
   return 'ColumnPrefixFilter(prefix: ' + this.prefix + ')';
 };
 
+HbaseObjectWritable.addToClass('ColumnPrefixFilter.class', ColumnPrefixFilter);
+
 module.exports = ColumnPrefixFilter;
@@ -13,10 +13,19 @@
  * Module dependencies.
  */
 
-/**
+var util = require('util');
+var HbaseObjectWritable = require('../io/hbase_object_writable');
+var Bytes = require('../util/bytes');
+var FilterBase = require('./filter_base');
 
+/**
+ * This filter is used for selecting only those keys with columns that are
+ * between minColumn to maxColumn.
  */
 function ColumnRangeFilter(minColumn, minColumnInclusive, maxColumn, maxColumnInclusive) {
+  if (!(this instanceof ColumnRangeFilter)) {
+    return new ColumnRangeFilter(minColumn, minColumnInclusive, maxColumn, maxColumnInclusive);
+  }
   minColumn = minColumn === undefined ? '' : minColumn;
   maxColumn = maxColumn === undefined ? '' : maxColumn;
 
@@ -33,34 +42,42 @@ function ColumnRangeFilter(minColumn, minColumnInclusive, maxColumn, maxColumnIn
   this.maxColumnInclusive = maxColumnInclusive === null ? false : maxColumnInclusive;
 }
 
+util.inherits(ColumnRangeFilter, FilterBase);
+
 ColumnRangeFilter.classname = 'org.apache.hadoop.hbase.filter.ColumnRangeFilter';
 
+ColumnRangeFilter.prototype.readFields = function (io) {
+  var isMinColumnNull = io.readBoolean();
+  this.minColumn = io.readByteArray();
+  if (isMinColumnNull) {
+    this.minColumn = null;
+  }
+  this.minColumnInclusive = io.readBoolean();
+
+  var isMaxColumnNull = io.readBoolean();
+  this.maxColumn = io.readByteArray();
+  if (isMaxColumnNull) {
+    this.maxColumn = null;
+  }
+  this.maxColumnInclusive = io.readBoolean();
+};
+
 ColumnRangeFilter.prototype.write = function (out) {
+  // a flag for null value, to differentiate empty string and null
   out.writeBoolean(this.minColumn === null);
-  if (this.minColumn) {
-    out.writeByte(this.minColumn.length);
-    out.writeBytes(this.minColumn);
-  } else {
-    out.writeByte(0);
-  }
+  Bytes.writeByteArray(out, this.minColumn);
   out.writeBoolean(this.minColumnInclusive);
 
   out.writeBoolean(this.maxColumn === null);
-  if (this.maxColumn) {
-    out.writeByte(this.maxColumn.length);
-    out.writeBytes(this.maxColumn);
-  } else {
-    out.writeByte(0);
-  }
+  Bytes.writeByteArray(out, this.maxColumn);
   out.writeBoolean(this.maxColumnInclusive);
 };
 
-ColumnRangeFilter.prototype.getClass = function () {
-  return {getName: function() {return ColumnRangeFilter.classname;}};
-};
-
 ColumnRangeFilter.prototype.toString = function () {
-  return 'ColumnRangeFilter(minColumn: ' + this.minColumn+ ', minColumnInclusive: ' + this.minColumnInclusive + ', minColumn: ' + this.maxColumn + ', minColumnInclusive: ' + this.maxColumnInclusive + ')';
+  return 'ColumnRangeFilter(minColumn: ' + this.minColumn + ', minColumnInclusive: ' + this.minColumnInclusive +
+    ', maxColumn: ' + this.maxColumn + ', maxColumnInclusive: ' + this.maxColumnInclusive + ')';
 };
 
+HbaseObjectWritable.addToClass('ColumnRangeFilter.class', ColumnRangeFilter);
+
 module.exports = ColumnRangeFilter;
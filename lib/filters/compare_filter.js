@@ -0,0 +1,110 @@
+/**!
+ * node-hbase-client - lib/filters/compare_filter.js
+ *
+ * Copyright(c) Alibaba Group Holding Limited.
+ * MIT Licensed
+ */
+
+"use strict";
+
+/**
+ * Module dependencies.
+ */
+
+var util = require('util');
+var HbaseObjectWritable = require('../io/hbase_object_writable');
+var Bytes = require('../util/bytes');
+var IllegalArgumentException = require('../errors').IllegalArgumentException;
+var BinaryComparator = require('./binary_comparator');
+var FilterBase = require('./filter_base');
+
+/**
+ * This is a generic filter to be used to filter by comparison. It takes an
+ * operator (equal, greater, not equal, etc) and a byte [] comparator.
+ * <p>
+ * To filter by row key, use {@link RowFilter}.
+ * <p>
+ * To filter by column qualifier, use {@link QualifierFilter}.
+ * <p>
+ * To filter by value, use {@link ValueFilter}.
+ * <p>
+ * To filter by column family, use {@link FamilyFilter}.
+ *
+ * @param {String} compareOp the compare op for row matching, `CompareFilter.CompareOp`
+ * @param {WritableByteArrayComparable|String|Buffer} comparator the comparator for row matching,
+ *   a String or Buffer will be compared by {@link BinaryComparator}
+ */
+function CompareFilter(compareOp, comparator) {
+  this.compareOp = null;
+  this.comparator = null;
+  if (compareOp === undefined) {
+    // for readFields()
+    return;
+  }
+  this.compareOp = CompareFilter.checkCompareOp(compareOp);
+  this.comparator = CompareFilter.toComparator(comparator);
+}
+
+util.inherits(CompareFilter, FilterBase);
+
+CompareFilter.classname = 'org.apache.hadoop.hbase.filter.CompareFilter';
+
+/**
+ * Comparison operators, written by their Java enum names.
+ */
+CompareFilter.CompareOp = {
+  LESS: 'LESS',
+  LESS_OR_EQUAL: 'LESS_OR_EQUAL',
+  EQUAL: 'EQUAL',
+  NOT_EQUAL: 'NOT_EQUAL',
+  GREATER_OR_EQUAL: 'GREATER_OR_EQUAL',
+  GREATER: 'GREATER',
+  NO_OP: 'NO_OP'
+};
+
+CompareFilter.checkCompareOp = function (compareOp) {
+  if (!CompareFilter.CompareOp.hasOwnProperty(compareOp)) {
+    throw new IllegalArgumentException('Unknown CompareOp: ' + compareOp);
+  }
+  return compareOp;
+};
+
+/**
+ * Use a String or Buffer value as {@link BinaryComparator}.
+ *
+ * @param {WritableByteArrayComparable|String|Buffer} comparator
+ * @return {WritableByteArrayComparable}
+ */
+CompareFilter.toComparator = function (comparator) {
+  if (!comparator || Buffer.isBuffer(comparator) || typeof comparator.write !== 'function') {
+    comparator = new BinaryComparator(comparator === undefined || comparator === null ? '' : comparator);
+  }
+  return comparator;
+};
+
+var proto = CompareFilter.prototype;
+
+proto.getOperator = function () {
+  return this.compareOp;
+};
+
+proto.getComparator = function () {
+  return this.comparator;
+};
+
+proto.readFields = function (io) {
+  this.compareOp = CompareFilter.checkCompareOp(io.readUTF());
+  this.comparator = HbaseObjectWritable.readObject(io);
+};
+
+proto.write = function (out) {
+  out.writeUTF(this.compareOp);
+  HbaseObjectWritable.writeObject(out, this.comparator, 'WritableByteArrayComparable.class');
+};
+
+proto.toString = function () {
+  return this.constructor.name + ' (' + this.compareOp + ', ' +
+    Bytes.toStringBinary(this.comparator.getValue()) + ')';
+};
+
+module.exports = CompareFilter;
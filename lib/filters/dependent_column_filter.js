@@ -0,0 +1,98 @@
+/**!
+ * node-hbase-client - lib/filters/dependent_column_filter.js
+ *
+ * Copyright(c) Alibaba Group Holding Limited.
+ * MIT Licensed
+ */
+
+"use strict";
+
+/**
+ * Module dependencies.
+ */
+
+var util = require('util');
+var HbaseObjectWritable = require('../io/hbase_object_writable');
+var Bytes = require('../util/bytes');
+var CompareFilter = require('./compare_filter');
+
+/**
+ * A filter for adding inter-column timestamp matching
+ * Only cells with a correspondingly timestamped entry in
+ * the target column will be retained
+ * Not compatible with Scan.setBatch as operations need
+ * full rows for correct filtering
+ *
+ * @param {String|Buffer} family name of target column family
+ * @param {String|Buffer} qualifier name of column qualifier
+ * @param {Boolean} [dropDependentColumn] whether the column should be discarded after, default is false
+ * @param {String} [compareOp] comparison op for the value check, default is `CompareOp.NO_OP`
+ * @param {WritableByteArrayComparable|String|Buffer} [comparator] the value comparator,
+ *   default is null for no value check
+ */
+function DependentColumnFilter(family, qualifier, dropDependentColumn, compareOp, comparator) {
+  if (!(this instanceof DependentColumnFilter)) {
+    return new DependentColumnFilter(family, qualifier, dropDependentColumn, compareOp, comparator);
+  }
+  CompareFilter.call(this);
+  this.columnFamily = null;
+  this.columnQualifier = null;
+  this.dropDependentColumn = false;
+  if (family === undefined) {
+    // for readFields()
+    return;
+  }
+  this.columnFamily = Bytes.toBytes(family);
+  this.columnQualifier = Bytes.toBytes(qualifier);
+  this.dropDependentColumn = !!dropDependentColumn;
+  this.compareOp = CompareFilter.checkCompareOp(compareOp || CompareFilter.CompareOp.NO_OP);
+  if (comparator !== undefined && comparator !== null) {
+    this.comparator = CompareFilter.toComparator(comparator);
+  }
+}
+
+util.inherits(DependentColumnFilter, CompareFilter);
+
+DependentColumnFilter.classname = 'org.apache.hadoop.hbase.filter.DependentColumnFilter';
+
+DependentColumnFilter.prototype.getFamily = function () {
+  return this.columnFamily;
+};
+
+DependentColumnFilter.prototype.getQualifier = function () {
+  return this.columnQualifier;
+};
+
+DependentColumnFilter.prototype.getDropDependentColumn = function () {
+  return this.dropDependentColumn;
+};
+
+DependentColumnFilter.prototype.readFields = function (io) {
+  CompareFilter.prototype.readFields.call(this, io);
+  this.columnFamily = io.readByteArray();
+  if (this.columnFamily.length === 0) {
+    this.columnFamily = null;
+  }
+  this.columnQualifier = io.readByteArray();
+  if (this.columnQualifier.length === 0) {
+    this.columnQualifier = null;
+  }
+  this.dropDependentColumn = io.readBoolean();
+};
+
+DependentColumnFilter.prototype.write = function (out) {
+  CompareFilter.prototype.write.call(this, out);
+  Bytes.writeByteArray(out, this.columnFamily);
+  Bytes.writeByteArray(out, this.columnQualifier);
+  out.writeBoolean(this.dropDependentColumn);
+};
+
+DependentColumnFilter.prototype.toString = function () {
+  return 'DependentColumnFilter (' + Bytes.toStringBinary(this.columnFamily) + ', ' +
+    Bytes.toStringBinary(this.columnQualifier) + ', ' + this.dropDependentColumn + ', ' + this.compareOp + ', ' +
+    (this.comparator ? Bytes.toStringBinary(this.comparator.getValue()) : 'null') + ')';
+};
+
+HbaseObjectWritable.addToClass('DependentColumnFilter.class', DependentColumnFilter);
+
+module.exports = DependentColumnFilter;
@@ -0,0 +1,43 @@
+/**!
+ * node-hbase-client - lib/filters/family_filter.js
+ *
+ * Copyright(c) Alibaba Group Holding Limited.
+ * MIT Licensed
+ */
+
+"use strict";
+
+/**
+ * Module dependencies.
+ */
+
+var util = require('util');
+var HbaseObjectWritable = require('../io/hbase_object_writable');
+var CompareFilter = require('./compare_filter');
+
+/**
+ * This filter is used to filter based on the column family. It takes an
+ * operator (equal, greater, not equal, etc) and a byte [] comparator for the
+ * column family portion of a key.
+ * <p>
+ * If an already known column family is looked for, use Get.addFamily()
+ * directly rather than a filter.
+ *
+ * @param {String} compareOp `CompareFilter.CompareOp`
+ * @param {WritableByteArrayComparable|String|Buffer} comparator
+ */
+function FamilyFilter(compareOp, comparator) {
+  if (!(this instanceof FamilyFilter)) {
+    return new FamilyFilter(compareOp, comparator);
+  }
+  CompareFilter.call(this, compareOp, comparator);
+}
+
+util.inherits(FamilyFilter, CompareFilter);
+
+FamilyFilter.classname = 'org.apache.hadoop.hbase.filter.FamilyFilter';
+
+// no class code in HbaseObjectWritable, written with its Java class name
+HbaseObjectWritable.addToClass(FamilyFilter.classname, FamilyFilter);
+
+module.exports = FamilyFilter;
@@ -0,0 +1,71 @@
+/**!
+ * node-hbase-client - lib/filters/filter_base.js
+ *
+ * Copyright(c) Alibaba Group Holding Limited.
+ * MIT Licensed
+ */
+
+"use strict";
+
+/**
+ * Module dependencies.
+ */
+
+var Bytes = require('../util/bytes');
+
+/**
+ * Abstract base class of all filters, a filter is a Writable of HBase:
+ *
+ * - `Filter.classname`: the Java class name, written before the filter by `Scan` and `Get`
+ * - `write(out)`: write the fields of the filter
+ * - `readFields(io)`: read the fields written by `write()`, on a filter created without arguments
+ * - `toString()`
+ *
+ * The default implementation is a filter without fields.
+ */
+function FilterBase() {}
+
+FilterBase.classname = 'org.apache.hadoop.hbase.filter.FilterBase';
+
+/**
+ * Write the Java class name and the fields of `filter`, as `Scan` and `Get` do.
+ *
+ * @param {DataOutput} out
+ * @param {FilterBase} filter
+ */
+FilterBase.writeFilter = function (out, filter) {
+  Bytes.writeByteArray(out, Bytes.toBytes(filter.getClass().getName()));
+  filter.write(out);
+};
+
+/**
+ * Read a filter written by `FilterBase.writeFilter()`.
+ *
+ * @param {DataInput} io
+ * @return {FilterBase}
+ * @throws IOException if the filter class is not found
+ */
+FilterBase.readFilter = function (io) {
+  // lazy require, filters/index requires all the filters
+  var Filter = require('./index').forName(Bytes.toString(io.readByteArray()));
+  var filter = new Filter();
+  filter.readFields(io);
+  return filter;
+};
+
+var proto = FilterBase.prototype;
+
+proto.getClass = function () {
+  var classname = this.constructor.classname;
+  return {getName: function () {return classname;}};
+};
+
+proto.readFields = function (io) {};
+
+proto.write = function (out) {};
+
+proto.toString = function () {
+  return this.constructor.name;
+};
+
+module.exports = FilterBase;
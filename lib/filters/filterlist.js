@@ -15,6 +15,7 @@
 
 var util = require('util');
 var HbaseObjectWritable = require('../io/hbase_object_writable');
+var FilterBase = require('./filter_base');
 
 /**
  * Implementation of {@link Filter} that represents an ordered List of Filters
@@ -36,11 +37,16 @@ var HbaseObjectWritable = require('../io/hbase_object_writable');
  */
 
 function FilterList(options) {
+  if (!(this instanceof FilterList)) {
+    return new FilterList(options);
+  }
   options = options || {};
   this.operator = options.operator || FilterList.Operator.MUST_PASS_ALL;
   this.filters = [];
 }
 
+util.inherits(FilterList, FilterBase);
+
 FilterList.MAX_LOG_FILTERS = 5;
 
 FilterList.Operator = {
@@ -50,12 +56,17 @@ FilterList.Operator = {
 
 FilterList.classname = 'org.apache.hadoop.hbase.filter.FilterList';
 
-FilterList.prototype.getClass = function () {
-  return {getName: function() {return FilterList.classname;}};
-};
-
 var proto = FilterList.prototype;
 
+proto.readFields = function (io) {
+  this.operator = io.readByte();
+  var size = io.readInt();
+  this.filters = [];
+  for (var i = 0; i < size; i++) {
+    this.filters.push(HbaseObjectWritable.readObject(io));
+  }
+};
+
 proto.write = function (out) {
   out.writeByte(this.operator);
   out.writeInt(this.filters.length);
@@ -83,4 +94,7 @@ proto.toString = function () {
   );
 };
 
+// no class code in HbaseObjectWritable, written with its Java class name
+HbaseObjectWritable.addToClass(FilterList.classname, FilterList);
+
 module.exports = FilterList;
@@ -13,21 +13,25 @@
  * Module dependencies.
  */
 
+var util = require('util');
+var HbaseObjectWritable = require('../io/hbase_object_writable');
+var FilterBase = require('./filter_base');
+
 /**
  * A filter that will only return the first KV from each row.
  * <p>
  * This filter can be used to more efficiently perform row count operations.
  */
 function FirstKeyOnlyFilter() {
-
+  if (!(this instanceof FirstKeyOnlyFilter)) {
+    return new FirstKeyOnlyFilter();
+  }
 }
 
-FirstKeyOnlyFilter.classname = 'org.apache.hadoop.hbase.filter.FirstKeyOnlyFilter';
+util.inherits(FirstKeyOnlyFilter, FilterBase);
 
-FirstKeyOnlyFilter.prototype.write = function (out) {};
+FirstKeyOnlyFilter.classname = 'org.apache.hadoop.hbase.filter.FirstKeyOnlyFilter';
 
-FirstKeyOnlyFilter.prototype.toString = function () {
-  return 'FirstKeyOnlyFilter';
-};
+HbaseObjectWritable.addToClass('FirstKeyOnlyFilter.class', FirstKeyOnlyFilter);
 
 module.exports = FirstKeyOnlyFilter;
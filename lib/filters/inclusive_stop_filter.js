@@ -0,0 +1,57 @@
+/**!
+ * node-hbase-client - lib/filters/inclusive_stop_filter.js
+ *
+ * Copyright(c) Alibaba Group Holding Limited.
+ * MIT Licensed
+ */
+
+"use strict";
+
+/**
+ * Module dependencies.
+ */
+
+var util = require('util');
+var HbaseObjectWritable = require('../io/hbase_object_writable');
+var Bytes = require('../util/bytes');
+var FilterBase = require('./filter_base');
+
+/**
+ * A Filter that stops after the given row. There is no "RowStopFilter" because
+ * the Scan spec allows you to specify a stop row.
+ *
+ * Use this filter to include the stop row, eg: [A,Z].
+ *
+ * @param {String|Buffer} stopRowKey the last row key to return
+ */
+function InclusiveStopFilter(stopRowKey) {
+  if (!(this instanceof InclusiveStopFilter)) {
+    return new InclusiveStopFilter(stopRowKey);
+  }
+  // `undefined` for readFields()
+  this.stopRowKey = stopRowKey === undefined || stopRowKey === null ? null : Bytes.toBytes(stopRowKey);
+}
+
+util.inherits(InclusiveStopFilter, FilterBase);
+
+InclusiveStopFilter.classname = 'org.apache.hadoop.hbase.filter.InclusiveStopFilter';
+
+InclusiveStopFilter.prototype.getStopRowKey = function () {
+  return this.stopRowKey;
+};
+
+InclusiveStopFilter.prototype.readFields = function (io) {
+  this.stopRowKey = io.readByteArray();
+};
+
+InclusiveStopFilter.prototype.write = function (out) {
+  Bytes.writeByteArray(out, this.stopRowKey);
+};
+
+InclusiveStopFilter.prototype.toString = function () {
+  return 'InclusiveStopFilter ' + (this.stopRowKey ? Bytes.toStringBinary(this.stopRowKey) : '');
+};
+
+HbaseObjectWritable.addToClass('InclusiveStopFilter.class', InclusiveStopFilter);
+
+module.exports = InclusiveStopFilter;
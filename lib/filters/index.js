@@ -13,8 +13,57 @@
  * Module dependencies.
  */
 
+var IOException = require('../errors').IOException;
+
+exports.FilterBase = require('./filter_base');
 exports.FilterList = require('./filterlist');
 exports.FirstKeyOnlyFilter = require('./first_keyonly');
 exports.KeyOnlyFilter = require('./keyonly');
 exports.ColumnPrefixFilter = require('./columnprefix');
 exports.ColumnRangeFilter = require('./columnrange');
+
+exports.CompareFilter = require('./compare_filter');
+exports.CompareOp = exports.CompareFilter.CompareOp;
+exports.RowFilter = require('./row_filter');
+exports.ValueFilter = require('./value_filter');
+exports.QualifierFilter = require('./qualifier_filter');
+exports.FamilyFilter = require('./family_filter');
+exports.SingleColumnValueFilter = require('./single_column_value_filter');
+exports.SingleColumnValueExcludeFilter = require('./single_column_value_exclude_filter');
+exports.PrefixFilter = require('./prefix_filter');
+exports.PageFilter = require('./page_filter');
+exports.InclusiveStopFilter = require('./inclusive_stop_filter');
+exports.WhileMatchFilter = require('./while_match_filter');
+exports.SkipFilter = require('./skip_filter');
+exports.ColumnPaginationFilter = require('./column_pagination_filter');
+exports.ColumnCountGetFilter = require('./column_count_get_filter');
+exports.MultipleColumnPrefixFilter = require('./multiple_column_prefix_filter');
+exports.TimestampsFilter = require('./timestamps_filter');
+exports.DependentColumnFilter = require('./dependent_column_filter');
+exports.RandomRowFilter = require('./random_row_filter');
+
+exports.parse = require('./parse_filter').parse;
+
+exports.WritableByteArrayComparable = require('./writable_byte_array_comparable');
+exports.BinaryComparator = require('./binary_comparator');
+exports.BinaryPrefixComparator = require('./binary_prefix_comparator');
+exports.BitComparator = require('./bit_comparator');
+exports.NullComparator = require('./null_comparator');
+exports.RegexStringComparator = require('./regex_string_comparator');
+exports.SubstringComparator = require('./substring_comparator');
+
+/**
+ * Find the filter or comparator by its Java class name.
+ *
+ * @param {String} classname e.g.: 'org.apache.hadoop.hbase.filter.PrefixFilter'
+ * @return {Function} the filter class
+ * @throws IOException if the class is not found
+ */
+exports.forName = function (classname) {
+  for (var name in exports) {
+    if (exports[name].classname === classname) {
+      return exports[name];
+    }
+  }
+  throw new IOException("Can't find class " + classname);
+};
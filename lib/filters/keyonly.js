@@ -13,6 +13,10 @@
  * Module dependencies.
  */
 
+var util = require('util');
+var HbaseObjectWritable = require('../io/hbase_object_writable');
+var FilterBase = require('./filter_base');
+
 /**
  * A filter that will only return the key component of each KV (the value will
  * be rewritten as empty).
@@ -21,11 +25,20 @@
  * the values.
  */
 function KeyOnlyFilter(lenAsVal) {
+  if (!(this instanceof KeyOnlyFilter)) {
+    return new KeyOnlyFilter(lenAsVal);
+  }
   this.lenAsVal = !!lenAsVal;
 }
 
+util.inherits(KeyOnlyFilter, FilterBase);
+
 KeyOnlyFilter.classname = 'org.apache.hadoop.hbase.filter.KeyOnlyFilter';
 
+KeyOnlyFilter.prototype.readFields = function (io) {
+  this.lenAsVal = io.readBoolean();
+};
+
 KeyOnlyFilter.prototype.write = function (out) {
   out.writeBoolean(this.lenAsVal);
 };
@@ -34,4 +47,6 @@ KeyOnlyFilter.prototype.toString = function () {
   return 'KeyOnlyFilter(lenAsVal: ' + this.lenAsVal + ')';
 };
 
+HbaseObjectWritable.addToClass('KeyOnlyFilter.class', KeyOnlyFilter);
+
 module.exports = KeyOnlyFilter;
@@ -0,0 +1,80 @@
+/**!
+ * node-hbase-client - lib/filters/multiple_column_prefix_filter.js
+ *
+ * Copyright(c) Alibaba Group Holding Limited.
+ * MIT Licensed
+ */
+
+"use strict";
+
+/**
+ * Module dependencies.
+ */
+
+var util = require('util');
+var HbaseObjectWritable = require('../io/hbase_object_writable');
+var Bytes = require('../util/bytes');
+var IllegalArgumentException = require('../errors').IllegalArgumentException;
+var FilterBase = require('./filter_base');
+
+/**
+ * This filter is used for selecting only those keys with columns that matches
+ * a particular prefix. For example, if prefix is 'an', it will pass keys will
+ * columns like 'and', 'anti' but not keys with columns like 'ball', 'act'.
+ *
+ * @param {Array} prefixes String or Buffer prefixes, must be distinct
+ */
+function MultipleColumnPrefixFilter(prefixes) {
+  if (!(this instanceof MultipleColumnPrefixFilter)) {
+    return new MultipleColumnPrefixFilter(prefixes);
+  }
+  // sorted and distinct prefixes
+  this.sortedPrefixes = [];
+  prefixes = (prefixes || []).map(function (prefix) {
+    return Bytes.toBytes(prefix);
+  }).sort(Bytes.compareTo);
+  for (var i = 0; i < prefixes.length; i++) {
+    if (i > 0 && Bytes.compareTo(prefixes[i - 1], prefixes[i]) === 0) {
+      throw new IllegalArgumentException('prefixes must be distinct');
+    }
+    this.sortedPrefixes.push(prefixes[i]);
+  }
+}
+
+util.inherits(MultipleColumnPrefixFilter, FilterBase);
+
+MultipleColumnPrefixFilter.classname = 'org.apache.hadoop.hbase.filter.MultipleColumnPrefixFilter';
+
+MultipleColumnPrefixFilter.MAX_LOG_PREFIXES = 5;
+
+MultipleColumnPrefixFilter.prototype.getPrefix = function () {
+  return this.sortedPrefixes;
+};
+
+MultipleColumnPrefixFilter.prototype.readFields = function (io) {
+  var size = io.readInt();
+  this.sortedPrefixes = [];
+  for (var i = 0; i < size; i++) {
+    this.sortedPrefixes.push(io.readByteArray());
+  }
+};
+
+MultipleColumnPrefixFilter.prototype.write = function (out) {
+  out.writeInt(this.sortedPrefixes.length);
+  for (var i = 0; i < this.sortedPrefixes.length; i++) {
+    Bytes.writeByteArray(out, this.sortedPrefixes[i]);
+  }
+};
+
+MultipleColumnPrefixFilter.prototype.toString = function () {
+  var prefixes = this.sortedPrefixes.slice(0, MultipleColumnPrefixFilter.MAX_LOG_PREFIXES);
+  return 'MultipleColumnPrefixFilter (' + prefixes.length + '/' + this.sortedPrefixes.length + '): [' +
+    prefixes.map(function (prefix) {
+      return Bytes.toStringBinary(prefix);
+    }).join(', ') + ']';
+};
+
+// no class code in HbaseObjectWritable, written with its Java class name
+HbaseObjectWritable.addToClass(MultipleColumnPrefixFilter.classname, MultipleColumnPrefixFilter);
+
+module.exports = MultipleColumnPrefixFilter;
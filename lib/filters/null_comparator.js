@@ -0,0 +1,36 @@
+/**!
+ * node-hbase-client - lib/filters/null_comparator.js
+ *
+ * Copyright(c) Alibaba Group Holding Limited.
+ * MIT Licensed
+ */
+
+"use strict";
+
+/**
+ * Module dependencies.
+ */
+
+var util = require('util');
+var HbaseObjectWritable = require('../io/hbase_object_writable');
+var WritableByteArrayComparable = require('./writable_byte_array_comparable');
+
+/**
+ * A comparator which matches the null or empty values,
+ * it is written as an empty byte array.
+ */
+function NullComparator() {
+  if (!(this instanceof NullComparator)) {
+    return new NullComparator();
+  }
+  WritableByteArrayComparable.call(this, new Buffer(0));
+}
+
+util.inherits(NullComparator, WritableByteArrayComparable);
+
+NullComparator.classname = 'org.apache.hadoop.hbase.filter.NullComparator';
+
+// no class code in HbaseObjectWritable, written with its Java class name
+HbaseObjectWritable.addToClass(NullComparator.classname, NullComparator);
+
+module.exports = NullComparator;
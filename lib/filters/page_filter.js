@@ -0,0 +1,73 @@
+/**!
+ * node-hbase-client - lib/filters/page_filter.js
+ *
+ * Copyright(c) Alibaba Group Holding Limited.
+ * MIT Licensed
+ */
+
+"use strict";
+
+/**
+ * Module dependencies.
+ */
+
+var util = require('util');
+var Long = require('long');
+var HbaseObjectWritable = require('../io/hbase_object_writable');
+var IllegalArgumentException = require('../errors').IllegalArgumentException;
+var FilterBase = require('./filter_base');
+
+/**
+ * Implementation of Filter interface that limits results to a specific page
+ * size. It terminates scanning once the number of filter-passed rows is >
+ * the given page size.
+ * <p>
+ * Note that this filter cannot guarantee that the number of results returned
+ * to a client are <= page size. This is because the filter is applied
+ * separately on different region servers. It does however optimize the scan of
+ * individual HRegions by making sure that the page size is never exceeded
+ * locally.
+ *
+ * @param {Number|Long} pageSize Maximum result size.
+ */
+function PageFilter(pageSize) {
+  if (!(this instanceof PageFilter)) {
+    return new PageFilter(pageSize);
+  }
+  this.pageSize = Long.MAX_VALUE.toNumber();
+  if (pageSize === undefined) {
+    // for readFields()
+    return;
+  }
+  if (pageSize instanceof Long) {
+    pageSize = pageSize.toNumber();
+  }
+  if (typeof pageSize !== 'number' || pageSize < 0) {
+    throw new IllegalArgumentException('must be positive ' + pageSize);
+  }
+  this.pageSize = pageSize;
+}
+
+util.inherits(PageFilter, FilterBase);
+
+PageFilter.classname = 'org.apache.hadoop.hbase.filter.PageFilter';
+
+PageFilter.prototype.getPageSize = function () {
+  return this.pageSize;
+};
+
+PageFilter.prototype.readFields = function (io) {
+  this.pageSize = io.readLong().toNumber();
+};
+
+PageFilter.prototype.write = function (out) {
+  out.writeLong(Long.fromNumber(this.pageSize));
+};
+
+PageFilter.prototype.toString = function () {
+  return 'PageFilter ' + this.pageSize;
+};
+
+HbaseObjectWritable.addToClass('PageFilter.class', PageFilter);
+
+module.exports = PageFilter;
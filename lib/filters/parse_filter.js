@@ -0,0 +1,431 @@
+/**!
+ * node-hbase-client - lib/filters/parse_filter.js
+ *
+ * Copyright(c) Alibaba Group Holding Limited.
+ * MIT Licensed
+ */
+
+"use strict";
+
+/**
+ * Module dependencies.
+ */
+
+var IllegalArgumentException = require('../errors').IllegalArgumentException;
+var FilterList = require('./filterlist');
+var KeyOnlyFilter = require('./keyonly');
+var FirstKeyOnlyFilter = require('./first_keyonly');
+var ColumnPrefixFilter = require('./columnprefix');
+var ColumnRangeFilter = require('./columnrange');
+var CompareFilter = require('./compare_filter');
+var RowFilter = require('./row_filter');
+var ValueFilter = require('./value_filter');
+var QualifierFilter = require('./qualifier_filter');
+var FamilyFilter = require('./family_filter');
+var SingleColumnValueFilter = require('./single_column_value_filter');
+var SingleColumnValueExcludeFilter = require('./single_column_value_exclude_filter');
+var PrefixFilter = require('./prefix_filter');
+var PageFilter = require('./page_filter');
+var InclusiveStopFilter = require('./inclusive_stop_filter');
+var WhileMatchFilter = require('./while_match_filter');
+var SkipFilter = require('./skip_filter');
+var ColumnPaginationFilter = require('./column_pagination_filter');
+var ColumnCountGetFilter = require('./column_count_get_filter');
+var MultipleColumnPrefixFilter = require('./multiple_column_prefix_filter');
+var TimestampsFilter = require('./timestamps_filter');
+var DependentColumnFilter = require('./dependent_column_filter');
+var BinaryComparator = require('./binary_comparator');
+var BinaryPrefixComparator = require('./binary_prefix_comparator');
+var RegexStringComparator = require('./regex_string_comparator');
+var SubstringComparator = require('./substring_comparator');
+
+var CompareOp = CompareFilter.CompareOp;
+
+var COMPARE_OPS = {
+  '<': CompareOp.LESS,
+  '<=': CompareOp.LESS_OR_EQUAL,
+  '=': CompareOp.EQUAL,
+  '!=': CompareOp.NOT_EQUAL,
+  '>=': CompareOp.GREATER_OR_EQUAL,
+  '>': CompareOp.GREATER
+};
+
+var COMPARATORS = {
+  binary: BinaryComparator,
+  binaryprefix: BinaryPrefixComparator,
+  regexstring: RegexStringComparator,
+  substring: SubstringComparator
+};
+
+function createCompareFilter(Filter) {
+  return {
+    args: [['compareOp', 'comparator']],
+    create: function (compareOp, comparator) {
+      return new Filter(compareOp, comparator);
+    }
+  };
+}
+
+function createSingleColumnValueFilter(Filter) {
+  return {
+    args: [
+      ['string', 'string', 'compareOp', 'comparator'],
+      ['string', 'string', 'compareOp', 'comparator', 'boolean', 'boolean']
+    ],
+    create: function (family, qualifier, compareOp, comparator, filterIfMissing, latestVersionOnly) {
+      var filter = new Filter(family, qualifier, compareOp, comparator);
+      if (arguments.length === 6) {
+        filter.setFilterIfMissing(filterIfMissing);
+        filter.setLatestVersionOnly(latestVersionOnly);
+      }
+      return filter;
+    }
+  };
+}
+
+/**
+ * Filters supported by the filter language, with their argument types.
+ * `args` lists the accepted argument lists, `variadic` is the type of any number of arguments.
+ */
+var FILTERS = {
+  KeyOnlyFilter: {
+    args: [[]],
+    create: function () {
+      return new KeyOnlyFilter();
+    }
+  },
+  FirstKeyOnlyFilter: {
+    args: [[]],
+    create: function () {
+      return new FirstKeyOnlyFilter();
+    }
+  },
+  PrefixFilter: {
+    args: [['string']],
+    create: function (prefix) {
+      return new PrefixFilter(prefix);
+    }
+  },
+  ColumnPrefixFilter: {
+    args: [['string']],
+    create: function (prefix) {
+      return new ColumnPrefixFilter(prefix);
+    }
+  },
+  MultipleColumnPrefixFilter: {
+    variadic: 'string',
+    create: function () {
+      return new MultipleColumnPrefixFilter(Array.prototype.slice.call(arguments));
+    }
+  },
+  ColumnCountGetFilter: {
+    args: [['number']],
+    create: function (limit) {
+      return new ColumnCountGetFilter(limit);
+    }
+  },
+  PageFilter: {
+    args: [['number']],
+    create: function (pageSize) {
+      return new PageFilter(pageSize);
+    }
+  },
+  ColumnPaginationFilter: {
+    args: [['number', 'number']],
+    create: function (limit, offset) {
+      return new ColumnPaginationFilter(limit, offset);
+    }
+  },
+  InclusiveStopFilter: {
+    args: [['string']],
+    create: function (stopRowKey) {
+      return new InclusiveStopFilter(stopRowKey);
+    }
+  },
+  TimestampsFilter: {
+    variadic: 'number',
+    create: function () {
+      return new TimestampsFilter(Array.prototype.slice.call(arguments));
+    }
+  },
+  RowFilter: createCompareFilter(RowFilter),
+  FamilyFilter: createCompareFilter(FamilyFilter),
+  QualifierFilter: createCompareFilter(QualifierFilter),
+  ValueFilter: createCompareFilter(ValueFilter),
+  ColumnRangeFilter: {
+    args: [['string', 'boolean', 'string', 'boolean']],
+    create: function (minColumn, minColumnInclusive, maxColumn, maxColumnInclusive) {
+      return new ColumnRangeFilter(minColumn, minColumnInclusive, maxColumn, maxColumnInclusive);
+    }
+  },
+  DependentColumnFilter: {
+    args: [
+      ['string', 'string'],
+      ['string', 'string', 'boolean'],
+      ['string', 'string', 'boolean', 'compareOp', 'comparator']
+    ],
+    create: function (family, qualifier, dropDependentColumn, compareOp, comparator) {
+      return new DependentColumnFilter(family, qualifier, dropDependentColumn, compareOp, comparator);
+    }
+  },
+  SingleColumnValueFilter: createSingleColumnValueFilter(SingleColumnValueFilter),
+  SingleColumnValueExcludeFilter: createSingleColumnValueFilter(SingleColumnValueExcludeFilter)
+};
+
+var TYPE_NAMES = {
+  string: 'a quoted string',
+  number: 'a number',
+  boolean: 'true or false',
+  compareOp: 'a compare operator',
+  comparator: "a quoted comparator, e.g.: 'binary:abc'"
+};
+
+function syntaxError(message, position) {
+  var err = new IllegalArgumentException(message + ' at position ' + position);
+  err.position = position;
+  return err;
+}
+
+/**
+ * Split the filter string into tokens: `{type, value, position}`.
+ */
+function tokenize(expression) {
+  var tokens = [];
+  var i = 0;
+  var m;
+  while (i < expression.length) {
+    var c = expression[i];
+    if (/\s/.test(c)) {
+      i++;
+      continue;
+    }
+    var start = i;
+    if (c === '(' || c === ')' || c === ',') {
+      tokens.push({type: c, value: c, position: start});
+      i++;
+    } else if (c === "'") {
+      // a quote in the string is escaped by doubling it
+      var value = '';
+      i++;
+      while (true) {
+        if (i >= expression.length) {
+          throw syntaxError('Unterminated quoted string', start);
+        }
+        if (expression[i] === "'") {
+          if (expression[i + 1] !== "'") {
+            break;
+          }
+          i++;
+        }
+        value += expression[i];
+        i++;
+      }
+      i++;
+      tokens.push({type: 'string', value: value, position: start});
+    } else if ((m = /^(<=|>=|!=|<|>|=)/.exec(expression.slice(i)))) {
+      tokens.push({type: 'compareOp', value: COMPARE_OPS[m[1]], position: start});
+      i += m[1].length;
+    } else if ((m = /^-?\d+/.exec(expression.slice(i)))) {
+      tokens.push({type: 'number', value: Number(m[0]), position: start});
+      i += m[0].length;
+    } else if ((m = /^[A-Za-z_]\w*/.exec(expression.slice(i)))) {
+      var word = m[0];
+      var lower = word.toLowerCase();
+      if (word === 'AND' || word === 'OR' || word === 'SKIP' || word === 'WHILE') {
+        tokens.push({type: word, value: word, position: start});
+      } else if (lower === 'true' || lower === 'false') {
+        tokens.push({type: 'boolean', value: lower === 'true', position: start});
+      } else {
+        tokens.push({type: 'name', value: word, position: start});
+      }
+      i += word.length;
+    } else {
+      throw syntaxError("Unexpected character '" + c + "'", start);
+    }
+  }
+  tokens.push({type: 'end', value: 'end of expression', position: expression.length});
+  return tokens;
+}
+
+function Parser(expression) {
+  this.tokens = tokenize(expression);
+  this.index = 0;
+}
+
+Parser.prototype.peek = function () {
+  return this.tokens[this.index];
+};
+
+Parser.prototype.next = function () {
+  return this.tokens[this.index++];
+};
+
+Parser.prototype.expect = function (type, description) {
+  var token = this.next();
+  if (token.type !== type) {
+    throw syntaxError('Expected ' + description + ' but got ' + describe(token), token.position);
+  }
+  return token;
+};
+
+function describe(token) {
+  if (token.type === 'end') {
+    return token.value;
+  }
+  if (token.type === 'string') {
+    return "'" + token.value + "'";
+  }
+  return String(token.value);
+}
+
+Parser.prototype.parse = function () {
+  var filter = this.parseOr();
+  var token = this.peek();
+  if (token.type !== 'end') {
+    throw syntaxError('Expected AND, OR or end of expression but got ' + describe(token), token.position);
+  }
+  return filter;
+};
+
+// OR has the lowest precedence, `a OR b OR c` is one FilterList
+Parser.prototype.parseOr = function () {
+  return this.parseList('OR', FilterList.Operator.MUST_PASS_ONE, this.parseAnd);
+};
+
+Parser.prototype.parseAnd = function () {
+  return this.parseList('AND', FilterList.Operator.MUST_PASS_ALL, this.parseUnary);
+};
+
+Parser.prototype.parseList = function (type, operator, parseOperand) {
+  var filters = [parseOperand.call(this)];
+  while (this.peek().type === type) {
+    this.next();
+    filters.push(parseOperand.call(this));
+  }
+  if (filters.length === 1) {
+    return filters[0];
+  }
+  var filterList = new FilterList({operator: operator});
+  for (var i = 0; i < filters.length; i++) {
+    filterList.addFilter(filters[i]);
+  }
+  return filterList;
+};
+
+// SKIP and WHILE have the highest precedence
+Parser.prototype.parseUnary = function () {
+  var token = this.peek();
+  if (token.type === 'SKIP') {
+    this.next();
+    return new SkipFilter(this.parseUnary());
+  }
+  if (token.type === 'WHILE') {
+    this.next();
+    return new WhileMatchFilter(this.parseUnary());
+  }
+  if (token.type === '(') {
+    this.next();
+    var filter = this.parseOr();
+    this.expect(')', "')'");
+    return filter;
+  }
+  return this.parseFilter();
+};
+
+Parser.prototype.parseFilter = function () {
+  var nameToken = this.expect('name', 'a filter name');
+  var spec = FILTERS[nameToken.value];
+  if (!spec) {
+    throw syntaxError('Filter Name ' + nameToken.value + ' not supported', nameToken.position);
+  }
+  this.expect('(', "'('");
+  var args = [];
+  if (this.peek().type !== ')') {
+    args.push(this.parseArgument());
+    while (this.peek().type === ',') {
+      this.next();
+      args.push(this.parseArgument());
+    }
+  }
+  var close = this.expect(')', "',' or ')'");
+
+  var types = this.matchArguments(nameToken, spec, args, close);
+  var values = [];
+  for (var i = 0; i < args.length; i++) {
+    values.push(convertArgument(args[i], types[i], args[i - 1]));
+  }
+  return spec.create.apply(null, values);
+};
+
+Parser.prototype.parseArgument = function () {
+  var token = this.next();
+  if (!TYPE_NAMES.hasOwnProperty(token.type)) {
+    throw syntaxError('Expected an argument but got ' + describe(token), token.position);
+  }
+  return token;
+};
+
+Parser.prototype.matchArguments = function (nameToken, spec, args, close) {
+  if (spec.variadic) {
+    return args.map(function () {
+      return spec.variadic;
+    });
+  }
+  var counts = [];
+  for (var i = 0; i < spec.args.length; i++) {
+    if (spec.args[i].length === args.length) {
+      return spec.args[i];
+    }
+    counts.push(spec.args[i].length);
+  }
+  var expected = counts.length > 1 ?
+    counts.slice(0, -1).join(', ') + ' or ' + counts[counts.length - 1] : counts[0];
+  throw syntaxError(nameToken.value + ' expects ' + expected + ' arguments but got ' + args.length,
+    args.length > 0 ? args[0].position : close.position);
+};
+
+function convertArgument(token, type, previous) {
+  var expectedType = type === 'comparator' ? 'string' : type;
+  if (token.type !== expectedType) {
+    throw syntaxError('Expected ' + TYPE_NAMES[type] + ' but got ' + describe(token), token.position);
+  }
+  if (type !== 'comparator') {
+    return token.value;
+  }
+  // 'binary:abc', the comparator follows its compare operator
+  var index = token.value.indexOf(':');
+  var Comparator = index > 0 && COMPARATORS[token.value.slice(0, index)];
+  if (!Comparator) {
+    throw syntaxError("Incorrect comparator type in '" + token.value +
+      "', expected binary, binaryprefix, regexstring or substring", token.position);
+  }
+  if ((Comparator === RegexStringComparator || Comparator === SubstringComparator) &&
+      previous.value !== CompareOp.EQUAL && previous.value !== CompareOp.NOT_EQUAL) {
+    throw syntaxError('A regexstring comparator and substring comparator can only be used with EQUAL and NOT_EQUAL',
+      token.position);
+  }
+  return new Comparator(token.value.slice(index + 1));
+}
+
+/**
+ * Parse a filter string of HBase filter language to the filters,
+ * e.g.: `"PrefixFilter('user_') AND SingleColumnValueFilter('f', 'status', =, 'binary:active')"`.
+ * <p>
+ * Filters are combined by `AND` and `OR` to FilterList, `AND` has higher precedence than `OR`,
+ * use parentheses to change the precedence. `SKIP` and `WHILE` wrap the following filter
+ * in SkipFilter and WhileMatchFilter.
+ * <p>
+ * Arguments are quoted strings (a quote in the string is escaped by doubling it),
+ * numbers, `true` or `false`, compare operators `<`, `<=`, `=`, `!=`, `>=`, `>` and
+ * quoted comparators `binary:`, `binaryprefix:`, `regexstring:` or `substring:` followed by the value.
+ *
+ * @param {String} expression the filter string
+ * @return {Filter}
+ * @throws IllegalArgumentException on syntax error, `err.position` is the offset in `expression`.
+ */
+exports.parse = function (expression) {
+  if (typeof expression !== 'string' || expression.trim().length === 0) {
+    throw new IllegalArgumentException('Filter String is empty');
+  }
+  return new Parser(expression).parse();
+};
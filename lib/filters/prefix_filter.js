@@ -0,0 +1,54 @@
+/**!
+ * node-hbase-client - lib/filters/prefix_filter.js
+ *
+ * Copyright(c) Alibaba Group Holding Limited.
+ * MIT Licensed
+ */
+
+"use strict";
+
+/**
+ * Module dependencies.
+ */
+
+var util = require('util');
+var HbaseObjectWritable = require('../io/hbase_object_writable');
+var Bytes = require('../util/bytes');
+var FilterBase = require('./filter_base');
+
+/**
+ * Pass results that have same row prefix.
+ *
+ * @param {String|Buffer} prefix the row key prefix
+ */
+function PrefixFilter(prefix) {
+  if (!(this instanceof PrefixFilter)) {
+    return new PrefixFilter(prefix);
+  }
+  // `undefined` for readFields()
+  this.prefix = prefix === undefined || prefix === null ? null : Bytes.toBytes(prefix);
+}
+
+util.inherits(PrefixFilter, FilterBase);
+
+PrefixFilter.classname = 'org.apache.hadoop.hbase.filter.PrefixFilter';
+
+PrefixFilter.prototype.getPrefix = function () {
+  return this.prefix;
+};
+
+PrefixFilter.prototype.readFields = function (io) {
+  this.prefix = io.readByteArray();
+};
+
+PrefixFilter.prototype.write = function (out) {
+  Bytes.writeByteArray(out, this.prefix);
+};
+
+PrefixFilter.prototype.toString = function () {
+  return 'PrefixFilter ' + (this.prefix ? Bytes.toStringBinary(this.prefix) : '');
+};
+
+HbaseObjectWritable.addToClass('PrefixFilter.class', PrefixFilter);
+
+module.exports = PrefixFilter;
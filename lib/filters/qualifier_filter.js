@@ -0,0 +1,42 @@
+/**!
+ * node-hbase-client - lib/filters/qualifier_filter.js
+ *
+ * Copyright(c) Alibaba Group Holding Limited.
+ * MIT Licensed
+ */
+
+"use strict";
+
+/**
+ * Module dependencies.
+ */
+
+var util = require('util');
+var HbaseObjectWritable = require('../io/hbase_object_writable');
+var CompareFilter = require('./compare_filter');
+
+/**
+ * This filter is used to filter based on the column qualifier. It takes an
+ * operator (equal, greater, not equal, etc) and a byte [] comparator for the
+ * column qualifier portion of a key.
+ * <p>
+ * If an already known column qualifier is looked for, use Get.addColumn()
+ * directly rather than a filter.
+ *
+ * @param {String} compareOp `CompareFilter.CompareOp`
+ * @param {WritableByteArrayComparable|String|Buffer} comparator
+ */
+function QualifierFilter(compareOp, comparator) {
+  if (!(this instanceof QualifierFilter)) {
+    return new QualifierFilter(compareOp, comparator);
+  }
+  CompareFilter.call(this, compareOp, comparator);
+}
+
+util.inherits(QualifierFilter, CompareFilter);
+
+QualifierFilter.classname = 'org.apache.hadoop.hbase.filter.QualifierFilter';
+
+HbaseObjectWritable.addToClass('QualifierFilter.class', QualifierFilter);
+
+module.exports = QualifierFilter;
@@ -0,0 +1,64 @@
+/**!
+ * node-hbase-client - lib/filters/random_row_filter.js
+ *
+ * Copyright(c) Alibaba Group Holding Limited.
+ * MIT Licensed
+ */
+
+"use strict";
+
+/**
+ * Module dependencies.
+ */
+
+var util = require('util');
+var HbaseObjectWritable = require('../io/hbase_object_writable');
+var FilterBase = require('./filter_base');
+
+/**
+ * A filter that includes rows based on a chance.
+ *
+ * @param {Number} chance the chance a row is included, 0 ~ 1,
+ *   negative for no rows and greater than 1 for all rows.
+ */
+function RandomRowFilter(chance) {
+  if (!(this instanceof RandomRowFilter)) {
+    return new RandomRowFilter(chance);
+  }
+  this.chance = chance || 0;
+}
+
+util.inherits(RandomRowFilter, FilterBase);
+
+RandomRowFilter.classname = 'org.apache.hadoop.hbase.filter.RandomRowFilter';
+
+RandomRowFilter.prototype.getChance = function () {
+  return this.chance;
+};
+
+/**
+ * Set the chance that a row is included.
+ *
+ * @param {Number} chance
+ * @return this for invocation chaining
+ */
+RandomRowFilter.prototype.setChance = function (chance) {
+  this.chance = chance;
+  return this;
+};
+
+RandomRowFilter.prototype.readFields = function (io) {
+  this.chance = io.readFloat();
+};
+
+RandomRowFilter.prototype.write = function (out) {
+  out.writeFloat(this.chance);
+};
+
+RandomRowFilter.prototype.toString = function () {
+  return 'RandomRowFilter ' + this.chance;
+};
+
+HbaseObjectWritable.addToClass('RandomRowFilter.class', RandomRowFilter);
+
+module.exports = RandomRowFilter;
@@ -0,0 +1,84 @@
+/**!
+ * node-hbase-client - lib/filters/regex_string_comparator.js
+ *
+ * Copyright(c) Alibaba Group Holding Limited.
+ * MIT Licensed
+ */
+
+"use strict";
+
+/**
+ * Module dependencies.
+ */
+
+var util = require('util');
+var HbaseObjectWritable = require('../io/hbase_object_writable');
+var WritableByteArrayComparable = require('./writable_byte_array_comparable');
+
+/**
+ * This comparator is for use with {@link CompareFilter} implementations, such
+ * as {@link RowFilter}, {@link QualifierFilter}, and {@link ValueFilter}, for
+ * filtering based on the value of a given column. Use it to test if a given
+ * regular expression matches a cell value in the column.
+ * <p>
+ * Only EQUAL or NOT_EQUAL comparisons are valid with this comparator.
+ * The expression is a Java regular expression, compiled on the region server.
+ *
+ * @param {String} expr a valid Java regular expression
+ * @param {Number} [flags] Java `Pattern` flags, default is `RegexStringComparator.Flags.DOTALL`
+ */
+function RegexStringComparator(expr, flags) {
+  if (!(this instanceof RegexStringComparator)) {
+    return new RegexStringComparator(expr, flags);
+  }
+  WritableByteArrayComparable.call(this, expr);
+  this.expr = expr === undefined ? null : String(expr);
+  this.flags = flags === undefined ? RegexStringComparator.Flags.DOTALL : flags;
+  this.charset = 'UTF-8';
+}
+
+util.inherits(RegexStringComparator, WritableByteArrayComparable);
+
+RegexStringComparator.classname = 'org.apache.hadoop.hbase.filter.RegexStringComparator';
+
+/**
+ * java.util.regex.Pattern flags, add them up to combine.
+ */
+RegexStringComparator.Flags = {
+  UNIX_LINES: 0x01,
+  CASE_INSENSITIVE: 0x02,
+  COMMENTS: 0x04,
+  MULTILINE: 0x08,
+  LITERAL: 0x10,
+  DOTALL: 0x20,
+  UNICODE_CASE: 0x40,
+  CANON_EQ: 0x80
+};
+
+/**
+ * Specifies the charset to decode the cell values with.
+ *
+ * @param {String} charset Java charset name
+ */
+RegexStringComparator.prototype.setCharset = function (charset) {
+  this.charset = charset;
+  return this;
+};
+
+RegexStringComparator.prototype.readFields = function (io) {
+  this.expr = io.readUTF();
+  this.value = new Buffer(this.expr);
+  this.flags = io.readInt();
+  this.charset = io.readUTF();
+};
+
+RegexStringComparator.prototype.write = function (out) {
+  out.writeUTF(this.expr);
+  out.writeInt(this.flags);
+  out.writeUTF(this.charset);
+};
+
+// no class code in HbaseObjectWritable, written with its Java class name
+HbaseObjectWritable.addToClass(RegexStringComparator.classname, RegexStringComparator);
+
+module.exports = RegexStringComparator;
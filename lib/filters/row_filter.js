@@ -0,0 +1,44 @@
+/**!
+ * node-hbase-client - lib/filters/row_filter.js
+ *
+ * Copyright(c) Alibaba Group Holding Limited.
+ * MIT Licensed
+ */
+
+"use strict";
+
+/**
+ * Module dependencies.
+ */
+
+var util = require('util');
+var HbaseObjectWritable = require('../io/hbase_object_writable');
+var CompareFilter = require('./compare_filter');
+
+/**
+ * This filter is used to filter based on the key. It takes an operator
+ * (equal, greater, not equal, etc) and a byte [] comparator for the row,
+ * and column qualifier portions of a key.
+ * <p>
+ * Multiple filters can be combined using {@link FilterList}.
+ * <p>
+ * If an already known row range needs to be scanned, use Scan start
+ * and stop rows directly rather than a filter.
+ *
+ * @param {String} compareOp `CompareFilter.CompareOp`
+ * @param {WritableByteArrayComparable|String|Buffer} comparator
+ */
+function RowFilter(compareOp, comparator) {
+  if (!(this instanceof RowFilter)) {
+    return new RowFilter(compareOp, comparator);
+  }
+  CompareFilter.call(this, compareOp, comparator);
+}
+
+util.inherits(RowFilter, CompareFilter);
+
+RowFilter.classname = 'org.apache.hadoop.hbase.filter.RowFilter';
+
+HbaseObjectWritable.addToClass('RowFilter.class', RowFilter);
+
+module.exports = RowFilter;
@@ -0,0 +1,42 @@
+/**!
+ * node-hbase-client - lib/filters/single_column_value_exclude_filter.js
+ *
+ * Copyright(c) Alibaba Group Holding Limited.
+ * MIT Licensed
+ */
+
+"use strict";
+
+/**
+ * Module dependencies.
+ */
+
+var util = require('util');
+var HbaseObjectWritable = require('../io/hbase_object_writable');
+var SingleColumnValueFilter = require('./single_column_value_filter');
+
+/**
+ * A {@link Filter} that checks a single column value, but does not emit the
+ * tested column. This will enable a performance boost over
+ * {@link SingleColumnValueFilter}, if the tested column value is not actually
+ * needed as input (besides for the filtering itself).
+ *
+ * @param {String|Buffer} family name of column family
+ * @param {String|Buffer} qualifier name of column qualifier
+ * @param {String} compareOp operator, `CompareFilter.CompareOp`
+ * @param {WritableByteArrayComparable|String|Buffer} comparator comparator to use
+ */
+function SingleColumnValueExcludeFilter(family, qualifier, compareOp, comparator) {
+  if (!(this instanceof SingleColumnValueExcludeFilter)) {
+    return new SingleColumnValueExcludeFilter(family, qualifier, compareOp, comparator);
+  }
+  SingleColumnValueFilter.call(this, family, qualifier, compareOp, comparator);
+}
+
+util.inherits(SingleColumnValueExcludeFilter, SingleColumnValueFilter);
+
+SingleColumnValueExcludeFilter.classname = 'org.apache.hadoop.hbase.filter.SingleColumnValueExcludeFilter';
+
+HbaseObjectWritable.addToClass('SingleColumnValueExcludeFilter.class', SingleColumnValueExcludeFilter);
+
+module.exports = SingleColumnValueExcludeFilter;
@@ -0,0 +1,179 @@
+/**!
+ * node-hbase-client - lib/filters/single_column_value_filter.js
+ *
+ * Copyright(c) Alibaba Group Holding Limited.
+ * MIT Licensed
+ */
+
+"use strict";
+
+/**
+ * Module dependencies.
+ */
+
+var util = require('util');
+var HbaseObjectWritable = require('../io/hbase_object_writable');
+var Bytes = require('../util/bytes');
+var CompareFilter = require('./compare_filter');
+var FilterBase = require('./filter_base');
+
+/**
+ * This filter is used to filter cells based on value. It takes a
+ * `CompareFilter.CompareOp` operator (equal, greater, not equal, etc), and
+ * either a byte [] value or a WritableByteArrayComparable.
+ * <p>
+ * If we have a byte [] value then we just do a lexicographic compare. For
+ * example, if passed value is 'b' and cell has 'a' and the compare operator
+ * is LESS, then we will filter out this cell (return true). If this is not
+ * sufficient (eg you want to deserialize a long and then compare it to a fixed
+ * long value), then you can pass in your own comparator instead.
+ * <p>
+ * You must also specify a family and qualifier. Only the value of this column
+ * will be tested. When using this filter on a Scan with specified inputs, the
+ * column to be tested should also be added as input (otherwise the filter will
+ * regard the column as missing).
+ * <p>
+ * To prevent the entire row from being emitted if the column is not found on
+ * a row, use `setFilterIfMissing(true)`. Otherwise, if the column is found,
+ * the entire row will be emitted only if the value passes. If the value fails,
+ * the row will be filtered out.
+ * <p>
+ * In order to test values of previous versions (timestamps), set
+ * `setLatestVersionOnly(false)`. The default is to test only the latest
+ * version.
+ *
+ * @param {String|Buffer} family name of column family
+ * @param {String|Buffer} qualifier name of column qualifier
+ * @param {String} compareOp operator, `CompareFilter.CompareOp`
+ * @param {WritableByteArrayComparable|String|Buffer} comparator comparator to use,
+ *   a String or Buffer value will be compared by {@link BinaryComparator}
+ */
+function SingleColumnValueFilter(family, qualifier, compareOp, comparator) {
+  if (!(this instanceof SingleColumnValueFilter)) {
+    return new SingleColumnValueFilter(family, qualifier, compareOp, comparator);
+  }
+  this.columnFamily = null;
+  this.columnQualifier = null;
+  this.compareOp = null;
+  this.comparator = null;
+  this.foundColumn = false;
+  this.matchedColumn = false;
+  this.filterIfMissing = false;
+  this.latestVersionOnly = true;
+  if (family === undefined) {
+    // for readFields()
+    return;
+  }
+  this.columnFamily = Bytes.toBytes(family);
+  this.columnQualifier = Bytes.toBytes(qualifier);
+  this.compareOp = CompareFilter.checkCompareOp(compareOp);
+  this.comparator = CompareFilter.toComparator(comparator);
+}
+
+util.inherits(SingleColumnValueFilter, FilterBase);
+
+SingleColumnValueFilter.classname = 'org.apache.hadoop.hbase.filter.SingleColumnValueFilter';
+
+var proto = SingleColumnValueFilter.prototype;
+
+proto.getOperator = function () {
+  return this.compareOp;
+};
+
+proto.getComparator = function () {
+  return this.comparator;
+};
+
+proto.getFamily = function () {
+  return this.columnFamily;
+};
+
+proto.getQualifier = function () {
+  return this.columnQualifier;
+};
+
+/**
+ * Get whether entire row should be filtered if column is not found.
+ * @return {Boolean} true if row should be skipped if column not found, false if row should be let through anyways
+ */
+proto.getFilterIfMissing = function () {
+  return this.filterIfMissing;
+};
+
+/**
+ * Set whether entire row should be filtered if column is not found.
+ * <p>
+ * If true, the entire row will be skipped if the column is not found.
+ * <p>
+ * If false, the row will pass if the column is not found. This is default.
+ *
+ * @param {Boolean} filterIfMissing flag
+ * @return this for invocation chaining
+ */
+proto.setFilterIfMissing = function (filterIfMissing) {
+  this.filterIfMissing = !!filterIfMissing;
+  return this;
+};
+
+/**
+ * Get whether only the latest version of the column value should be compared.
+ * If true, the row will be returned if only the latest version of the column
+ * value matches. If false, the row will be returned if any version of the
+ * column value matches. The default is true.
+ * @return {Boolean} return value
+ */
+proto.getLatestVersionOnly = function () {
+  return this.latestVersionOnly;
+};
+
+/**
+ * Set whether only the latest version of the column value should be compared.
+ * If true, the row will be returned if only the latest version of the column
+ * value matches. If false, the row will be returned if any version of the
+ * column value matches. The default is true.
+ *
+ * @param {Boolean} latestVersionOnly flag
+ * @return this for invocation chaining
+ */
+proto.setLatestVersionOnly = function (latestVersionOnly) {
+  this.latestVersionOnly = !!latestVersionOnly;
+  return this;
+};
+
+proto.readFields = function (io) {
+  this.columnFamily = io.readByteArray();
+  if (this.columnFamily.length === 0) {
+    this.columnFamily = null;
+  }
+  this.columnQualifier = io.readByteArray();
+  if (this.columnQualifier.length === 0) {
+    this.columnQualifier = null;
+  }
+  this.compareOp = CompareFilter.checkCompareOp(io.readUTF());
+  this.comparator = HbaseObjectWritable.readObject(io);
+  this.foundColumn = io.readBoolean();
+  this.matchedColumn = io.readBoolean();
+  this.filterIfMissing = io.readBoolean();
+  this.latestVersionOnly = io.readBoolean();
+};
+
+proto.write = function (out) {
+  Bytes.writeByteArray(out, this.columnFamily);
+  Bytes.writeByteArray(out, this.columnQualifier);
+  out.writeUTF(this.compareOp);
+  HbaseObjectWritable.writeObject(out, this.comparator, 'WritableByteArrayComparable.class');
+  out.writeBoolean(this.foundColumn);
+  out.writeBoolean(this.matchedColumn);
+  out.writeBoolean(this.filterIfMissing);
+  out.writeBoolean(this.latestVersionOnly);
+};
+
+proto.toString = function () {
+  return this.constructor.name + ' (' + Bytes.toStringBinary(this.columnFamily) + ', ' +
+    Bytes.toStringBinary(this.columnQualifier) + ', ' + this.compareOp + ', ' +
+    Bytes.toStringBinary(this.comparator.getValue()) + ')';
+};
+
+HbaseObjectWritable.addToClass('SingleColumnValueFilter.class', SingleColumnValueFilter);
+
+module.exports = SingleColumnValueFilter;
@@ -0,0 +1,79 @@
+/**!
+ * node-hbase-client - lib/filters/skip_filter.js
+ *
+ * Copyright(c) Alibaba Group Holding Limited.
+ * MIT Licensed
+ */
+
+"use strict";
+
+/**
+ * Module dependencies.
+ */
+
+var util = require('util');
+var HbaseObjectWritable = require('../io/hbase_object_writable');
+var IllegalArgumentException = require('../errors').IllegalArgumentException;
+var FilterBase = require('./filter_base');
+
+/**
+ * A wrapper filter that filters an entire row if any of the KeyValue checks do
+ * not pass.
+ * <p>
+ * For example, if all columns in a row represent weights of different things,
+ * with the values being the actual weights, and we want to filter out the
+ * entire row if any of its weights are zero. In this case, we want to prevent
+ * rows from being emitted if a single key is filtered. Combine this filter
+ * with a {@link ValueFilter}:
+ * <p>
+ * `new SkipFilter(new ValueFilter(CompareOp.NOT_EQUAL, new BinaryComparator(Bytes.toBytes(0))))`
+ * <p>
+ * Any row which contained a column whose value was 0 will be filtered out
+ * (since ValueFilter will not pass that KeyValue).
+ * Without this filter, the other non-zero valued columns in the row would still
+ * be emitted.
+ *
+ * @param {Filter} filter the wrapped filter
+ */
+function SkipFilter(filter) {
+  if (!(this instanceof SkipFilter)) {
+    return new SkipFilter(filter);
+  }
+  this.filter = null;
+  if (filter === undefined) {
+    // for readFields()
+    return;
+  }
+  if (!(filter instanceof FilterBase)) {
+    throw new IllegalArgumentException('SkipFilter requires a filter from filters, but got ' + filter);
+  }
+  this.filter = filter;
+}
+
+util.inherits(SkipFilter, FilterBase);
+
+SkipFilter.classname = 'org.apache.hadoop.hbase.filter.SkipFilter';
+
+SkipFilter.prototype.getFilter = function () {
+  return this.filter;
+};
+
+SkipFilter.prototype.readFields = function (io) {
+  // lazy require, filters/index requires this module
+  var Filter = require('./index').forName(io.readUTF());
+  this.filter = new Filter();
+  this.filter.readFields(io);
+};
+
+SkipFilter.prototype.write = function (out) {
+  out.writeUTF(this.filter.getClass().getName());
+  this.filter.write(out);
+};
+
+SkipFilter.prototype.toString = function () {
+  return 'SkipFilter ' + this.filter.toString();
+};
+
+HbaseObjectWritable.addToClass('SkipFilter.class', SkipFilter);
+
+module.exports = SkipFilter;
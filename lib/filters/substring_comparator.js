@@ -0,0 +1,53 @@
+/**!
+ * node-hbase-client - lib/filters/substring_comparator.js
+ *
+ * Copyright(c) Alibaba Group Holding Limited.
+ * MIT Licensed
+ */
+
+"use strict";
+
+/**
+ * Module dependencies.
+ */
+
+var util = require('util');
+var HbaseObjectWritable = require('../io/hbase_object_writable');
+var WritableByteArrayComparable = require('./writable_byte_array_comparable');
+
+/**
+ * This comparator is for use with {@link CompareFilter} implementations, such
+ * as {@link RowFilter}, {@link QualifierFilter}, and {@link ValueFilter}, for
+ * filtering based on the value of a given column. Use it to test if a given
+ * substring appears in a cell value in the column. The comparison is case
+ * insensitive.
+ * <p>
+ * Only EQUAL or NOT_EQUAL tests are valid with this comparator.
+ *
+ * @param {String} substr the substring
+ */
+function SubstringComparator(substr) {
+  if (!(this instanceof SubstringComparator)) {
+    return new SubstringComparator(substr);
+  }
+  this.substr = substr === undefined ? null : String(substr).toLowerCase();
+  WritableByteArrayComparable.call(this, this.substr);
+}
+
+util.inherits(SubstringComparator, WritableByteArrayComparable);
+
+SubstringComparator.classname = 'org.apache.hadoop.hbase.filter.SubstringComparator';
+
+SubstringComparator.prototype.readFields = function (io) {
+  this.substr = io.readUTF();
+  this.value = new Buffer(this.substr);
+};
+
+SubstringComparator.prototype.write = function (out) {
+  out.writeUTF(this.substr);
+};
+
+// no class code in HbaseObjectWritable, written with its Java class name
+HbaseObjectWritable.addToClass(SubstringComparator.classname, SubstringComparator);
+
+module.exports = SubstringComparator;
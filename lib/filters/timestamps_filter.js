@@ -0,0 +1,91 @@
+/**!
+ * node-hbase-client - lib/filters/timestamps_filter.js
+ *
+ * Copyright(c) Alibaba Group Holding Limited.
+ * MIT Licensed
+ */
+
+"use strict";
+
+/**
+ * Module dependencies.
+ */
+
+var util = require('util');
+var Long = require('long');
+var HbaseObjectWritable = require('../io/hbase_object_writable');
+var IllegalArgumentException = require('../errors').IllegalArgumentException;
+var FilterBase = require('./filter_base');
+
+/**
+ * Filter that returns only cells whose timestamp (version) is
+ * in the specified list of timestamps (versions).
+ * <p>
+ * Note: Use of this filter overrides any time range/time stamp
+ * options specified using `Get.setTimeRange()`, `Scan.setTimeRange()`.
+ *
+ * @param {Array} timestamps Number or Long timestamps, duplicates are ignored
+ */
+function TimestampsFilter(timestamps) {
+  if (!(this instanceof TimestampsFilter)) {
+    return new TimestampsFilter(timestamps);
+  }
+  // sorted and distinct timestamps
+  this.timestamps = [];
+  timestamps = (timestamps || []).map(function (timestamp) {
+    if (timestamp instanceof Long) {
+      timestamp = timestamp.toNumber();
+    }
+    if (typeof timestamp !== 'number' || timestamp < 0) {
+      throw new IllegalArgumentException('must be positive ' + timestamp);
+    }
+    return timestamp;
+  }).sort(function (a, b) {
+    return a - b;
+  });
+  for (var i = 0; i < timestamps.length; i++) {
+    if (i === 0 || timestamps[i - 1] !== timestamps[i]) {
+      this.timestamps.push(timestamps[i]);
+    }
+  }
+}
+
+util.inherits(TimestampsFilter, FilterBase);
+
+TimestampsFilter.classname = 'org.apache.hadoop.hbase.filter.TimestampsFilter';
+
+TimestampsFilter.MAX_LOG_TIMESTAMPS = 5;
+
+TimestampsFilter.prototype.getTimestamps = function () {
+  return this.timestamps;
+};
+
+TimestampsFilter.prototype.getMin = function () {
+  return this.timestamps.length > 0 ? this.timestamps[0] : -1;
+};
+
+TimestampsFilter.prototype.readFields = function (io) {
+  var size = io.readInt();
+  this.timestamps = [];
+  for (var i = 0; i < size; i++) {
+    this.timestamps.push(io.readLong().toNumber());
+  }
+};
+
+TimestampsFilter.prototype.write = function (out) {
+  out.writeInt(this.timestamps.length);
+  for (var i = 0; i < this.timestamps.length; i++) {
+    out.writeLong(Long.fromNumber(this.timestamps[i]));
+  }
+};
+
+TimestampsFilter.prototype.toString = function () {
+  var timestamps = this.timestamps.slice(0, TimestampsFilter.MAX_LOG_TIMESTAMPS);
+  return 'TimestampsFilter (' + timestamps.length + '/' + this.timestamps.length + '): [' +
+    timestamps.join(', ') + ']';
+};
+
+// no class code in HbaseObjectWritable, written with its Java class name
+HbaseObjectWritable.addToClass(TimestampsFilter.classname, TimestampsFilter);
+
+module.exports = TimestampsFilter;
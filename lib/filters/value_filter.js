@@ -0,0 +1,42 @@
+/**!
+ * node-hbase-client - lib/filters/value_filter.js
+ *
+ * Copyright(c) Alibaba Group Holding Limited.
+ * MIT Licensed
+ */
+
+"use strict";
+
+/**
+ * Module dependencies.
+ */
+
+var util = require('util');
+var HbaseObjectWritable = require('../io/hbase_object_writable');
+var CompareFilter = require('./compare_filter');
+
+/**
+ * This filter is used to filter based on column value. It takes an
+ * operator (equal, greater, not equal, etc) and a byte [] comparator for the
+ * cell value.
+ * <p>
+ * To test the value of a single qualifier when scanning multiple qualifiers,
+ * use {@link SingleColumnValueFilter}.
+ *
+ * @param {String} compareOp `CompareFilter.CompareOp`
+ * @param {WritableByteArrayComparable|String|Buffer} comparator
+ */
+function ValueFilter(compareOp, comparator) {
+  if (!(this instanceof ValueFilter)) {
+    return new ValueFilter(compareOp, comparator);
+  }
+  CompareFilter.call(this, compareOp, comparator);
+}
+
+util.inherits(ValueFilter, CompareFilter);
+
+ValueFilter.classname = 'org.apache.hadoop.hbase.filter.ValueFilter';
+
+HbaseObjectWritable.addToClass('ValueFilter.class', ValueFilter);
+
+module.exports = ValueFilter;
@@ -0,0 +1,71 @@
+/**!
+ * node-hbase-client - lib/filters/while_match_filter.js
+ *
+ * Copyright(c) Alibaba Group Holding Limited.
+ * MIT Licensed
+ */
+
+"use strict";
+
+/**
+ * Module dependencies.
+ */
+
+var util = require('util');
+var HbaseObjectWritable = require('../io/hbase_object_writable');
+var IllegalArgumentException = require('../errors').IllegalArgumentException;
+var FilterBase = require('./filter_base');
+
+/**
+ * A wrapper filter that returns true from {@link #filterAllRemaining()} as soon
+ * as the wrapped filters {@link Filter#filterRowKey(byte[], int, int)},
+ * {@link Filter#filterKeyValue(org.apache.hadoop.hbase.KeyValue)},
+ * {@link org.apache.hadoop.hbase.filter.Filter#filterRow()} or
+ * {@link org.apache.hadoop.hbase.filter.Filter#filterAllRemaining()} methods
+ * returns true, i.e.: the scan stops at the first row which does not pass
+ * the wrapped filter.
+ *
+ * @param {Filter} filter the wrapped filter, e.g.: `new ValueFilter(CompareOp.EQUAL, 'v')`
+ */
+function WhileMatchFilter(filter) {
+  if (!(this instanceof WhileMatchFilter)) {
+    return new WhileMatchFilter(filter);
+  }
+  this.filter = null;
+  if (filter === undefined) {
+    // for readFields()
+    return;
+  }
+  if (!(filter instanceof FilterBase)) {
+    throw new IllegalArgumentException('WhileMatchFilter requires a filter from filters, but got ' + filter);
+  }
+  this.filter = filter;
+}
+
+util.inherits(WhileMatchFilter, FilterBase);
+
+WhileMatchFilter.classname = 'org.apache.hadoop.hbase.filter.WhileMatchFilter';
+
+WhileMatchFilter.prototype.getFilter = function () {
+  return this.filter;
+};
+
+WhileMatchFilter.prototype.readFields = function (io) {
+  // lazy require, filters/index requires this module
+  var Filter = require('./index').forName(io.readUTF());
+  this.filter = new Filter();
+  this.filter.readFields(io);
+};
+
+WhileMatchFilter.prototype.write = function (out) {
+  out.writeUTF(this.filter.getClass().getName());
+  this.filter.write(out);
+};
+
+WhileMatchFilter.prototype.toString = function () {
+  return 'WhileMatchFilter ' + this.filter.toString();
+};
+
+HbaseObjectWritable.addToClass('WhileMatchFilter.class', WhileMatchFilter);
+
+module.exports = WhileMatchFilter;
@@ -0,0 +1,55 @@
+/**!
+ * node-hbase-client - lib/filters/writable_byte_array_comparable.js
+ *
+ * Copyright(c) Alibaba Group Holding Limited.
+ * MIT Licensed
+ */
+
+"use strict";
+
+/**
+ * Module dependencies.
+ */
+
+var Bytes = require('../util/bytes');
+
+/**
+ * Base class for the comparators of {@link CompareFilter}, holds a byte array
+ * the cells are compared to on the region server.
+ *
+ * @param {String|Buffer} value the value to compare against
+ */
+function WritableByteArrayComparable(value) {
+  if (!(this instanceof WritableByteArrayComparable)) {
+    return new WritableByteArrayComparable(value);
+  }
+  // `undefined` for readFields()
+  this.value = value === undefined || value === null ? null : Bytes.toBytes(value);
+}
+
+WritableByteArrayComparable.classname = 'org.apache.hadoop.hbase.filter.WritableByteArrayComparable';
+
+var proto = WritableByteArrayComparable.prototype;
+
+proto.getValue = function () {
+  return this.value;
+};
+
+proto.getClass = function () {
+  var classname = this.constructor.classname;
+  return {getName: function () {return classname;}};
+};
+
+proto.readFields = function (io) {
+  this.value = io.readByteArray();
+};
+
+proto.write = function (out) {
+  Bytes.writeByteArray(out, this.value);
+};
+
+proto.toString = function () {
+  return this.constructor.name + '(' + (this.value ? Bytes.toStringBinary(this.value) : '') + ')';
+};
+
+module.exports = WritableByteArrayComparable;
@@ -17,6 +17,7 @@ var util = require('util');
 var Bytes = require('./util/bytes');
 var TimeRange = require('./time_range');
 var OperationWithAttributes = require('./operation_with_attributes');
+var FilterBase = require('./filters/filter_base');
 
 var GET_VERSION = 2;
 
@@ -35,6 +36,7 @@ function Get(row, rowLock) {
   this.lockId = -1;
   if (rowLock) {
     this.lockId = rowLock.getLockId();
+    this.rowLock = rowLock;
   }
   this.maxVersions = 1;
   this.cacheBlocks = true;
@@ -108,6 +110,26 @@ Get.prototype.setTimeRange = function (minStamp, maxStamp) {
   return this;
 };
 
+/**
+ * Apply the specified server-side filter when performing the Get.
+ * Only {@link Filter#filterKeyValue(KeyValue)} is called AFTER all tests
+ * for ttl, column match, deletes and max versions have been run.
+ *
+ * @param filter filter to run on the server
+ * @return this for invocation chaining
+ */
+Get.prototype.setFilter = function (filter) {
+  this.filter = filter || null;
+  return this;
+};
+
+/**
+ * @return the filter of the Get, or null if none
+ */
+Get.prototype.getFilter = function () {
+  return this.filter;
+};
+
 Get.prototype.readFields = function (io) {
   var version = io.readByte();
   if (version > GET_VERSION) {
@@ -119,7 +141,7 @@ Get.prototype.readFields = function (io) {
   this.maxVersions = io.readInt();
   var hasFilter = io.readBoolean();
   if (hasFilter) {
-    this.filter.readFields(io);
+    this.filter = FilterBase.readFilter(io);
   }
   this.hasFilter = hasFilter;
   this.cacheBlocks = io.readBoolean();
@@ -154,8 +176,7 @@ Get.prototype.write = function (out) {
     out.writeBoolean(false);
   } else {
     out.writeBoolean(true);
-    Bytes.writeByteArray(out, Bytes.toBytes(this.filter.getClass().getName()));
-    this.filter.write(out);
+    FilterBase.writeFilter(out, this.filter);
   }
   out.writeBoolean(this.cacheBlocks);
   this.tr.write(out);
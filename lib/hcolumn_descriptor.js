@@ -0,0 +1,425 @@
+/**!
+ * node-hbase-client - lib/hcolumn_descriptor.js
+ *
+ * Copyright(c) Alibaba Group Holding Limited.
+ * MIT Licensed
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+
+var HbaseObjectWritable = require('./io/hbase_object_writable');
+var errors = require('./errors');
+var Bytes = require('./util/bytes');
+
+// Version 11 is the format of HBase 0.94
+var COLUMN_DESCRIPTOR_VERSION = 11;
+
+var VERSIONS = 'VERSIONS';
+var MIN_VERSIONS = 'MIN_VERSIONS';
+var KEEP_DELETED_CELLS = 'KEEP_DELETED_CELLS';
+var IN_MEMORY = 'IN_MEMORY';
+var BLOCKCACHE = 'BLOCKCACHE';
+var TTL = 'TTL';
+var BLOOMFILTER = 'BLOOMFILTER';
+var REPLICATION_SCOPE = 'REPLICATION_SCOPE';
+var BLOCKSIZE = 'BLOCKSIZE';
+var COMPRESSION = 'COMPRESSION';
+var DATA_BLOCK_ENCODING = 'DATA_BLOCK_ENCODING';
+var ENCODE_ON_DISK = 'ENCODE_ON_DISK';
+
+/**
+ * Unlimited time-to-live.
+ */
+var FOREVER = 2147483647;
+
+/**
+ * An HColumnDescriptor contains information about a column family such as the
+ * number of versions, compression settings, etc.
+ *
+ * It is used as input when creating a table or adding a column. Once set, the
+ * parameters that specify a column cannot be changed without deleting the
+ * column and recreating it. If there is data stored in the column, it will be
+ * deleted when the column is deleted.
+ *
+ * @param {String|Buffer} familyName Column family name. Must be 'printable'
+ *   -- digit or letter -- and may not contain a `:`
+ */
+function HColumnDescriptor(familyName) {
+  if (!(this instanceof HColumnDescriptor)) {
+    return new HColumnDescriptor(familyName);
+  }
+
+  // Column family name
+  this.name = null;
+  // Column metadata, {key: Buffer}
+  this.values = {};
+
+  if (familyName === undefined) {
+    // for readFields()
+    return;
+  }
+
+  this.name = HColumnDescriptor.isLegalFamilyName(Bytes.toBytes(familyName));
+  this.setMaxVersions(HColumnDescriptor.DEFAULT_VERSIONS);
+  this.setMinVersions(HColumnDescriptor.DEFAULT_MIN_VERSIONS);
+  this.setKeepDeletedCells(HColumnDescriptor.DEFAULT_KEEP_DELETED);
+  this.setInMemory(HColumnDescriptor.DEFAULT_IN_MEMORY);
+  this.setBlockCacheEnabled(HColumnDescriptor.DEFAULT_BLOCKCACHE);
+  this.setTimeToLive(HColumnDescriptor.DEFAULT_TTL);
+  this.setCompressionType(HColumnDescriptor.DEFAULT_COMPRESSION);
+  this.setDataBlockEncoding(HColumnDescriptor.DEFAULT_DATA_BLOCK_ENCODING);
+  this.setEncodeOnDisk(HColumnDescriptor.DEFAULT_ENCODE_ON_DISK);
+  this.setBloomFilterType(HColumnDescriptor.DEFAULT_BLOOMFILTER);
+  this.setBlocksize(HColumnDescriptor.DEFAULT_BLOCKSIZE);
+  this.setScope(HColumnDescriptor.DEFAULT_REPLICATION_SCOPE);
+}
+
+HColumnDescriptor.DEFAULT_VERSIONS = 3;
+HColumnDescriptor.DEFAULT_MIN_VERSIONS = 0;
+HColumnDescriptor.DEFAULT_KEEP_DELETED = false;
+HColumnDescriptor.DEFAULT_IN_MEMORY = false;
+HColumnDescriptor.DEFAULT_BLOCKCACHE = true;
+HColumnDescriptor.DEFAULT_TTL = FOREVER;
+HColumnDescriptor.DEFAULT_COMPRESSION = 'NONE';
+HColumnDescriptor.DEFAULT_DATA_BLOCK_ENCODING = 'NONE';
+HColumnDescriptor.DEFAULT_ENCODE_ON_DISK = true;
+HColumnDescriptor.DEFAULT_BLOOMFILTER = 'NONE';
+HColumnDescriptor.DEFAULT_BLOCKSIZE = 64 * 1024;
+HColumnDescriptor.DEFAULT_REPLICATION_SCOPE = 0;
+
+/**
+ * @param {Buffer} b Family name.
+ * @return `b`
+ * @throws IllegalArgumentException If not null and not a legitimate family
+ * name: i.e. 'printable' and ends in a ':' (Null passes are allowed because
+ * `b` can be null when deserializing).  Cannot start with a '.' either.
+ */
+HColumnDescriptor.isLegalFamilyName = function (b) {
+  if (!b) {
+    return b;
+  }
+  if (b.length === 0) {
+    throw new errors.IllegalArgumentException('Family name can not be empty');
+  }
+  if (b[0] === 0x2e) { // '.'
+    throw new errors.IllegalArgumentException('Family names cannot start with a period: ' +
+      Bytes.toString(b));
+  }
+  for (var i = 0; i < b.length; i++) {
+    // control characters, ':', '\\' and '/'
+    if (b[i] < 0x20 || b[i] === 0x7f || b[i] === 0x3a || b[i] === 0x5c || b[i] === 0x2f) {
+      throw new errors.IllegalArgumentException('Illegal character <' + b[i] +
+        '>. Family names cannot contain control characters or colons: ' + Bytes.toString(b));
+    }
+  }
+  return b;
+};
+
+/**
+ * @return {Buffer} Name of this column family
+ */
+HColumnDescriptor.prototype.getName = function () {
+  return this.name;
+};
+
+/**
+ * @return {String} Name of this column family
+ */
+HColumnDescriptor.prototype.getNameAsString = function () {
+  return Bytes.toString(this.name);
+};
+
+/**
+ * @param {String} key The key.
+ * @return {String} The value, or null if the key is not set.
+ */
+HColumnDescriptor.prototype.getValue = function (key) {
+  var value = this.values[key];
+  return value ? Bytes.toString(value) : null;
+};
+
+/**
+ * @param {String} key The key.
+ * @param {String|Buffer} value The value. If null, removes the setting.
+ * @return this (for chained invocation)
+ */
+HColumnDescriptor.prototype.setValue = function (key, value) {
+  if (value === null || value === undefined) {
+    delete this.values[key];
+  } else {
+    this.values[key] = Buffer.isBuffer(value) ? value : Bytes.toBytes(String(value));
+  }
+  return this;
+};
+
+HColumnDescriptor.prototype._getInt = function (key, defaultValue) {
+  var value = this.getValue(key);
+  return value === null ? defaultValue : parseInt(value, 10);
+};
+
+HColumnDescriptor.prototype._getBoolean = function (key, defaultValue) {
+  var value = this.getValue(key);
+  return value === null ? defaultValue : value.toLowerCase() === 'true';
+};
+
+/**
+ * @return {Number} maximum number of versions
+ */
+HColumnDescriptor.prototype.getMaxVersions = function () {
+  return this._getInt(VERSIONS, HColumnDescriptor.DEFAULT_VERSIONS);
+};
+
+/**
+ * @param {Number} maxVersions maximum number of versions
+ * @return this (for chained invocation)
+ */
+HColumnDescriptor.prototype.setMaxVersions = function (maxVersions) {
+  return this.setValue(VERSIONS, maxVersions);
+};
+
+/**
+ * @return {Number} The minimum number of versions to keep.
+ */
+HColumnDescriptor.prototype.getMinVersions = function () {
+  return this._getInt(MIN_VERSIONS, HColumnDescriptor.DEFAULT_MIN_VERSIONS);
+};
+
+/**
+ * @param {Number} minVersions The minimum number of versions to keep.
+ *   (used when timeToLive is set)
+ * @return this (for chained invocation)
+ */
+HColumnDescriptor.prototype.setMinVersions = function (minVersions) {
+  return this.setValue(MIN_VERSIONS, minVersions);
+};
+
+/**
+ * @return {Boolean} True if deleted rows should not be collected immediately.
+ */
+HColumnDescriptor.prototype.getKeepDeletedCells = function () {
+  return this._getBoolean(KEEP_DELETED_CELLS, HColumnDescriptor.DEFAULT_KEEP_DELETED);
+};
+
+/**
+ * @param {Boolean} keepDeletedCells True if deleted rows should not be collected
+ *   immediately.
+ * @return this (for chained invocation)
+ */
+HColumnDescriptor.prototype.setKeepDeletedCells = function (keepDeletedCells) {
+  return this.setValue(KEEP_DELETED_CELLS, !!keepDeletedCells);
+};
+
+/**
+ * @return {Boolean} True if we are to keep all in use HRegionServer cache.
+ */
+HColumnDescriptor.prototype.isInMemory = function () {
+  return this._getBoolean(IN_MEMORY, HColumnDescriptor.DEFAULT_IN_MEMORY);
+};
+
+/**
+ * @param {Boolean} inMemory True if we are to keep all values in the HRegionServer cache
+ * @return this (for chained invocation)
+ */
+HColumnDescriptor.prototype.setInMemory = function (inMemory) {
+  return this.setValue(IN_MEMORY, !!inMemory);
+};
+
+/**
+ * @return {Boolean} True if MapFile blocks should be cached.
+ */
+HColumnDescriptor.prototype.isBlockCacheEnabled = function () {
+  return this._getBoolean(BLOCKCACHE, HColumnDescriptor.DEFAULT_BLOCKCACHE);
+};
+
+/**
+ * @param {Boolean} blockCacheEnabled True if MapFile blocks should be cached.
+ * @return this (for chained invocation)
+ */
+HColumnDescriptor.prototype.setBlockCacheEnabled = function (blockCacheEnabled) {
+  return this.setValue(BLOCKCACHE, !!blockCacheEnabled);
+};
+
+/**
+ * @return {Number} Time-to-live of cell contents, in seconds.
+ */
+HColumnDescriptor.prototype.getTimeToLive = function () {
+  return this._getInt(TTL, HColumnDescriptor.DEFAULT_TTL);
+};
+
+/**
+ * @param {Number} timeToLive Time-to-live of cell contents, in seconds.
+ * @return this (for chained invocation)
+ */
+HColumnDescriptor.prototype.setTimeToLive = function (timeToLive) {
+  return this.setValue(TTL, timeToLive);
+};
+
+/**
+ * @return {String} Compression type setting, e.g.: 'NONE', 'GZ', 'LZO', 'SNAPPY'.
+ */
+HColumnDescriptor.prototype.getCompressionType = function () {
+  return this.getValue(COMPRESSION) || HColumnDescriptor.DEFAULT_COMPRESSION;
+};
+
+/**
+ * Compression types supported in hbase.
+ * LZO is not bundled as part of the hbase distribution.
+ *
+ * @param {String} type Compression type, e.g.: 'NONE', 'GZ', 'LZO', 'SNAPPY'.
+ * @return this (for chained invocation)
+ */
+HColumnDescriptor.prototype.setCompressionType = function (type) {
+  return this.setValue(COMPRESSION, String(type).toUpperCase());
+};
+
+/**
+ * @return {String} the data block encoding algorithm used in block cache and
+ *   optionally on disk, e.g.: 'NONE', 'PREFIX', 'DIFF', 'FAST_DIFF'.
+ */
+HColumnDescriptor.prototype.getDataBlockEncoding = function () {
+  return this.getValue(DATA_BLOCK_ENCODING) || HColumnDescriptor.DEFAULT_DATA_BLOCK_ENCODING;
+};
+
+/**
+ * Set data block encoding algorithm used in block cache.
+ *
+ * @param {String} type What kind of data block encoding will be used.
+ * @return this (for chained invocation)
+ */
+HColumnDescriptor.prototype.setDataBlockEncoding = function (type) {
+  return this.setValue(DATA_BLOCK_ENCODING, String(type).toUpperCase());
+};
+
+/**
+ * @return {Boolean} true if data block encoding is used on disk too.
+ */
+HColumnDescriptor.prototype.isEncodeOnDisk = function () {
+  return this._getBoolean(ENCODE_ON_DISK, HColumnDescriptor.DEFAULT_ENCODE_ON_DISK);
+};
+
+/**
+ * Set the flag indicating that we only want to encode data block in cache
+ * but not on disk.
+ *
+ * @param {Boolean} encodeOnDisk
+ * @return this (for chained invocation)
+ */
+HColumnDescriptor.prototype.setEncodeOnDisk = function (encodeOnDisk) {
+  return this.setValue(ENCODE_ON_DISK, !!encodeOnDisk);
+};
+
+/**
+ * @return {String} bloom filter type used for new StoreFiles in ColumnFamily,
+ *   e.g.: 'NONE', 'ROW', 'ROWCOL'.
+ */
+HColumnDescriptor.prototype.getBloomFilterType = function () {
+  return this.getValue(BLOOMFILTER) || HColumnDescriptor.DEFAULT_BLOOMFILTER;
+};
+
+/**
+ * @param {String} bt bloom filter type
+ * @return this (for chained invocation)
+ */
+HColumnDescriptor.prototype.setBloomFilterType = function (bt) {
+  return this.setValue(BLOOMFILTER, String(bt).toUpperCase());
+};
+
+/**
+ * @return {Number} The storefile/hfile blocksize for this column family.
+ */
+HColumnDescriptor.prototype.getBlocksize = function () {
+  return this._getInt(BLOCKSIZE, HColumnDescriptor.DEFAULT_BLOCKSIZE);
+};
+
+/**
+ * @param {Number} s Blocksize to use when writing out storefiles/hfiles on
+ *   this column family.
+ * @return this (for chained invocation)
+ */
+HColumnDescriptor.prototype.setBlocksize = function (s) {
+  return this.setValue(BLOCKSIZE, s);
+};
+
+/**
+ * @return {Number} the scope tag
+ */
+HColumnDescriptor.prototype.getScope = function () {
+  return this._getInt(REPLICATION_SCOPE, HColumnDescriptor.DEFAULT_REPLICATION_SCOPE);
+};
+
+/**
+ * @param {Number} scope the scope tag
+ * @return this (for chained invocation)
+ */
+HColumnDescriptor.prototype.setScope = function (scope) {
+  return this.setValue(REPLICATION_SCOPE, scope);
+};
+
+HColumnDescriptor.prototype.toString = function () {
+  var s = "{NAME => '" + Bytes.toString(this.name) + "'";
+  var keys = Object.keys(this.values).sort();
+  for (var i = 0; i < keys.length; i++) {
+    s += ', ' + keys[i] + " => '" + Bytes.toString(this.values[keys[i]]) + "'";
+  }
+  return s + '}';
+};
+
+HColumnDescriptor.prototype.readFields = function (io) {
+  var version = io.readByte();
+  if (version < 6) {
+    throw new errors.IOException('HColumnDescriptor version ' + version + ' is not supported');
+  }
+  this.name = io.readByteArray();
+  this.values = readValues(io);
+};
+
+HColumnDescriptor.prototype.write = function (out) {
+  out.writeByte(COLUMN_DESCRIPTOR_VERSION);
+  Bytes.writeByteArray(out, this.name);
+  writeValues(out, this.values);
+};
+
+/**
+ * Read the metadata map, every key and value is an `ImmutableBytesWritable`.
+ *
+ * @param io
+ * @return {Object} {key: Buffer}
+ */
+function readValues(io) {
+  var values = {};
+  var count = io.readInt();
+  for (var i = 0; i < count; i++) {
+    var key = io.read(io.readInt());
+    values[Bytes.toString(key)] = io.read(io.readInt());
+  }
+  return values;
+}
+HColumnDescriptor.readValues = readValues;
+
+/**
+ * Write the metadata map in key order as HBase does.
+ *
+ * @param out
+ * @param {Object} values {key: Buffer}
+ */
+function writeValues(out, values) {
+  var keys = Object.keys(values).sort();
+  out.writeInt(keys.length);
+  for (var i = 0; i < keys.length; i++) {
+    var key = Bytes.toBytes(keys[i]);
+    var value = values[keys[i]];
+    out.writeInt(key.length);
+    out.write(key);
+    out.writeInt(value.length);
+    out.write(value);
+  }
+}
+HColumnDescriptor.writeValues = writeValues;
+
+
+HbaseObjectWritable.addToClass('HColumnDescriptor.class', HColumnDescriptor);
+module.exports = HColumnDescriptor;
@@ -17,6 +17,9 @@ var CONST = {};
 
 CONST.PROTOCOL = 'org.apache.hadoop.hbase.ipc.HRegionInterface';
 CONST.CLIENT_VERSION = Long.fromNumber(29);
+CONST.MASTER_PROTOCOL = 'org.apache.hadoop.hbase.ipc.HMasterInterface';
+// HMasterInterface: public static final long VERSION = 29L;
+CONST.MASTER_VERSION = Long.fromNumber(29);
 
 /**
  * Timestamp to use when we want to refer to the latest cell.
@@ -139,6 +142,40 @@ CONST.DEFAULT_HBASE_META_SCANNER_CACHING = 100;
  */
 CONST.DEFAULT_HBASE_CLIENT_RETRIES_NUMBER = 10;
 
+/**
+ * Default client pause value, the time to wait before retrying, in ms.
+ */
+CONST.DEFAULT_HBASE_CLIENT_PAUSE = 1000;
+
+/**
+ * Retrying we multiply hbase.client.pause setting by what we have in this array until we
+ * run out of array items.  Retries beyond this use the last number in the array.
+ */
+CONST.RETRY_BACKOFF = [1, 1, 1, 2, 2, 4, 4, 8, 16, 32];
+
+/**
+ * Default size of the client write buffer, in bytes.
+ * See `hbase.client.write.buffer`.
+ */
+CONST.DEFAULT_WRITE_BUFFER_SIZE = 2097152;
+
+/**
+ * Default max number of actions in one multi request to a region server.
+ */
+CONST.DEFAULT_HBASE_CLIENT_MAX_BATCH_ACTIONS = 1000;
+
+/**
+ * Default max number of multi requests sent to one region server at the same time.
+ * See `hbase.client.max.perserver.tasks`.
+ */
+CONST.DEFAULT_HBASE_CLIENT_MAX_PERSERVER_TASKS = 2;
+
+/**
+ * Default number of rows fetched by one `next` call of a scanner, if `Scan.caching` not set.
+ * See `hbase.client.scanner.caching`.
+ */
+CONST.DEFAULT_HBASE_CLIENT_SCANNER_CACHING = 100;
+
 /**
  * timeout for each RPC
  */
@@ -0,0 +1,292 @@
+/**!
+ * node-hbase-client - lib/htable_descriptor.js
+ *
+ * Copyright(c) Alibaba Group Holding Limited.
+ * MIT Licensed
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+
+var HbaseObjectWritable = require('./io/hbase_object_writable');
+var HColumnDescriptor = require('./hcolumn_descriptor');
+var errors = require('./errors');
+var Bytes = require('./util/bytes');
+
+// Version 5 removed transactional pollution -- e.g. indexes
+var TABLE_DESCRIPTOR_VERSION = 5;
+
+var MAX_FILESIZE = 'MAX_FILESIZE';
+var READONLY = 'READONLY';
+var MEMSTORE_FLUSHSIZE = 'MEMSTORE_FLUSHSIZE';
+var DEFERRED_LOG_FLUSH = 'DEFERRED_LOG_FLUSH';
+
+/**
+ * HTableDescriptor contains the details about an HBase table such as the
+ * descriptors of all the column families, is the table a catalog table,
+ * `-ROOT-` or `.META.`, is the table read only, the maximum size of the
+ * memstore, when the region split should occur, coprocessors associated
+ * with it etc...
+ *
+ * @param {String|Buffer} name Table name.
+ * @throws IllegalArgumentException if passed a table name that is made of
+ *   other than 'word' characters, underscore or period: i.e. `[a-zA-Z_0-9.-]`.
+ */
+function HTableDescriptor(name) {
+  if (!(this instanceof HTableDescriptor)) {
+    return new HTableDescriptor(name);
+  }
+
+  this.name = null;
+  this.root = false;
+  this.meta = false;
+  // Table metadata, {key: Buffer}
+  this.values = {};
+  // {familyName: HColumnDescriptor}
+  this.families = {};
+
+  if (name === undefined) {
+    // for readFields()
+    return;
+  }
+
+  this.name = HTableDescriptor.isLegalTableName(Bytes.toBytes(name));
+}
+
+/**
+ * Check passed byte buffer, `tableName`, is legal user-space table name.
+ *
+ * @param {Buffer} tableName
+ * @return `tableName`
+ * @throws IllegalArgumentException If passed `tableName` is not a legal
+ *   user-space table name.
+ */
+HTableDescriptor.isLegalTableName = function (tableName) {
+  if (!tableName || tableName.length === 0) {
+    throw new errors.IllegalArgumentException('Name is null or empty');
+  }
+  var name = Bytes.toString(tableName);
+  if (name[0] === '.' || name[0] === '-') {
+    throw new errors.IllegalArgumentException('Illegal first character <' + tableName[0] +
+      "> at 0. User-space table names can only start with 'word characters': i.e. [a-zA-Z_0-9]: " +
+      name);
+  }
+  var m = /[^a-zA-Z0-9_.\-]/.exec(name);
+  if (m) {
+    throw new errors.IllegalArgumentException('Illegal character <' + m[0] + '> at ' + m.index +
+      ". User-space table names can only contain 'word characters': i.e. [a-zA-Z_0-9-.]: " +
+      name);
+  }
+  return tableName;
+};
+
+/**
+ * @return {Buffer} Name of this table
+ */
+HTableDescriptor.prototype.getName = function () {
+  return this.name;
+};
+
+/**
+ * @return {String} Name of this table
+ */
+HTableDescriptor.prototype.getNameAsString = function () {
+  return Bytes.toString(this.name);
+};
+
+/**
+ * @return {Boolean} true if this is the `-ROOT-` region
+ */
+HTableDescriptor.prototype.isRootRegion = function () {
+  return this.root;
+};
+
+/**
+ * @return {Boolean} true if this is a `.META.` region
+ */
+HTableDescriptor.prototype.isMetaRegion = function () {
+  return this.meta;
+};
+
+HTableDescriptor.prototype.getValue = HColumnDescriptor.prototype.getValue;
+HTableDescriptor.prototype.setValue = HColumnDescriptor.prototype.setValue;
+
+/**
+ * @return {Boolean} true if all columns in the table should be read only
+ */
+HTableDescriptor.prototype.isReadOnly = function () {
+  return this.getValue(READONLY) === 'true';
+};
+
+/**
+ * @param {Boolean} readOnly True if all of the columns in the table should be
+ *   read only.
+ * @return this (for chained invocation)
+ */
+HTableDescriptor.prototype.setReadOnly = function (readOnly) {
+  return this.setValue(READONLY, !!readOnly);
+};
+
+/**
+ * @return {Number} max hregion size for table, -1 if not set.
+ */
+HTableDescriptor.prototype.getMaxFileSize = function () {
+  var value = this.getValue(MAX_FILESIZE);
+  return value === null ? -1 : Number(value);
+};
+
+/**
+ * @param {Number} maxFileSize The maximum file size that a store file can grow
+ *   to before a split is triggered.
+ * @return this (for chained invocation)
+ */
+HTableDescriptor.prototype.setMaxFileSize = function (maxFileSize) {
+  return this.setValue(MAX_FILESIZE, maxFileSize);
+};
+
+/**
+ * @return {Number} memory cache flush size for each hregion, -1 if not set.
+ */
+HTableDescriptor.prototype.getMemStoreFlushSize = function () {
+  var value = this.getValue(MEMSTORE_FLUSHSIZE);
+  return value === null ? -1 : Number(value);
+};
+
+/**
+ * @param {Number} memstoreFlushSize memory cache flush size for each hregion
+ * @return this (for chained invocation)
+ */
+HTableDescriptor.prototype.setMemStoreFlushSize = function (memstoreFlushSize) {
+  return this.setValue(MEMSTORE_FLUSHSIZE, memstoreFlushSize);
+};
+
+/**
+ * @return {Boolean} true if that table's log is hflush by other means
+ */
+HTableDescriptor.prototype.isDeferredLogFlush = function () {
+  return this.getValue(DEFERRED_LOG_FLUSH) === 'true';
+};
+
+/**
+ * @param {Boolean} isDeferredLogFlush
+ * @return this (for chained invocation)
+ */
+HTableDescriptor.prototype.setDeferredLogFlush = function (isDeferredLogFlush) {
+  return this.setValue(DEFERRED_LOG_FLUSH, !!isDeferredLogFlush);
+};
+
+/**
+ * Adds a column family.
+ *
+ * @param {HColumnDescriptor|String} family HColumnDescriptor of family to add,
+ *   or family name with default settings.
+ * @return this (for chained invocation)
+ */
+HTableDescriptor.prototype.addFamily = function (family) {
+  if (!(family instanceof HColumnDescriptor)) {
+    family = new HColumnDescriptor(family);
+  }
+  this.families[family.getNameAsString()] = family;
+  return this;
+};
+
+/**
+ * Checks to see if this table contains the given column family
+ *
+ * @param {String|Buffer} familyName
+ * @return {Boolean} true if the table contains the specified family name
+ */
+HTableDescriptor.prototype.hasFamily = function (familyName) {
+  return this.families.hasOwnProperty(Bytes.toString(Bytes.toBytes(familyName)));
+};
+
+/**
+ * @param {String|Buffer} familyName
+ * @return {HColumnDescriptor} Column descriptor for the passed family name or
+ *   null if the family is not present.
+ */
+HTableDescriptor.prototype.getFamily = function (familyName) {
+  return this.families[Bytes.toString(Bytes.toBytes(familyName))] || null;
+};
+
+/**
+ * Removes the column family.
+ *
+ * @param {String|Buffer} familyName
+ * @return {HColumnDescriptor} Column descriptor for the passed family name or
+ *   null if the family is not present.
+ */
+HTableDescriptor.prototype.removeFamily = function (familyName) {
+  var family = this.getFamily(familyName);
+  if (family) {
+    delete this.families[family.getNameAsString()];
+  }
+  return family;
+};
+
+/**
+ * @return {Array} All the column descriptors of this table, in family name order.
+ */
+HTableDescriptor.prototype.getFamilies = function () {
+  var families = this.families;
+  return Object.keys(families).map(function (name) {
+    return families[name];
+  }).sort(function (a, b) {
+    return Bytes.compareTo(a.getName(), b.getName());
+  });
+};
+
+HTableDescriptor.prototype.toString = function () {
+  var s = "'" + Bytes.toString(this.name) + "'";
+  var keys = Object.keys(this.values).sort();
+  if (keys.length > 0) {
+    s += ', {METHOD => \'table_att\'';
+    for (var i = 0; i < keys.length; i++) {
+      s += ', ' + keys[i] + " => '" + Bytes.toString(this.values[keys[i]]) + "'";
+    }
+    s += '}';
+  }
+  var families = this.getFamilies();
+  for (var j = 0; j < families.length; j++) {
+    s += ', ' + families[j].toString();
+  }
+  return s;
+};
+
+HTableDescriptor.prototype.readFields = function (io) {
+  var version = io.readInt();
+  if (version < 3) {
+    throw new errors.IOException('versions < 3 are not supported (and never existed!?)');
+  }
+  this.name = io.readByteArray();
+  this.root = io.readBoolean();
+  this.meta = io.readBoolean();
+  this.values = HColumnDescriptor.readValues(io);
+  this.families = {};
+  var numFamilies = io.readInt();
+  for (var i = 0; i < numFamilies; i++) {
+    var family = new HColumnDescriptor();
+    family.readFields(io);
+    this.families[family.getNameAsString()] = family;
+  }
+};
+
+HTableDescriptor.prototype.write = function (out) {
+  out.writeInt(TABLE_DESCRIPTOR_VERSION);
+  Bytes.writeByteArray(out, this.name);
+  out.writeBoolean(this.root);
+  out.writeBoolean(this.meta);
+  HColumnDescriptor.writeValues(out, this.values);
+  var families = this.getFamilies();
+  out.writeInt(families.length);
+  for (var i = 0; i < families.length; i++) {
+    families[i].write(out);
+  }
+};
+
+
+HbaseObjectWritable.addToClass('HTableDescriptor.class', HTableDescriptor);
+module.exports = HTableDescriptor;
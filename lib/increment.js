@@ -0,0 +1,185 @@
+/**!
+ * node-hbase-client - lib/increment.js
+ *
+ * Copyright(c) Alibaba Group Holding Limited.
+ * MIT Licensed
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+
+var HbaseObjectWritable = require('./io/hbase_object_writable');
+var IOException = require('./errors').IOException;
+var WritableUtils = require('./writable_utils');
+var Bytes = require('./util/bytes');
+var TimeRange = require('./time_range');
+
+var INCREMENT_VERSION = 2;
+
+/**
+ * Used to perform Increment operations on a single row.
+ * <p>
+ * This operation does not appear atomic to readers.  Increments are done
+ * under a single row lock, so write operations to a row are synchronized, but
+ * readers do not take row locks so get and scan operations can see this
+ * operation partially completed.
+ * <p>
+ * To increment columns of a row, instantiate an Increment object with the row
+ * to increment.  At least one column to increment must be specified using the
+ * {@link #addColumn(byte[], byte[], long)} method.
+ *
+ * @param row row to increment
+ * @param rowLock previously acquired row lock, or null
+ */
+function Increment(row, rowLock) {
+  if (!(this instanceof Increment)) {
+    return new Increment(row, rowLock);
+  }
+
+  if (row && !Buffer.isBuffer(row)) {
+    row = Bytes.toBytes(row);
+  }
+
+  this.row = row;
+  this.lockId = -1;
+  if (rowLock) {
+    this.lockId = rowLock.getLockId();
+    this.rowLock = rowLock;
+  }
+  this.writeToWAL = true;
+  this.tr = new TimeRange();
+  // {family: [{qualifier: Buffer, amount: Long}, ...]}
+  this.familyMap = {};
+}
+
+/**
+ * Increment the column from the specific family with the specified qualifier
+ * by the specified amount.
+ * <p>
+ * Overrides previous calls to addColumn for this family and qualifier.
+ *
+ * @param family family name
+ * @param qualifier column qualifier
+ * @param {Number|Long} amount amount to increment by
+ * @return the Increment object
+ */
+Increment.prototype.addColumn = function (family, qualifier, amount) {
+  if (!Buffer.isBuffer(qualifier)) {
+    qualifier = Bytes.toBytes(qualifier);
+  }
+  amount = WritableUtils.toLong(amount);
+  var list = this.familyMap[family];
+  if (!list) {
+    list = this.familyMap[family] = [];
+  }
+  for (var i = 0; i < list.length; i++) {
+    if (Bytes.equals(list[i].qualifier, qualifier)) {
+      list[i].amount = amount;
+      return this;
+    }
+  }
+  list.push({qualifier: qualifier, amount: amount});
+  return this;
+};
+
+/**
+ * Sets the TimeRange to be used on the Get for this increment.
+ * <p>
+ * This is useful for when you have counters that only last for specific
+ * periods of time (ie. counters that are partitioned by time).  By setting
+ * the range of valid times for this increment, you can potentially gain
+ * some performance with a more optimal Get operation.
+ *
+ * @param minStamp minimum timestamp value, inclusive
+ * @param maxStamp maximum timestamp value, exclusive
+ * @return this
+ */
+Increment.prototype.setTimeRange = function (minStamp, maxStamp) {
+  this.tr = new TimeRange(minStamp, maxStamp);
+  return this;
+};
+
+/**
+ * Sets whether this operation should write to the WAL or not.
+ *
+ * @param {Boolean} writeToWAL true if should write to WAL, false if not
+ * @return this
+ */
+Increment.prototype.setWriteToWAL = function (writeToWAL) {
+  this.writeToWAL = writeToWAL;
+  return this;
+};
+
+Increment.prototype.getRow = function () {
+  return this.row;
+};
+
+/**
+ * @return the number of columns in this Increment
+ */
+Increment.prototype.numColumns = function () {
+  var num = 0;
+  for (var family in this.familyMap) {
+    num += this.familyMap[family].length;
+  }
+  return num;
+};
+
+Increment.prototype.readFields = function (io) {
+  var version = io.readByte();
+  if (version > INCREMENT_VERSION) {
+    throw new IOException("unsupported version: " + version);
+  }
+  this.row = io.readByteArray();
+  this.tr = new TimeRange();
+  this.tr.readFields(io);
+  this.lockId = io.readLong();
+  var numFamilies = io.readInt();
+  var familyMap = {};
+  for (var i = 0; i < numFamilies; i++) {
+    var family = Bytes.toString(io.readByteArray());
+    var list = familyMap[family] = [];
+    var hasColumns = io.readBoolean();
+    if (hasColumns) {
+      var numColumns = io.readInt();
+      for (var j = 0; j < numColumns; j++) {
+        var qualifier = io.readByteArray();
+        list.push({qualifier: qualifier, amount: io.readLong()});
+      }
+    }
+  }
+  this.familyMap = familyMap;
+  if (version > 1) {
+    this.writeToWAL = io.readBoolean();
+  }
+};
+
+Increment.prototype.write = function (out) {
+  out.writeByte(INCREMENT_VERSION);
+  Bytes.writeByteArray(out, this.row);
+  this.tr.write(out);
+  out.writeLong(this.lockId);
+  var families = Object.keys(this.familyMap);
+  if (families.length === 0) {
+    throw new IOException("At least one column required");
+  }
+  out.writeInt(families.length);
+  for (var family in this.familyMap) {
+    Bytes.writeByteArray(out, Bytes.toBytes(family));
+    var list = this.familyMap[family];
+    out.writeBoolean(true);
+    out.writeInt(list.length);
+    for (var i = 0; i < list.length; i++) {
+      Bytes.writeByteArray(out, list[i].qualifier);
+      out.writeLong(list[i].amount);
+    }
+  }
+  out.writeBoolean(this.writeToWAL);
+};
+
+
+HbaseObjectWritable.addToClass('Increment.class', Increment);
+module.exports = Increment;
@@ -16,6 +16,7 @@ var Bytes = require('../util/bytes');
 var WritableUtils = require('../writable_utils');
 var Text = require('../text');
 var IOException = require('../errors').IOException;
+var ObjectInputStream = require('./object_input_stream');
 var UnsupportedOperationException = require('../errors').UnsupportedOperationException;
 
 var CODE_TO_CLASS = {};
@@ -198,7 +199,7 @@ exports.readObject = function (io, objectWritable, conf) {
     instance = null;
     // array
   } else if (declaredClass === 'byte[].class') {
-    instance = Bytes.readByteArray(io);
+    instance = io.readByteArray();
   } else if (declaredClass === 'Result[].class') {
     var Result = CLASSES['Result.class'];
     instance = Result.readArray(io);
@@ -237,6 +238,13 @@ exports.readObject = function (io, objectWritable, conf) {
   //   //        LOG.error("Can't find class " + className, e);
   //   //        throw new IOException("Can't find class " + className, e);
   //   //      }
+  } else if (declaredClass === 'Serializable.class') {
+    // Java serialized object, e.g.: java.lang.Long returned by coprocessor
+    var classCode = io.readVInt();
+    var className = classCode === NOT_ENCODED ? io.readVString() : CODE_TO_CLASS[classCode];
+    var length = io.readInt();
+    instance = ObjectInputStream.readObject(io.read(length));
+    declaredClass = className;
   } else {
     // Writable or Serializable
     // int b = (byte) WritableUtils.readVInt(in);
@@ -247,17 +255,20 @@ exports.readObject = function (io, objectWritable, conf) {
 
     if (b === NOT_ENCODED) {
       // String className = Text.readString(in);
+      // class without code, e.g.: 'org.apache.hadoop.hbase.client.coprocessor.ExecResult',
+      // must be registered by `addToClass(className, clazz)`
       name = io.readVString();
-      // try {
-      //   instanceClass = getClassByName(conf, className);
-      // } catch (ClassNotFoundException e) {
-      //   LOG.error("Can't find class " + className, e);
-      //   throw new IOException("Can't find class " + className, e);
-      // }
-    } else if (name === 'NullInstance.class') {
+    }
+
+    if (name === 'NullInstance.class') {
+      // NullInstance.readFields(), the declared class code of null
+      io.readVInt();
       instance = null;
     } else {
       var instanceClass = CLASSES[name];
+      if (!instanceClass) {
+        throw new IOException("Can't find class " + name);
+      }
       instance = instanceClass();
 
       if (typeof instance.readFields === 'function') {
@@ -296,9 +307,13 @@ exports.readFields = function (io) {
 exports.writeObject = function (out, instance, declaredClass) {
   var name;
   var clazz;
-  if (!instance && declaredClass === 'Writable.class') {
+  if ((instance === null || instance === undefined) && writableDeclaredClass(declaredClass) === declaredClass) {
     instance = new NullInstance(declaredClass);
+  }
+  if (instance instanceof NullInstance) {
+    // a null value, the server still gets its declared class from NullInstance
     clazz = 'NullInstance.class';
+    declaredClass = 'Writable.class';
   } else {
     name = instance.constructor.name;
     clazz = name + '.class';
@@ -310,6 +325,16 @@ exports.writeObject = function (out, instance, declaredClass) {
     Bytes.writeByteArray(out, instance);
     return;
   }
+  if (Array.isArray(instance) && instance.every(Buffer.isBuffer)) {
+    // byte[][], e.g.: split keys
+    clazz = 'byte[][].class';
+    exports.writeClassCode(out, clazz);
+    out.writeInt(instance.length);
+    for (var i = 0; i < instance.length; i++) {
+      exports.writeObject(out, instance[i]);
+    }
+    return;
+  }
   if (instance instanceof Long) {
     clazz = 'Long.TYPE';
     exports.writeClassCode(out, clazz);
@@ -321,8 +346,22 @@ exports.writeObject = function (out, instance, declaredClass) {
     // TODO: double, float
     clazz = 'Integer.TYPE';
   }
+  if (clazz === 'Boolean.class') {
+    clazz = 'Boolean.TYPE';
+  }
+
+  if (CLASS_TO_CODE[clazz] === undefined && typeof instance.write === 'function' &&
+      instance.constructor.classname) {
+    // Writable without class code, e.g.: LongColumnInterpreter, write its Java class name
+    exports.writeClassCode(out, writableDeclaredClass(declaredClass));
+    out.writeByte(NOT_ENCODED);
+    Text.writeString(out, instance.constructor.classname);
+    instance.write(out);
+    return;
+  }
 
-  if (declaredClass === 'Writable.class') {
+  if (declaredClass === 'Writable.class' ||
+      (typeof instance.write === 'function' && writableDeclaredClass(declaredClass) === declaredClass)) {
     exports.writeClassCode(out, declaredClass);
   } else {
     exports.writeClassCode(out, clazz);
@@ -344,6 +383,11 @@ exports.writeObject = function (out, instance, declaredClass) {
     out.writeInt(instance);
     return;
   }
+  // boolean
+  if (clazz === 'Boolean.TYPE') {
+    out.writeBoolean(instance);
+    return;
+  }
 
   throw new IOException("Can't write: " + instance + " as " + clazz);
 };
@@ -364,6 +408,25 @@ exports.writeClassCode = function (out, c) {
 };
 
 
+/**
+ * The declared class code to write before a Writable instance.
+ * e.g.: CompareFilter declares its comparator as `WritableByteArrayComparable.class`.
+ *
+ * @param {String} declaredClass
+ * @return {String} `declaredClass` if it has a class code, otherwise `Writable.class`
+ */
+function writableDeclaredClass(declaredClass) {
+  if (typeof declaredClass === 'string' && CLASS_TO_CODE[declaredClass] !== undefined) {
+    return declaredClass;
+  }
+  return 'Writable.class';
+}
+
+/**
+ * Placeholder of a null parameter.
+ *
+ * @param {String} declaredClass, e.g.: 'byte[].class'
+ */
 function NullInstance(declaredClass) {
   this.declaredClass = declaredClass;
 }
@@ -371,3 +434,5 @@ function NullInstance(declaredClass) {
 NullInstance.prototype.write = function (out) {
   exports.writeClassCode(out, this.declaredClass);
 };
+
+exports.NullInstance = NullInstance;
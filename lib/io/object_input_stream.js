@@ -0,0 +1,305 @@
+/**!
+ * node-hbase-client - lib/io/object_input_stream.js
+ *
+ * Copyright(c) Alibaba Group Holding Limited.
+ * MIT Licensed
+ */
+
+'use strict';
+
+/**
+ * A minimal reader of the Java Object Serialization Stream Protocol,
+ * only for the `Serializable` values HBase sends, e.g.: `java.lang.Long`,
+ * `org.apache.hadoop.hbase.util.Pair` and `java.util.ArrayList`.
+ *
+ * @see http://docs.oracle.com/javase/6/docs/platform/serialization/spec/protocol.html
+ */
+
+var Bytes = require('../util/bytes');
+var IOException = require('../errors').IOException;
+
+var STREAM_MAGIC = 0xaced;
+var STREAM_VERSION = 5;
+
+var TC_NULL = 0x70;
+var TC_REFERENCE = 0x71;
+var TC_CLASSDESC = 0x72;
+var TC_OBJECT = 0x73;
+var TC_STRING = 0x74;
+var TC_ARRAY = 0x75;
+var TC_BLOCKDATA = 0x77;
+var TC_ENDBLOCKDATA = 0x78;
+var TC_BLOCKDATALONG = 0x7a;
+var TC_LONGSTRING = 0x7c;
+var TC_ENUM = 0x7e;
+
+var SC_WRITE_METHOD = 0x01;
+var SC_SERIALIZABLE = 0x02;
+
+/**
+ * Convert the fields of well known classes to javascript values.
+ */
+var CONVERTERS = {
+  'java.lang.Long': function (fields) {
+    return fields.value;
+  },
+  'java.lang.Integer': function (fields) {
+    return fields.value;
+  },
+  'java.lang.Short': function (fields) {
+    return fields.value;
+  },
+  'java.lang.Byte': function (fields) {
+    return fields.value;
+  },
+  'java.lang.Double': function (fields) {
+    return fields.value;
+  },
+  'java.lang.Float': function (fields) {
+    return fields.value;
+  },
+  'java.lang.Boolean': function (fields) {
+    return fields.value;
+  },
+  'java.util.ArrayList': function (fields, annotations) {
+    return annotations;
+  },
+};
+
+function hasFlag(flags, flag) {
+  return Math.floor(flags / flag) % 2 === 1;
+}
+
+function ObjectInputStream(buf) {
+  this.buf = buf;
+  this.offset = 0;
+  this.handles = [];
+}
+
+ObjectInputStream.prototype.readByte = function () {
+  return this.buf[this.offset++];
+};
+
+ObjectInputStream.prototype.readShort = function () {
+  var v = this.buf.readUInt16BE(this.offset);
+  this.offset += 2;
+  return v;
+};
+
+ObjectInputStream.prototype.readInt = function () {
+  var v = this.buf.readInt32BE(this.offset);
+  this.offset += 4;
+  return v;
+};
+
+ObjectInputStream.prototype.readUTF = function () {
+  var length = this.readShort();
+  var s = this.buf.toString('utf8', this.offset, this.offset + length);
+  this.offset += length;
+  return s;
+};
+
+ObjectInputStream.prototype.readValue = function (typeCode) {
+  var v;
+  switch (typeCode) {
+  case 'B':
+    v = this.buf.readInt8(this.offset);
+    this.offset += 1;
+    return v;
+  case 'C':
+    v = String.fromCharCode(this.buf.readUInt16BE(this.offset));
+    this.offset += 2;
+    return v;
+  case 'D':
+    v = this.buf.readDoubleBE(this.offset);
+    this.offset += 8;
+    return v;
+  case 'F':
+    v = this.buf.readFloatBE(this.offset);
+    this.offset += 4;
+    return v;
+  case 'I':
+    return this.readInt();
+  case 'J':
+    v = Bytes.toLong(this.buf, this.offset);
+    this.offset += 8;
+    return v;
+  case 'S':
+    v = this.buf.readInt16BE(this.offset);
+    this.offset += 2;
+    return v;
+  case 'Z':
+    return this.readByte() !== 0;
+  case 'L':
+  case '[':
+    return this.readContent();
+  }
+  throw new IOException('Unsupported field type code: ' + typeCode);
+};
+
+/**
+ * @return {Object} the next object of the stream
+ */
+ObjectInputStream.prototype.readObject = function () {
+  if (this.offset === 0) {
+    if (this.readShort() !== STREAM_MAGIC || this.readShort() !== STREAM_VERSION) {
+      throw new IOException('invalid stream header');
+    }
+  }
+  return this.readContent();
+};
+
+ObjectInputStream.prototype.readContent = function () {
+  var tc = this.readByte();
+  var value;
+  switch (tc) {
+  case TC_NULL:
+    return null;
+  case TC_REFERENCE:
+    return this.handles[this.readInt() - 0x7e0000];
+  case TC_CLASSDESC:
+    return this.readClassDesc(tc);
+  case TC_STRING:
+    value = this.readUTF();
+    this.handles.push(value);
+    return value;
+  case TC_LONGSTRING:
+    var byteLength = this.readValue('J').toNumber();
+    value = this.buf.toString('utf8', this.offset, this.offset + byteLength);
+    this.offset += byteLength;
+    this.handles.push(value);
+    return value;
+  case TC_ARRAY:
+    return this.readArray();
+  case TC_ENUM:
+    this.readContent(); // class desc
+    var handle = this.handles.push(null) - 1;
+    value = this.readContent();
+    this.handles[handle] = value;
+    return value;
+  case TC_OBJECT:
+    return this.readNewObject();
+  case TC_BLOCKDATA:
+  case TC_BLOCKDATALONG:
+    var size = tc === TC_BLOCKDATA ? this.readByte() : this.readInt();
+    value = this.buf.slice(this.offset, this.offset + size);
+    this.offset += size;
+    return value;
+  }
+  throw new IOException('Unsupported type code: 0x' + (tc || 0).toString(16));
+};
+
+ObjectInputStream.prototype.readClassDesc = function (tc) {
+  if (tc === undefined) {
+    tc = this.readByte();
+    if (tc === TC_NULL) {
+      return null;
+    }
+    if (tc === TC_REFERENCE) {
+      return this.handles[this.readInt() - 0x7e0000];
+    }
+  }
+  if (tc !== TC_CLASSDESC) {
+    throw new IOException('Unsupported class desc type code: 0x' + tc.toString(16));
+  }
+  var desc = {
+    name: this.readUTF(),
+    serialVersionUID: this.readValue('J'),
+    fields: []
+  };
+  this.handles.push(desc);
+  desc.flags = this.readByte();
+  var count = this.readShort();
+  for (var i = 0; i < count; i++) {
+    var field = {
+      typeCode: String.fromCharCode(this.readByte()),
+      name: this.readUTF()
+    };
+    if (field.typeCode === 'L' || field.typeCode === '[') {
+      field.className = this.readContent();
+    }
+    desc.fields.push(field);
+  }
+  this.readAnnotations();
+  desc.superClass = this.readClassDesc();
+  return desc;
+};
+
+/**
+ * Read contents until TC_ENDBLOCKDATA
+ *
+ * @return {Array} the objects of the contents, block data are skipped
+ */
+ObjectInputStream.prototype.readAnnotations = function () {
+  var objects = [];
+  while (this.buf[this.offset] !== TC_ENDBLOCKDATA) {
+    var tc = this.buf[this.offset];
+    var value = this.readContent();
+    if (tc !== TC_BLOCKDATA && tc !== TC_BLOCKDATALONG) {
+      objects.push(value);
+    }
+  }
+  this.offset++;
+  return objects;
+};
+
+ObjectInputStream.prototype.readArray = function () {
+  var desc = this.readClassDesc();
+  var handle = this.handles.push(null) - 1;
+  var length = this.readInt();
+  var typeCode = desc.name.charAt(1);
+  var value;
+  if (typeCode === 'B') {
+    // byte[]
+    value = this.buf.slice(this.offset, this.offset + length);
+    this.offset += length;
+  } else {
+    value = [];
+    for (var i = 0; i < length; i++) {
+      value.push(this.readValue(typeCode));
+    }
+  }
+  this.handles[handle] = value;
+  return value;
+};
+
+ObjectInputStream.prototype.readNewObject = function () {
+  var desc = this.readClassDesc();
+  var handle = this.handles.push(null) - 1;
+  // class data from the top super class
+  var descs = [];
+  for (var d = desc; d; d = d.superClass) {
+    descs.unshift(d);
+  }
+  var fields = {};
+  var annotations = [];
+  for (var i = 0; i < descs.length; i++) {
+    d = descs[i];
+    if (!hasFlag(d.flags, SC_SERIALIZABLE)) {
+      throw new IOException('Unsupported class ' + d.name + ', only Serializable is supported');
+    }
+    for (var j = 0; j < d.fields.length; j++) {
+      var field = d.fields[j];
+      fields[field.name] = this.readValue(field.typeCode);
+    }
+    if (hasFlag(d.flags, SC_WRITE_METHOD)) {
+      annotations = annotations.concat(this.readAnnotations());
+    }
+  }
+  var converter = CONVERTERS[desc.name];
+  var value = converter ? converter(fields, annotations) : fields;
+  this.handles[handle] = value;
+  return value;
+};
+
+/**
+ * Read a Java serialized object.
+ *
+ * @param {Buffer} buf
+ * @return {Object} `Long` for java.lang.Long, `Number` for other numbers,
+ *   `Array` for java.util.ArrayList, fields object for other classes,
+ *   e.g.: `{first: Long, second: Long}` for org.apache.hadoop.hbase.util.Pair
+ */
+exports.readObject = function (buf) {
+  return new ObjectInputStream(buf).readObject();
+};
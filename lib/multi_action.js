@@ -23,8 +23,7 @@ function MultiAction() {
 MultiAction.prototype.size = function () {
   var size = 0;
   for (var key in this.actions) {
-    var list = this.actions[key];
-    size += list.length;
+    size += this.actions[key].list.length;
   }
   return size;
 };
@@ -53,6 +52,17 @@ MultiAction.prototype.getRegions = function () {
   return Object.keys(this.actions);
 };
 
+/**
+ * @return List<Action<R>> all actions of all regions
+ */
+MultiAction.prototype.allActions = function () {
+  var res = [];
+  for (var key in this.actions) {
+    res = res.concat(this.actions[key].list);
+  }
+  return res;
+};
+
 /**
  * @param {DataOutput} out
  */
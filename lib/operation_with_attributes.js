@@ -12,7 +12,6 @@
 
 var eventproxy = require('eventproxy');
 var Bytes = require('./util/bytes');
-var WritableUtils = require('./writable_utils');
 
 function OperationWithAttributes() {
   this.attributes = {};
@@ -60,7 +59,7 @@ OperationWithAttributes.prototype.writeAttributes = function (out) {
   } else {
     out.writeInt(Object.keys(this.attributes).length);
     for (var name in this.attributes) {
-      WritableUtils.writeString(out, name);
+      out.writeString(name);
       Bytes.writeByteArray(out, this.attributes[name]);
     }
   }
@@ -73,7 +72,7 @@ OperationWithAttributes.prototype.readAttributes = function (io) {
     for (var i = 0; i < numAttributes; i++) {
       var name = io.readString();
       var value = io.readByteArray();
-      this.attributes.put(name, value);
+      this.attributes[name] = value;
     }
   }
 };
@@ -49,6 +49,7 @@ function Put(row, ts, rowLock) {
   this.lockId = -1;
   if (rowLock) {
     this.lockId = rowLock.getLockId();
+    this.rowLock = rowLock;
   }
   this.familyMap = {};
   this.writeToWAL = true;
@@ -110,8 +111,15 @@ Put.prototype.getKeyValueList = function (family) {
   return list;
 };
 
+/**
+ * @return the Writable version of this operation
+ */
+Put.prototype.getVersion = function () {
+  return PUT_VERSION;
+};
+
 Put.prototype.write = function (out) {
-  out.writeByte(PUT_VERSION);
+  out.writeByte(this.getVersion());
   Bytes.writeByteArray(out, this.row);
   out.writeLong(this.ts);
   out.writeLong(this.lockId);
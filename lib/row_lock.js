@@ -0,0 +1,48 @@
+/**!
+ * node-hbase-client - lib/row_lock.js
+ *
+ * Copyright(c) Alibaba Group Holding Limited.
+ * MIT Licensed
+ */
+
+'use strict';
+
+/**
+ * Holds row name and lock id.
+ * <p>
+ * The lock only lives in the region server which granted it,
+ * operations with this lock will be sent to the same region.
+ *
+ * @param {Buffer} row row to lock on
+ * @param {Long} lockId the lock id
+ * @param {HRegionLocation} location the region which granted the lock
+ */
+function RowLock(row, lockId, location) {
+  this.row = row;
+  this.lockId = lockId;
+  this.location = location || null;
+}
+
+/**
+ * @return the row for this RowLock
+ */
+RowLock.prototype.getRow = function () {
+  return this.row;
+};
+
+/**
+ * @return the lock id
+ */
+RowLock.prototype.getLockId = function () {
+  return this.lockId;
+};
+
+/**
+ * @return the region location which granted the lock
+ */
+RowLock.prototype.getRegionLocation = function () {
+  return this.location;
+};
+
+
+module.exports = RowLock;
@@ -0,0 +1,79 @@
+/**!
+ * node-hbase-client - lib/row_mutations.js
+ *
+ * Copyright(c) Alibaba Group Holding Limited.
+ * MIT Licensed
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+
+var HbaseObjectWritable = require('./io/hbase_object_writable');
+var IOException = require('./errors').IOException;
+var Bytes = require('./util/bytes');
+
+var VERSION = 0;
+
+/**
+ * Performs multiple mutations atomically on a single row.
+ * Currently {@link Put} and {@link Delete} are supported.
+ *
+ * The mutations are performed in the order in which they
+ * were added.
+ *
+ * @param row row key
+ */
+function RowMutations(row) {
+  if (!(this instanceof RowMutations)) {
+    return new RowMutations(row);
+  }
+
+  if (row && !Buffer.isBuffer(row)) {
+    row = Bytes.toBytes(row);
+  }
+  this.row = row;
+  this.mutations = [];
+}
+
+/**
+ * Add a {@link Put} or {@link Delete} operation to the list of mutations
+ *
+ * @param {Put|Delete} m
+ * @return this
+ * @throws IOException if the row of `m` doesn't match this row
+ */
+RowMutations.prototype.add = function (m) {
+  if (Bytes.compareTo(this.row, m.getRow()) !== 0) {
+    throw new IOException("The row in the recently added Put/Delete " +
+      Bytes.toStringBinary(m.getRow()) + " doesn't match the original one " +
+      Bytes.toStringBinary(this.row));
+  }
+  this.mutations.push(m);
+  return this;
+};
+
+RowMutations.prototype.getRow = function () {
+  return this.row;
+};
+
+/**
+ * @return An unmodifiable list of the current mutations.
+ */
+RowMutations.prototype.getMutations = function () {
+  return this.mutations.slice();
+};
+
+RowMutations.prototype.write = function (out) {
+  out.writeByte(VERSION);
+  Bytes.writeByteArray(out, this.row);
+  out.writeInt(this.mutations.length);
+  for (var i = 0; i < this.mutations.length; i++) {
+    HbaseObjectWritable.writeObject(out, this.mutations[i]);
+  }
+};
+
+
+module.exports = RowMutations;
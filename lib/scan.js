@@ -18,6 +18,7 @@ var OperationWithAttributes = require('./operation_with_attributes');
 var Bytes = require('./util/bytes');
 var HConstants = require('./hconstants');
 var TimeRange = require('./time_range');
+var FilterBase = require('./filters/filter_base');
 
 var RAW_ATTR = "_raw_";
 var ISOLATION_LEVEL = "_isolationlevel_";
@@ -137,6 +138,13 @@ Scan.prototype.setFilter = function (filter) {
   return this;
 };
 
+/**
+ * @return the filter of the Scan, or null if none
+ */
+Scan.prototype.getFilter = function () {
+  return this.filter;
+};
+
 Scan.prototype.write = function (out) {
   out.writeByte(SCAN_VERSION);
   Bytes.writeByteArray(out, this.startRow);
@@ -149,8 +157,7 @@ Scan.prototype.write = function (out) {
     out.writeBoolean(false);
   } else {
     out.writeBoolean(true);
-    Bytes.writeByteArray(out, Bytes.toBytes(this.filter.constructor.classname));
-    this.filter.write(out);
+    FilterBase.writeFilter(out, this.filter);
   }
   this.tr.write(out);
   out.writeInt(Object.keys(this.familyMap).length);
@@ -12,6 +12,7 @@
 
 var EventEmitter = require('events').EventEmitter;
 var util = require('util');
+var promise = require('./util/promise');
 
 function Scanner(server, id) {
   EventEmitter.call(this);
@@ -30,5 +31,8 @@ Scanner.prototype.close = function (callback) {
   this.server.closeScanner(this.id, callback);
 };
 
+promise.promisifyMethods(Scanner.prototype, ['next', 'close']);
+promise.asyncIterable(Scanner);
+
 
 module.exports = Scanner;
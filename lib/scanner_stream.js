@@ -0,0 +1,147 @@
+/**!
+ * node-hbase-client - lib/scanner_stream.js
+ *
+ * Copyright(c) Alibaba Group Holding Limited.
+ * MIT Licensed
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+
+var debug = require('debug')('hbase:scanner_stream');
+var Readable = require('readable-stream').Readable;
+var util = require('util');
+var utility = require('utility');
+
+/**
+ * Object mode readable stream of the scan results.
+ * Rows are fetched in `scan.caching` sized batches only when the consumer reads,
+ * and the region server scanner will be closed on `end`, `error` or `destroy()`.
+ *
+ * @param {Client} client
+ * @param {String|Buffer} tableName
+ * @param {Scan} scan
+ * @param {Object} [options]
+ *  - {Boolean} raw, push `Result` instead of row object, default is false.
+ *    Row object format: `{row: <Buffer>, 'family:qualifier': <Buffer>, ...}`
+ */
+function ScannerStream(client, tableName, scan, options) {
+  options = options || {};
+  this.caching = scan.caching > 0 ? scan.caching : 1;
+  Readable.call(this, {objectMode: true, highWaterMark: this.caching});
+
+  this.client = client;
+  this.tableName = tableName;
+  this.scan = scan;
+  this.raw = !!options.raw;
+  this.scanner = null;
+  this.destroyed = false;
+  this._reading = false;
+}
+
+util.inherits(ScannerStream, Readable);
+
+ScannerStream.prototype._getScanner = function (callback) {
+  if (this.scanner) {
+    return callback(null, this.scanner);
+  }
+  var self = this;
+  self.client.getScanner(self.tableName, self.scan, function (err, scanner) {
+    if (err) {
+      return callback(err);
+    }
+    self.scanner = scanner;
+    if (self.destroyed) {
+      // destroy() called before the scanner opened
+      return self._closeScanner(utility.noop);
+    }
+    callback(null, scanner);
+  });
+};
+
+ScannerStream.prototype._closeScanner = function (callback) {
+  var scanner = this.scanner;
+  if (!scanner || scanner.closed) {
+    return callback();
+  }
+  debug('close scanner on table %s', this.tableName);
+  scanner.close(callback);
+};
+
+ScannerStream.prototype._read = function () {
+  if (this._reading || this.destroyed) {
+    return;
+  }
+  this._reading = true;
+
+  var self = this;
+  self._getScanner(function (err, scanner) {
+    if (err) {
+      self._reading = false;
+      return self._error(err);
+    }
+    scanner.next(self.caching, function (err, results) {
+      self._reading = false;
+      if (self.destroyed) {
+        return;
+      }
+      if (err) {
+        return self._error(err);
+      }
+      if (results.length === 0) {
+        return self._closeScanner(function (err) {
+          if (err) {
+            return self._error(err);
+          }
+          self.push(null);
+        });
+      }
+      debug('got %d rows', results.length);
+      for (var i = 0; i < results.length; i++) {
+        self.push(self.raw ? results[i] : toRow(results[i]));
+      }
+    });
+  });
+};
+
+ScannerStream.prototype._error = function (err) {
+  var self = this;
+  self._closeScanner(function () {
+    self.emit('error', err);
+  });
+};
+
+/**
+ * Stop reading and close the region server scanner.
+ *
+ * @param {Error} [err], will emit `error` event if present
+ */
+ScannerStream.prototype.destroy = function (err) {
+  if (this.destroyed) {
+    return;
+  }
+  this.destroyed = true;
+  var self = this;
+  self._closeScanner(function () {
+    if (err) {
+      self.emit('error', err);
+    }
+    self.emit('close');
+  });
+};
+
+function toRow(result) {
+  var r = {row: result.getRow()};
+  var kvs = result.raw();
+  for (var i = 0; i < kvs.length; i++) {
+    var kv = kvs[i];
+    r[kv.getFamily().toString() + ':' + kv.getQualifier().toString()] = kv.getValue();
+  }
+  return r;
+}
+
+
+module.exports = ScannerStream;
@@ -140,6 +140,17 @@ exports.toShort = function (bytes, offset, length) {
   return bytes.readInt16BE(offset);
 };
 
+/**
+ * Converts a byte array to a long value.
+ * @param bytes array
+ * @param offset offset into array, default is 0
+ * @return the long value
+ */
+exports.toLong = function (bytes, offset) {
+  offset = offset || 0;
+  return Long.fromBits(bytes.readInt32BE(offset + SIZEOF_INT), bytes.readInt32BE(offset));
+};
+
 /**
  * Converts a string to a UTF-8 byte array.
  * @param s string
@@ -0,0 +1,119 @@
+/**!
+ * node-hbase-client - lib/util/promise.js
+ *
+ * Copyright(c) Alibaba Group Holding Limited.
+ * MIT Licensed
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+
+var HConstants = require('../hconstants');
+
+/**
+ * Make a callback style method return a Promise when no callback is passed.
+ * The Promise resolves with the first value the callback got, or rejects with the error,
+ * `err.results` is the value the callback got with the error, e.g.: the partial rows of `mget()`.
+ *
+ * @param {Function} fn, `function (..., callback)`
+ * @return {Function}
+ */
+exports.promisify = function (fn) {
+  return function () {
+    var args = Array.prototype.slice.call(arguments);
+    // `fn(a, b, undefined)` equals `fn(a, b)`
+    while (args.length > 0 && args[args.length - 1] === undefined) {
+      args.pop();
+    }
+    if (typeof args[args.length - 1] === 'function') {
+      return fn.apply(this, args);
+    }
+    if (typeof Promise !== 'function') {
+      throw new TypeError('callback required, Promise is not supported in this runtime');
+    }
+
+    var self = this;
+    return new Promise(function (resolve, reject) {
+      args.push(function (err, value) {
+        if (err) {
+          if (value !== undefined && value !== null) {
+            err.results = value;
+          }
+          return reject(err);
+        }
+        resolve(value);
+      });
+      fn.apply(self, args);
+    });
+  };
+};
+
+/**
+ * Replace the methods of `proto` with their promisified version.
+ *
+ * @param {Object} proto
+ * @param {Array} names, method names
+ */
+exports.promisifyMethods = function (proto, names) {
+  for (var i = 0; i < names.length; i++) {
+    var name = names[i];
+    proto[name] = exports.promisify(proto[name]);
+  }
+};
+
+/**
+ * Make the scanner iterable by `for await (const result of scanner)`.
+ * The scanner will be closed after the last row, on error or on `break`.
+ *
+ * @param {Function} Scanner, has promisified `next(numberOfRows)` and `close()` methods
+ */
+exports.asyncIterable = function (Scanner) {
+  if (typeof Symbol !== 'function' || !Symbol.asyncIterator) {
+    return;
+  }
+
+  Scanner.prototype[Symbol.asyncIterator] = function () {
+    var scanner = this;
+    var rows = [];
+    var done = false;
+    var numberOfRows = scanner.caching || HConstants.DEFAULT_HBASE_CLIENT_SCANNER_CACHING;
+
+    var finish = function () {
+      if (done) {
+        return Promise.resolve({value: undefined, done: true});
+      }
+      done = true;
+      return scanner.close().then(function () {
+        return {value: undefined, done: true};
+      });
+    };
+
+    return {
+      next: function () {
+        if (done) {
+          return Promise.resolve({value: undefined, done: true});
+        }
+        if (rows.length > 0) {
+          return Promise.resolve({value: rows.shift(), done: false});
+        }
+        return scanner.next(numberOfRows).then(function (results) {
+          if (!results || results.length === 0) {
+            return finish();
+          }
+          rows = results;
+          return {value: rows.shift(), done: false};
+        }, function (err) {
+          return finish().then(function () {
+            throw err;
+          }, function () {
+            throw err;
+          });
+        });
+      },
+      return: finish
+    };
+  };
+};
@@ -0,0 +1,260 @@
+/**!
+ * node-hbase-client - test/admin.test.js
+ *
+ * Copyright(c) Alibaba Group Holding Limited.
+ * MIT Licensed
+ */
+
+"use strict";
+
+/**
+ * Module dependencies.
+ */
+
+var should = require('should');
+var mock = require('./support/mock_client');
+var Admin = require('../lib/admin');
+var HTableDescriptor = require('../lib/htable_descriptor');
+var HColumnDescriptor = require('../lib/hcolumn_descriptor');
+var HbaseObjectWritable = require('../lib/io/hbase_object_writable');
+
+function zkNoNode() {
+  var err = new Error('Exception: NO_NODE[-101]');
+  err.name = 'NO_NODE';
+  return err;
+}
+
+// mock a client which zookeeper has `nodes`, and a master which changes the table states
+function createMockAdmin(nodes) {
+  var client = mock.createMockClient({
+    numRetries: 1,
+    clearedTables: [],
+    ensureZookeeperTrackers: function (callback) {
+      setImmediate(callback);
+    },
+    zk: {
+      get: function (path, callback) {
+        var data = nodes[path];
+        setImmediate(function () {
+          if (data === undefined) {
+            return callback(zkNoNode());
+          }
+          callback(null, new Buffer(data));
+        });
+      }
+    },
+    clearRegionCache: function (tableName) {
+      client.clearedTables.push(tableName.toString());
+    },
+  }, ['createServerName']);
+
+  var admin = new Admin(client, {pause: 1, numRetries: 5});
+  admin.calls = [];
+  var states = {
+    createTable: 'ENABLED',
+    enableTable: 'ENABLED',
+    disableTable: 'DISABLED',
+    deleteTable: undefined,
+  };
+  admin._call = function (method, params, callback) {
+    admin.calls.push([method, params]);
+    setImmediate(function () {
+      if (method in states) {
+        var tableName = method === 'createTable' ? params[0].getNameAsString() : params[0].toString();
+        nodes['/table/' + tableName] = states[method];
+      }
+      callback(null, null);
+    });
+  };
+  return admin;
+}
+
+describe('test/admin.test.js', function () {
+
+  describe('getMasterAddress()', function () {
+    it('should parse versioned master address with metadata', function (done) {
+      // <magic 0xff><id length: 4><id: 'mstr'><version: 0x0000><hostname,port,startcode>
+      var data = Buffer.concat([
+        new Buffer([0xff, 0, 0, 0, 4]), new Buffer('mstr'),
+        new Buffer([0, 0]), new Buffer('master.host,60000,1389861633612')
+      ]);
+      var admin = createMockAdmin({});
+      admin.client.zk.get = function (path, callback) {
+        path.should.equal('/master');
+        callback(null, data);
+      };
+      admin.getMasterAddress(function (err, address) {
+        should.not.exist(err);
+        address.hostname.should.equal('master.host');
+        address.port.should.equal(60000);
+        address.startcode.should.equal(1389861633612);
+        done();
+      });
+    });
+
+    it('should return MasterNotRunningException when /master not exists', function (done) {
+      createMockAdmin({}).getMaster(function (err, master) {
+        should.exist(err);
+        err.name.should.equal('MasterNotRunningException');
+        err.message.should.equal('ZooKeeper available but no active master location found');
+        should.not.exist(master);
+        done();
+      });
+    });
+  });
+
+  describe('createTable()', function () {
+    it('should create table with sorted split keys and wait for it enabled', function (done) {
+      var nodes = {};
+      var admin = createMockAdmin(nodes);
+      var desc = new HTableDescriptor('t1').addFamily('cf');
+      admin.createTable(desc, ['b', new Buffer('a')], function (err) {
+        should.not.exist(err);
+        admin.calls.should.length(1);
+        admin.calls[0][0].should.equal('createTable');
+        admin.calls[0][1][0].should.equal(desc);
+        admin.calls[0][1][1].should.eql([new Buffer('a'), new Buffer('b')]);
+        nodes['/table/t1'].should.equal('ENABLED');
+        done();
+      });
+    });
+
+    it('should send null split keys by default', function (done) {
+      var admin = createMockAdmin({});
+      admin.createTable(new HTableDescriptor('t1').addFamily('cf'), function (err) {
+        should.not.exist(err);
+        var splitKeys = admin.calls[0][1][1];
+        splitKeys.should.be.an.instanceof(HbaseObjectWritable.NullInstance);
+        splitKeys.declaredClass.should.equal('byte[][].class');
+        done();
+      });
+    });
+
+    it('should return error on duplicate or empty split keys', function (done) {
+      var admin = createMockAdmin({});
+      var desc = new HTableDescriptor('t1').addFamily('cf');
+      admin.createTable(desc, ['b', 'a', 'b'], function (err) {
+        should.exist(err);
+        err.name.should.equal('IllegalArgumentException');
+        err.message.should.equal('All split keys must be unique, found duplicate: b, b');
+        admin.createTable(desc, ['', 'a'], function (err) {
+          should.exist(err);
+          err.message.should.equal('Empty split key must not be passed in the split keys.');
+          admin.calls.should.length(0);
+          done();
+        });
+      });
+    });
+
+    it('should return error when the table has no family', function (done) {
+      var admin = createMockAdmin({});
+      admin.createTable(new HTableDescriptor('t1'), function (err) {
+        should.exist(err);
+        err.message.should.equal('Table t1 should have at least one column family');
+        done();
+      });
+    });
+
+    it('should return error when the table is not enabled in time', function (done) {
+      var admin = createMockAdmin({'/table/t1': 'ENABLING'});
+      admin._call = function (method, params, callback) {
+        setImmediate(callback);
+      };
+      admin.createTable(new HTableDescriptor('t1').addFamily('cf'), function (err) {
+        should.exist(err);
+        err.name.should.equal('IOException');
+        err.message.should.equal("Table 't1' not yet enabled, state is ENABLING after 5ms.");
+        done();
+      });
+    });
+  });
+
+  describe('disableTable(), enableTable(), deleteTable()', function () {
+    it('should change the table state and wait for it', function (done) {
+      var nodes = {'/table/t1': 'ENABLED'};
+      var admin = createMockAdmin(nodes);
+      admin.disableTable('t1', function (err) {
+        should.not.exist(err);
+        admin.isTableDisabled('t1', function (err, disabled) {
+          should.not.exist(err);
+          disabled.should.equal(true);
+          admin.enableTable('t1', function (err) {
+            should.not.exist(err);
+            admin.isTableEnabled('t1', function (err, enabled) {
+              should.not.exist(err);
+              enabled.should.equal(true);
+              admin.calls.map(function (call) {
+                return call[0];
+              }).should.eql(['disableTable', 'enableTable']);
+              admin.calls[0][1].should.eql([new Buffer('t1')]);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should delete table and clear the region cache', function (done) {
+      var nodes = {'/table/t1': 'DISABLED'};
+      var admin = createMockAdmin(nodes);
+      admin.deleteTable('t1', function (err) {
+        should.not.exist(err);
+        should.not.exist(nodes['/table/t1']);
+        admin.client.clearedTables.should.eql(['t1']);
+        admin.isTableEnabled('t1', function (err, enabled) {
+          should.not.exist(err);
+          enabled.should.equal(false);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('addColumn(), deleteColumn(), modifyTable()', function () {
+    it('should call the master with table name and descriptors', function (done) {
+      var admin = createMockAdmin({});
+      var family = new HColumnDescriptor('cf2');
+      var desc = new HTableDescriptor('t1').addFamily('cf');
+      admin.addColumn('t1', family, function (err) {
+        should.not.exist(err);
+        admin.deleteColumn('t1', 'cf2', function (err) {
+          should.not.exist(err);
+          admin.modifyTable('t1', desc, function (err) {
+            should.not.exist(err);
+            admin.calls.should.eql([
+              ['addColumn', [new Buffer('t1'), family]],
+              ['deleteColumn', [new Buffer('t1'), new Buffer('cf2')]],
+              ['modifyTable', [new Buffer('t1'), desc]],
+            ]);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should return error without descriptor', function (done) {
+      var admin = createMockAdmin({});
+      admin.addColumn('t1', 'cf2', function (err) {
+        should.exist(err);
+        err.message.should.equal('HColumnDescriptor is required');
+        admin.modifyTable('t1', {}, function (err) {
+          should.exist(err);
+          err.message.should.equal('HTableDescriptor is required');
+          done();
+        });
+      });
+    });
+  });
+
+  describe('client.admin()', function () {
+    it('should return the same Admin', function () {
+      var client = mock.createMockClient({numRetries: 3}, ['admin']);
+      var admin = client.admin({pause: 10});
+      admin.should.be.an.instanceof(Admin);
+      admin.pause.should.equal(10);
+      admin.numRetries.should.equal(30);
+      client.admin().should.equal(admin);
+    });
+  });
+
+});
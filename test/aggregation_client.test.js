@@ -0,0 +1,145 @@
+/**!
+ * node-hbase-client - test/aggregation_client.test.js
+ *
+ * Copyright(c) Alibaba Group Holding Limited.
+ * MIT Licensed
+ */
+
+"use strict";
+
+/**
+ * Module dependencies.
+ */
+
+var should = require('should');
+var Long = require('long');
+var Scan = require('../lib/scan');
+var LongColumnInterpreter = require('../lib/coprocessor/long_column_interpreter');
+var HbaseObjectWritable = require('../lib/io/hbase_object_writable');
+var DataOutputBuffer = require('../lib/data_output_buffer');
+var Text = require('../lib/text');
+var mock = require('./support/mock_client');
+
+function L(n) {
+  return Long.fromNumber(n);
+}
+
+// every region returns one partial result
+function createMockClient(partials) {
+  var client = mock.createMockClient({
+    calls: [],
+    coprocessorExec: function (tableName, protocolName, methodName, args, options, callback) {
+      client.calls.push({
+        protocolName: protocolName, methodName: methodName, args: args, options: options
+      });
+      var results = {};
+      partials[methodName].forEach(function (value, i) {
+        results['mock_table,' + i + ',1'] = value;
+      });
+      setImmediate(callback.bind(null, null, results));
+    },
+  }, ['aggregate']);
+  return client;
+}
+
+describe('test/aggregation_client.test.js', function () {
+  var partials = {
+    getRowNum: [L(3), L(0), L(7)],
+    getSum: [L(30), null, L(-5)],
+    getMax: [L(10), null, L(25)],
+    getMin: [L(10), null, L(-25)],
+    getAvg: [{first: L(30), second: L(3)}, {first: L(10), second: L(1)}],
+    // values: 1, 2, 3, 4
+    getStd: [{first: [L(3), L(5)], second: L(2)}, {first: [L(7), L(25)], second: L(2)}],
+  };
+  var scan = new Scan('a', 'z');
+  scan.addColumn('f', 'pv');
+
+  it('should count rows of all regions', function (done) {
+    var client = createMockClient(partials);
+    client.aggregate('mock_table', scan, 'rowCount', function (err, count) {
+      should.not.exist(err);
+      count.toNumber().should.equal(10);
+      var call = client.calls[0];
+      call.protocolName.should.equal('org.apache.hadoop.hbase.coprocessor.AggregateProtocol');
+      call.methodName.should.equal('getRowNum');
+      call.args[0].should.be.instanceof(LongColumnInterpreter);
+      call.args[1].should.equal(scan);
+      call.options.startRow.should.eql(new Buffer('a'));
+      call.options.stopRow.should.eql(new Buffer('z'));
+      call.options.parameterClasses.should.eql([
+        'org.apache.hadoop.hbase.coprocessor.ColumnInterpreter',
+        'org.apache.hadoop.hbase.client.Scan'
+      ]);
+      done();
+    });
+  });
+
+  it('should merge sum, max and min', function (done) {
+    var client = createMockClient(partials);
+    client.aggregate('mock_table', scan, 'sum', function (err, sum) {
+      should.not.exist(err);
+      sum.toNumber().should.equal(25);
+      client.aggregate('mock_table', scan, 'max', function (err, max) {
+        should.not.exist(err);
+        max.toNumber().should.equal(25);
+        client.aggregate('mock_table', scan, 'min', {columnInterpreter: new LongColumnInterpreter()},
+        function (err, min) {
+          should.not.exist(err);
+          min.toNumber().should.equal(-25);
+          done();
+        });
+      });
+    });
+  });
+
+  it('should merge avg and std', function (done) {
+    var client = createMockClient(partials);
+    client.aggregate('mock_table', scan, 'avg', function (err, avg) {
+      should.not.exist(err);
+      avg.should.equal(10);
+      client.aggregate('mock_table', scan, 'std', function (err, std) {
+        should.not.exist(err);
+        std.should.equal(Math.sqrt(1.25));
+        done();
+      });
+    });
+  });
+
+  it('should return null when all regions are empty', function (done) {
+    var client = createMockClient({getMax: [null, null]});
+    client.aggregate('mock_table', scan, 'max', function (err, max) {
+      should.not.exist(err);
+      should.not.exist(max);
+      done();
+    });
+  });
+
+  it('should return error with invalid arguments', function (done) {
+    var client = createMockClient(partials);
+    client.aggregate('mock_table', scan, 'median', function (err) {
+      err.name.should.equal('IllegalArgumentException');
+      err.message.should.equal('Unsupported aggregate method: median');
+      client.aggregate('mock_table', new Scan('z', 'a').addFamily('f'), 'sum', function (err) {
+        err.name.should.equal('IOException');
+        err.message.should.equal('Agg client Exception: Startrow should be smaller than Stoprow');
+        client.aggregate('mock_table', new Scan(), 'sum', function (err) {
+          err.name.should.equal('IOException');
+          err.message.should.equal('There must be only one family.');
+          client.calls.should.length(0);
+          done();
+        });
+      });
+    });
+  });
+
+  it('should write LongColumnInterpreter with its class name', function () {
+    var out = new DataOutputBuffer();
+    HbaseObjectWritable.writeObject(out, new LongColumnInterpreter());
+    var expect = new DataOutputBuffer();
+    HbaseObjectWritable.writeClassCode(expect, 'Writable.class');
+    expect.writeByte(0); // NOT_ENCODED
+    Text.writeString(expect, 'org.apache.hadoop.hbase.client.coprocessor.LongColumnInterpreter');
+    out.getData().should.eql(expect.getData());
+  });
+});
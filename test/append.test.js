@@ -0,0 +1,67 @@
+/**!
+ * node-hbase-client - test/append.test.js
+ *
+ * Copyright(c) Alibaba Group Holding Limited.
+ * MIT Licensed
+ */
+
+"use strict";
+
+/**
+ * Module dependencies.
+ */
+
+var should = require('should');
+var Append = require('../lib/append');
+var DataOutputBuffer = require('../lib/data_output_buffer');
+var DataInputBuffer = require('../lib/data_input_buffer');
+
+describe('test/append.test.js', function () {
+
+  describe('setReturnResults()', function () {
+    it('should return results by default', function () {
+      var append = new Append('row1');
+      append.isReturnResults().should.equal(true);
+      should.not.exist(append.getAttribute('_rr_'));
+      append.setReturnResults(false).should.equal(append);
+      append.isReturnResults().should.equal(false);
+      append.getAttribute('_rr_').should.eql(new Buffer([0]));
+      append.setReturnResults(true);
+      append.isReturnResults().should.equal(true);
+      append.getAttribute('_rr_').should.eql(new Buffer([0xff]));
+    });
+  });
+
+  describe('write()', function () {
+    it('should convert Append to bytes', function () {
+      var append = new Append('row1');
+      append.add('f', 'q', ',e1').should.equal(append);
+      append.setReturnResults(false);
+      var out = new DataOutputBuffer();
+      append.write(out);
+
+      var io = new DataInputBuffer(out.getData());
+      io.readByte().should.equal(1);
+      io.readByteArray().should.eql(new Buffer('row1'));
+      io.readLong().toString().should.equal('9223372036854775807');
+      io.readLong().toNumber().should.equal(-1);
+      io.readBoolean().should.equal(true);
+      io.readInt().should.equal(1);
+      io.readByteArray().should.eql(new Buffer('f'));
+      io.readInt().should.equal(1);
+      // total length of KeyValues, then each KeyValue with its length
+      var totalLength = io.readInt();
+      var kvLength = io.readInt();
+      totalLength.should.equal(kvLength);
+      var kv = append.familyMap.f[0];
+      kv.getRow().should.eql(new Buffer('row1'));
+      kv.getValue().should.eql(new Buffer(',e1'));
+      io.read(kvLength).should.length(kvLength);
+      // attributes
+      io.readInt().should.equal(1);
+      io.readString().should.equal('_rr_');
+      io.readByteArray().should.eql(new Buffer([0]));
+    });
+  });
+
+});
@@ -0,0 +1,211 @@
+/**!
+ * node-hbase-client - test/buffered_mutator.test.js
+ *
+ * Copyright(c) Alibaba Group Holding Limited.
+ * MIT Licensed
+ */
+
+"use strict";
+
+/**
+ * Module dependencies.
+ */
+
+var should = require('should');
+var BufferedMutator = require('../lib/buffered_mutator');
+var Put = require('../lib/put');
+var Delete = require('../lib/delete');
+var Get = require('../lib/get');
+var errors = require('../lib/errors');
+var mock = require('./support/mock_client');
+
+function createPut(row, value) {
+  return new Put(row).add('f', 'q', value || 'v');
+}
+
+// processBatch of the mock client returns `failures[row]` as the result of the row
+function createMockClient(failures) {
+  failures = failures || {};
+  var client = mock.createMockClient({
+    batches: [],
+    warnings: [],
+    logger: {
+      warn: function () {
+        client.warnings.push(arguments);
+      }
+    },
+    processBatch: function (tableName, list, useCache, retry, callback) {
+      client.batches.push(list.map(function (mutation) {
+        return mutation.getRow().toString();
+      }));
+      setTimeout(function () {
+        callback(null, list.map(function (mutation) {
+          return failures[mutation.getRow().toString()] || null;
+        }));
+      }, 5);
+    },
+  }, ['getBufferedMutator']);
+  return client;
+}
+
+describe('test/buffered_mutator.test.js', function () {
+
+  describe('mutate()', function () {
+    it('should buffer mutations until the write buffer is full', function () {
+      var client = createMockClient();
+      var put = createPut('r1');
+      var kvLength = put.familyMap.f[0].getLength();
+      var mutator = client.getBufferedMutator('t1', {writeBufferSize: (2 + kvLength) * 3});
+      mutator.should.be.an.instanceof(BufferedMutator);
+      mutator.getName().should.equal('t1');
+
+      mutator.mutate(put).mutate(createPut('r2'));
+      mutator.currentWriteBufferSize.should.equal((2 + kvLength) * 2);
+      client.batches.should.length(0);
+
+      mutator.mutate([createPut('r3'), new Delete('r4')]);
+      client.batches.should.eql([['r1', 'r2', 'r3', 'r4']]);
+      mutator.writeBuffer.should.length(0);
+      mutator.currentWriteBufferSize.should.equal(0);
+    });
+
+    it('should throw on illegal mutations', function () {
+      var mutator = new BufferedMutator(createMockClient(), 't1');
+      (function () {
+        mutator.mutate(new Get('r1'));
+      }).should.throw('Mutation must be Put or Delete');
+      (function () {
+        mutator.mutate(new Put('r1'));
+      }).should.throw('No columns to insert');
+      mutator.writeBuffer.should.length(0);
+    });
+
+    it('should flush after flushIntervalMs', function (done) {
+      var client = createMockClient();
+      var mutator = client.getBufferedMutator('t1', {flushIntervalMs: 10});
+      mutator.mutate(createPut('r1'));
+      mutator.mutate(createPut('r2'));
+      client.batches.should.length(0);
+      setTimeout(function () {
+        client.batches.should.eql([['r1', 'r2']]);
+        done();
+      }, 50);
+    });
+  });
+
+  describe('flush()', function () {
+    it('should send the mutations buffered while flushing after the running flush', function (done) {
+      var client = createMockClient();
+      var mutator = client.getBufferedMutator('t1');
+      mutator.mutate(createPut('r1'));
+      var flushed = [];
+      mutator.flush(function (err) {
+        should.not.exist(err);
+        flushed.push(1);
+      });
+      mutator.mutate(createPut('r2'));
+      mutator.flush(function (err) {
+        should.not.exist(err);
+        flushed.push(2);
+        flushed.should.eql([1, 2]);
+        client.batches.should.eql([['r1'], ['r2']]);
+        // nothing to flush
+        mutator.flush(function (err) {
+          should.not.exist(err);
+          client.batches.should.length(2);
+          done();
+        });
+      });
+      client.batches.should.length(1);
+    });
+
+    it('should return the errors of the running flush to the flush called while flushing', function (done) {
+      var error = new errors.RemoteException('org.apache.hadoop.hbase.regionserver.NoSuchColumnFamilyException',
+        'Column family f does not exist');
+      var client = createMockClient({r1: error});
+      var mutator = client.getBufferedMutator('t1', {onError: function () {}});
+      mutator.mutate(createPut('r1'));
+      var firstErr = null;
+      mutator.flush(function (err) {
+        should.exist(err);
+        err.exceptions.should.eql([error]);
+        firstErr = err;
+      });
+      mutator.mutate(createPut('r2'));
+      mutator.flush(function (err) {
+        should.exist(firstErr);
+        should.exist(err);
+        err.name.should.equal('RetriesExhaustedWithDetailsException');
+        err.exceptions.should.eql([error]);
+        err.actions.map(function (action) {
+          return action.getRow().toString();
+        }).should.eql(['r1']);
+        client.batches.should.eql([['r1'], ['r2']]);
+
+        // nothing buffered while flushing
+        mutator.mutate(createPut('r1'));
+        mutator.flush(function () {});
+        mutator.flush(function (err) {
+          err.exceptions.should.eql([error]);
+          client.batches.should.length(3);
+          done();
+        });
+      });
+    });
+
+    it('should report each failed mutation', function (done) {
+      var error = new errors.RemoteException('org.apache.hadoop.hbase.regionserver.NoSuchColumnFamilyException',
+        'Column family f does not exist');
+      var client = createMockClient({r2: error});
+      var failed = [];
+      var mutator = client.getBufferedMutator('t1', {
+        onError: function (err, mutation) {
+          failed.push([err, mutation.getRow().toString()]);
+        }
+      });
+      mutator.mutate([createPut('r1'), createPut('r2'), createPut('r3')]);
+      mutator.flush(function (err) {
+        should.exist(err);
+        err.name.should.equal('RetriesExhaustedWithDetailsException');
+        err.message.should.equal('Failed 1 action: org.apache.hadoop.hbase.regionserver.NoSuchColumnFamilyException');
+        err.exceptions.should.eql([error]);
+        err.actions[0].getRow().toString().should.equal('r2');
+        failed.should.eql([[error, 'r2']]);
+        done();
+      });
+    });
+
+    it('should fail all mutations on batch error and log them without onError', function (done) {
+      var client = createMockClient();
+      client.processBatch = function (tableName, list, useCache, retry, callback) {
+        callback(new errors.ConnectionClosedException('mock closed'));
+      };
+      var mutator = client.getBufferedMutator('t1');
+      mutator.mutate([createPut('r1'), new Delete('r2')]);
+      mutator.flush(function (err) {
+        err.exceptions.should.length(2);
+        err.exceptions[1].message.should.equal('mock closed');
+        err.message.should.equal('Failed 2 actions: ConnectionClosedException');
+        client.warnings.should.length(2);
+        done();
+      });
+    });
+  });
+
+  describe('close()', function () {
+    it('should flush and refuse new mutations', function (done) {
+      var client = createMockClient();
+      var mutator = client.getBufferedMutator('t1', {flushIntervalMs: 1000});
+      mutator.mutate(createPut('r1'));
+      mutator.close().then(function () {
+        client.batches.should.eql([['r1']]);
+        should.not.exist(mutator._timer);
+        (function () {
+          mutator.mutate(createPut('r2'));
+        }).should.throw('Cannot mutate when the BufferedMutator is closed.');
+        done();
+      }).catch(done);
+    });
+  });
+
+});
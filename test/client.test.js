@@ -30,6 +30,11 @@ var Bytes = require('../lib/util/bytes');
 var HRegionLocation = require('../lib/hregion_location');
 var Result = require('../lib/result');
 var Delete = require('../lib/delete');
+var Increment = require('../lib/increment');
+var Append = require('../lib/append');
+var RowMutations = require('../lib/row_mutations');
+var HTableDescriptor = require('../lib/htable_descriptor');
+var HColumnDescriptor = require('../lib/hcolumn_descriptor');
 var filters = require('../').filters;
 
 // we need to block it on localhost.. otherwise it's too quick
@@ -835,6 +840,44 @@ describe('test/client.test.js', function () {
         });
       });
 
+      it('should scan rows across all regions', function (done) {
+        var table = config.tableUser;
+        // test table was split by HexStringSplit, these rows live in different regions
+        var rows = [
+          '0f48MDAwMDAwMDAwMDAwMDAwMA==scan',
+          '58c8MDAwMDAwMDAwMDAwMDAwMQ==scan',
+          'a98eMDAwMDAwMDAwMDAwMDAwMg==scan',
+          'f390MDAwMDAwMDAwMDAwMDAxOQ==scan',
+        ];
+        client.mput(table, rows.map(function (r) {
+          return {row: r, 'cf1:history': r};
+        }), function (err) {
+          should.not.exists(err);
+          var scan = new Scan('0f48', 'f391');
+          scan.addColumn('cf1', 'history');
+          client.getScanner(table, scan, function (err, scanner) {
+            should.not.exists(err);
+            var found = [];
+            var next = function () {
+              scanner.next(100, function (err, results) {
+                should.not.exists(err);
+                if (results.length === 0) {
+                  rows.forEach(function (r) {
+                    found.should.include(r);
+                  });
+                  return scanner.close(done);
+                }
+                results.forEach(function (result) {
+                  found.push(result.getRow().toString());
+                });
+                next();
+              });
+            };
+            next();
+          });
+        });
+      });
+
     });
 
     describe('put(table, put)', function () {
@@ -993,6 +1036,246 @@ describe('test/client.test.js', function () {
 
     });
 
+    describe('lockRow(), unlockRow()', function () {
+      var table = config.tableUser;
+      var rowkey = 'a98eMDAwMDAwMDAwMDAwMDAwMg==lockRow';
+
+      it('should put and get with row lock', function (done) {
+        client.lockRow(table, rowkey, function (err, rowLock) {
+          should.not.exists(err);
+          should.exists(rowLock);
+          rowLock.getLockId().should.be.instanceof(Long);
+          var put = new Put(rowkey, null, rowLock);
+          put.add('cf1', 'history', 'locked');
+          client.put(table, put, function (err) {
+            should.not.exists(err);
+            client.get(table, new Get(rowkey, rowLock), function (err, result) {
+              should.not.exists(err);
+              result.getValue('cf1', 'history').toString().should.equal('locked');
+              client.unlockRow(table, rowLock, function (err) {
+                should.not.exists(err);
+                done();
+              });
+            });
+          });
+        });
+      });
+
+      it('should return error when unlock a released lock', function (done) {
+        client.lockRow(table, rowkey, function (err, rowLock) {
+          should.not.exists(err);
+          client.unlockRow(table, rowLock, function (err) {
+            should.not.exists(err);
+            client.unlockRow(table, rowLock, function (err) {
+              should.exists(err);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    describe('exists(), mexists()', function () {
+      var table = config.tableUser;
+      var rowkey = 'a98eMDAwMDAwMDAwMDAwMDAwMg==exists';
+      var notExistsRow = 'a98eMDAwMDAwMDAwMDAwMDAwMg==not-exists';
+
+      before(function (done) {
+        client.putRow(table, rowkey, {'cf1:history': 'exists'}, done);
+      });
+
+      it('should return true when row exists', function (done) {
+        client.exists(table, new Get(rowkey), function (err, exists) {
+          should.not.exists(err);
+          exists.should.equal(true);
+          done();
+        });
+      });
+
+      it('should check the column of the row', function (done) {
+        var get = new Get(rowkey);
+        get.addColumn('cf1', 'qualifier-not-exists');
+        client.exists(table, get, function (err, exists) {
+          should.not.exists(err);
+          exists.should.equal(false);
+          done();
+        });
+      });
+
+      it('should return false when row not exists', function (done) {
+        client.exists(table, new Get(notExistsRow), function (err, exists) {
+          should.not.exists(err);
+          exists.should.equal(false);
+          done();
+        });
+      });
+
+      it('should mexists() return booleans in the input order', function (done) {
+        var rows = [notExistsRow, rowkey, new Get(rowkey), notExistsRow];
+        client.mexists(table, rows, function (err, exists) {
+          should.not.exists(err);
+          exists.should.eql([false, true, true, false]);
+          done();
+        });
+      });
+
+      it('should mexists() check columns', function (done) {
+        client.mexists(table, [rowkey, notExistsRow], ['cf1:qualifier-not-exists'], function (err, exists) {
+          should.not.exists(err);
+          exists.should.eql([false, false]);
+          done();
+        });
+      });
+    });
+
+    describe('checkAndPut(), checkAndDelete()', function () {
+      var table = config.tableUser;
+      var rowkey = 'a98eMDAwMDAwMDAwMDAwMDAwMg==checkAnd';
+
+      before(function (done) {
+        client.deleteRow(table, rowkey, done);
+      });
+
+      it('should put only when the cell is absent', function (done) {
+        var put = new Put(rowkey);
+        put.add('cf1', 'history', 'worker1');
+        client.checkAndPut(table, rowkey, 'cf1', 'history', null, put, function (err, success) {
+          should.not.exists(err);
+          success.should.equal(true);
+          var put2 = new Put(rowkey);
+          put2.add('cf1', 'history', 'worker2');
+          client.checkAndPut(table, rowkey, 'cf1', 'history', null, put2, function (err, success) {
+            should.not.exists(err);
+            success.should.equal(false);
+            done();
+          });
+        });
+      });
+
+      it('should put when the value matches', function (done) {
+        var put = new Put(rowkey);
+        put.add('cf1', 'history', 'worker3');
+        client.checkAndPut(table, rowkey, 'cf1', 'history', 'worker1', put, function (err, success) {
+          should.not.exists(err);
+          success.should.equal(true);
+          done();
+        });
+      });
+
+      it('should delete only when the value matches', function (done) {
+        var del = new Delete(rowkey);
+        del.deleteColumns('cf1', 'history');
+        client.checkAndDelete(table, rowkey, 'cf1', 'history', 'worker1', del, function (err, success) {
+          should.not.exists(err);
+          success.should.equal(false);
+          client.checkAndDelete(table, rowkey, 'cf1', 'history', 'worker3', del, function (err, success) {
+            should.not.exists(err);
+            success.should.equal(true);
+            client.getRow(table, rowkey, ['cf1:history'], function (err, row) {
+              should.not.exists(err);
+              should.not.exists(row);
+              done();
+            });
+          });
+        });
+      });
+
+      it('should delete when the checked cell is absent', function (done) {
+        var del = new Delete(rowkey);
+        client.checkAndDelete(table, rowkey, 'cf1', 'qualifier2', null, del, function (err, success) {
+          should.not.exists(err);
+          success.should.equal(true);
+          done();
+        });
+      });
+    });
+
+    describe('increment()', function () {
+      var table = config.tableUser;
+      var rowkey = 'a98eMDAwMDAwMDAwMDAwMDAwMg==increment';
+
+      before(function (done) {
+        client.deleteRow(table, rowkey, done);
+      });
+
+      it('should incrementColumnValue() return the new Long value', function (done) {
+        client.incrementColumnValue(table, rowkey, 'cf1', 'counter', 10, function (err, value) {
+          should.not.exists(err);
+          value.should.be.instanceof(Long);
+          value.toNumber().should.equal(10);
+          client.incrementColumnValue(table, rowkey, 'cf1', 'counter', -3, false, function (err, value) {
+            should.not.exists(err);
+            value.toNumber().should.equal(7);
+            done();
+          });
+        });
+      });
+
+      it('should increment() multi columns', function (done) {
+        var inc = new Increment(rowkey);
+        inc.addColumn('cf1', 'counter', 1);
+        inc.addColumn('cf1', 'counter2', 100);
+        client.increment(table, inc, function (err, result) {
+          should.not.exists(err);
+          Bytes.toLong(result.getValue('cf1', 'counter')).toNumber().should.equal(8);
+          Bytes.toLong(result.getValue('cf1', 'counter2')).toNumber().should.equal(100);
+          done();
+        });
+      });
+
+      it('should return error when increment has no column', function (done) {
+        client.increment(table, new Increment(rowkey), function (err) {
+          should.exists(err);
+          err.name.should.equal('IllegalArgumentException');
+          done();
+        });
+      });
+    });
+
+    describe('append()', function () {
+      var table = config.tableUser;
+      var rowkey = 'a98eMDAwMDAwMDAwMDAwMDAwMg==append';
+
+      before(function (done) {
+        client.putRow(table, rowkey, {'cf1:history': 'e1'}, done);
+      });
+
+      it('should append values and return the new cells', function (done) {
+        var append = new Append(rowkey);
+        append.add('cf1', 'history', ',e2');
+        append.add('cf1', 'history2', 'e2');
+        client.append(table, append, function (err, result) {
+          should.not.exists(err);
+          result.getValue('cf1', 'history').toString().should.equal('e1,e2');
+          result.getValue('cf1', 'history2').toString().should.equal('e2');
+          done();
+        });
+      });
+
+      it('should return null when returnResults is false', function (done) {
+        var append = new Append(rowkey);
+        append.add('cf1', 'history', ',e3');
+        append.setReturnResults(false);
+        client.append(table, append, function (err, result) {
+          should.not.exists(err);
+          should.not.exists(result);
+          client.getRow(table, rowkey, ['cf1:history'], function (err, row) {
+            should.not.exists(err);
+            row['cf1:history'].toString().should.equal('e1,e2,e3');
+            done();
+          });
+        });
+      });
+
+      it('should return error when append has no column', function (done) {
+        client.append(table, new Append(rowkey), function (err) {
+          should.exists(err);
+          err.name.should.equal('IllegalArgumentException');
+          done();
+        });
+      });
+    });
+
     describe('mget', function () {
       var tableName = config.tableUser;
       var columns = ['cf1:history'];
@@ -1184,6 +1467,168 @@ describe('test/client.test.js', function () {
         });
       });
 
+      it('should upsert rows atomically with atomic option', function (done) {
+        var rows = ['a98eMDAwMDAwMDAwMDAwMDAwMg==mda1', 'a98eMDAwMDAwMDAwMDAwMDAwMg==mda2'];
+        client.mput(tableName, [
+          {row: rows[0], 'cf1:qualifier2': 'will be deleted'},
+          {row: rows[1], 'cf1:qualifier2': 'will be deleted'}
+        ], function (err) {
+          should.not.exists(err);
+          client.mupsert(tableName, [
+            {row: rows[0], 'cf1:history': 'atomic-1', 'cf1:qualifier2': null},
+            {row: rows[1], 'cf1:history': 'atomic-2', 'cf1:qualifier2': null}
+          ], {atomic: true}, function (err, results) {
+            should.not.exists(err);
+            results.should.length(2);
+            client.mget(tableName, rows, ['cf1:history', 'cf1:qualifier2'], function (err, result) {
+              should.not.exists(err);
+              result.should.length(2);
+              result[0].should.have.keys('cf1:history');
+              result[0]['cf1:history'].toString().should.equal('atomic-1');
+              result[1].should.have.keys('cf1:history');
+              result[1]['cf1:history'].toString().should.equal('atomic-2');
+              done();
+            });
+          });
+        });
+      });
+
+    });
+
+    describe('mutateRow()', function () {
+      var table = config.tableUser;
+      var rowkey = 'a98eMDAwMDAwMDAwMDAwMDAwMg==mutateRow';
+
+      before(function (done) {
+        client.putRow(table, rowkey, {'cf1:qualifier2': 'old'}, done);
+      });
+
+      it('should apply Put and Delete on one row', function (done) {
+        var put = new Put(rowkey);
+        put.add('cf1', 'history', 'mutated');
+        var del = new Delete(rowkey);
+        del.deleteColumns('cf1', 'qualifier2');
+        client.mutateRow(table, new RowMutations(rowkey).add(put).add(del), function (err) {
+          should.not.exists(err);
+          client.getRow(table, rowkey, ['cf1:history', 'cf1:qualifier2'], function (err, row) {
+            should.not.exists(err);
+            row.should.have.keys('cf1:history');
+            row['cf1:history'].toString().should.equal('mutated');
+            done();
+          });
+        });
+      });
+
+      it('should return error when no mutation', function (done) {
+        client.mutateRow(table, new RowMutations(rowkey), function (err) {
+          should.exists(err);
+          err.name.should.equal('IllegalArgumentException');
+          done();
+        });
+      });
+    });
+
+    describe('listTables(), getTableRegionsInfo()', function () {
+      it('should list tables from .META.', function (done) {
+        client.listTables(function (err, tables) {
+          should.not.exists(err);
+          var names = tables.map(function (table) {
+            return table.name;
+          });
+          names.should.include(config.tableUser);
+          var table = tables[names.indexOf(config.tableUser)];
+          table.regions.length.should.above(0);
+          table.online.should.equal(true);
+          done();
+        });
+      });
+
+      it('should get table regions from .META.', function (done) {
+        client.getTableRegionsInfo(config.tableUser, function (err, table) {
+          should.not.exists(err);
+          table.name.should.equal(config.tableUser);
+          table.regions.length.should.above(0);
+          table.regions[0].startKey.should.length(0);
+          table.regions[table.regions.length - 1].endKey.should.length(0);
+          table.regions.forEach(function (region) {
+            region.online.should.equal(true);
+            region.server.should.equal(region.hostname + ':' + region.port);
+          });
+          done();
+        });
+      });
+
+      it('should return TableNotFoundException', function (done) {
+        client.getTableRegionsInfo('not_exists_table', function (err) {
+          should.exists(err);
+          err.name.should.equal('TableNotFoundException');
+          done();
+        });
+      });
+    });
+
+    describe('getRegionLocations(), getStartEndKeys()', function () {
+      it('should return all regions of the table in row order', function (done) {
+        client.getRegionLocations(config.tableUser, function (err, locations) {
+          should.not.exists(err);
+          locations.length.should.above(0);
+          locations[0].regionInfo.getStartKey().should.length(0);
+          locations[locations.length - 1].regionInfo.getEndKey().should.length(0);
+          for (var i = 1; i < locations.length; i++) {
+            locations[i].regionInfo.getStartKey().should.eql(locations[i - 1].regionInfo.getEndKey());
+          }
+          client.getStartEndKeys(config.tableUser, function (err, keys) {
+            should.not.exists(err);
+            keys.getFirst().should.length(locations.length);
+            keys.getSecond().should.length(locations.length);
+            done();
+          });
+        });
+      });
+    });
+
+    describe('admin()', function () {
+      var table = 'node_hbase_client_admin_test';
+      var admin = null;
+      before(function () {
+        admin = client.admin();
+      });
+
+      it('should create, alter, disable and delete a table', function (done) {
+        this.timeout(120000);
+        var desc = new HTableDescriptor(table).addFamily(new HColumnDescriptor('cf1').setMaxVersions(1));
+        admin.createTable(desc, ['m'], function (err) {
+          should.not.exists(err);
+          client.putRow(table, 'z-row', {'cf1:name': 'admin'}, function (err) {
+            should.not.exists(err);
+            admin.disableTable(table, function (err) {
+              should.not.exists(err);
+              admin.addColumn(table, new HColumnDescriptor('cf2'), function (err) {
+                should.not.exists(err);
+                admin.deleteColumn(table, 'cf2', function (err) {
+                  should.not.exists(err);
+                  admin.deleteTable(table, function (err) {
+                    should.not.exists(err);
+                    admin.isTableEnabled(table, function (err, enabled) {
+                      should.not.exists(err);
+                      enabled.should.equal(false);
+                      done();
+                    });
+                  });
+                });
+              });
+            });
+          });
+        });
+      });
+
+      it('should return error when delete an enabled table', function (done) {
+        admin.deleteTable(config.tableUser, function (err) {
+          should.exists(err);
+          err.name.should.include('TableNotDisabledException');
+          done();
+        });
+      });
     });
 
   });
@@ -59,7 +59,8 @@ describe('client_region.test.js', function () {
         client.mget(table, ['0338472dd25d0faeacbef9b957950961', 'fdbf2da2cc85e1c79f953a3d8f482edf'], ['cf1:history'],
         function (err, results) {
           should.exist(err);
-          err.name.should.equal('org.apache.hadoop.hbase.regionserver.WrongRegionException');
+          err.name.should.equal('RetriesExhaustedWithDetailsException');
+          err.exceptions[0].name.should.equal('org.apache.hadoop.hbase.regionserver.WrongRegionException');
           done();
         });
       });
@@ -84,7 +85,8 @@ describe('client_region.test.js', function () {
 
         client.processBatch(table, [get2], true, 0, function (err, results) {
           should.exist(err);
-          err.name.should.equal('org.apache.hadoop.hbase.regionserver.WrongRegionException');
+          err.name.should.equal('RetriesExhaustedWithDetailsException');
+          err.exceptions[0].name.should.equal('org.apache.hadoop.hbase.regionserver.WrongRegionException');
           done();
         });
       });
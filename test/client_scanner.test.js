@@ -0,0 +1,194 @@
+/**!
+ * node-hbase-client - test/client_scanner.test.js
+ *
+ * Copyright(c) Alibaba Group Holding Limited.
+ * MIT Licensed
+ */
+
+"use strict";
+
+/**
+ * Module dependencies.
+ */
+
+var should = require('should');
+var ClientScanner = require('../lib/client_scanner');
+var HRegionLocation = require('../lib/hregion_location');
+var Scan = require('../lib/scan');
+var HConstants = require('../lib/hconstants');
+var mock = require('./support/mock_client');
+
+// mock a table with regions: [, b), [b, d), [d, )
+// `openErrors` is the error of opening the scanner on the region starting at the key
+function createMockClient(rows, openErrors) {
+  var regions = mock.createRegions('mock_table');
+  var scanners = {};
+  var scannerId = 0;
+  var server = {
+    nextResult: function (id, numberOfRows, callback) {
+      var scanner = scanners[id];
+      callback(null, scanner.rows.splice(0, numberOfRows));
+    },
+    closeScanner: function (id, callback) {
+      scanners[id].closed = true;
+      callback();
+    }
+  };
+  var client = mock.createMockClient({
+    scanners: scanners,
+    _regionAction: function (method, tableName, row, scan, useCache, retry, callback) {
+      method.should.equal('openScanner');
+      var region = null;
+      for (var i = 0; i < regions.length; i++) {
+        if (regions[i].containsRow(new Buffer(row))) {
+          region = regions[i];
+        }
+      }
+      var openError = openErrors && openErrors[region.getStartKey().toString()];
+      if (openError) {
+        return callback(openError);
+      }
+      var startRow = scan.startRow.toString();
+      var stopRow = scan.stopRow.toString();
+      var regionRows = rows.filter(function (r) {
+        return region.containsRow(new Buffer(r)) && r >= startRow && (!stopRow || r < stopRow);
+      });
+      var id = scannerId++;
+      scanners[id] = {rows: regionRows, region: region, closed: false};
+      callback(null, id, server, new HRegionLocation(region, '127.0.0.1', 60020));
+    }
+  });
+  return client;
+}
+
+describe('test/client_scanner.test.js', function () {
+  var rows = ['a1', 'a2', 'b1', 'c1', 'c2', 'd1', 'e1'];
+
+  it('should scan all regions with next(numberOfRows)', function (done) {
+    var client = createMockClient(rows);
+    var scanner = new ClientScanner(client, 'mock_table', new Scan());
+    scanner.open(function (err) {
+      should.not.exist(err);
+      var results = [];
+      var next = function () {
+        scanner.next(2, function (err, values) {
+          should.not.exist(err);
+          if (values.length === 0) {
+            results.should.eql(rows);
+            Object.keys(client.scanners).should.length(3);
+            for (var id in client.scanners) {
+              client.scanners[id].closed.should.equal(true);
+            }
+            return scanner.close(done);
+          }
+          values.length.should.not.above(2);
+          results = results.concat(values);
+          next();
+        });
+      };
+      next();
+    });
+  });
+
+  it('should fetch rows by scan.caching or the scanner caching of the client', function () {
+    var client = createMockClient(rows);
+    new ClientScanner(client, 'mock_table', new Scan()).caching
+      .should.equal(HConstants.DEFAULT_HBASE_CLIENT_SCANNER_CACHING);
+    client.scannerCaching = 5;
+    new ClientScanner(client, 'mock_table', new Scan()).caching.should.equal(5);
+    var scan = new Scan();
+    scan.caching = 2;
+    new ClientScanner(client, 'mock_table', scan).caching.should.equal(2);
+  });
+
+  it('should return one row with next() and null when done', function (done) {
+    var client = createMockClient(rows);
+    var scanner = new ClientScanner(client, 'mock_table', new Scan());
+    scanner.open(function (err) {
+      should.not.exist(err);
+      var results = [];
+      var next = function () {
+        scanner.next(function (err, row) {
+          should.not.exist(err);
+          if (!row) {
+            results.should.eql(rows);
+            return scanner.close(done);
+          }
+          results.push(row);
+          next();
+        });
+      };
+      next();
+    });
+  });
+
+  it('should stop at the region contains stopRow', function (done) {
+    var client = createMockClient(rows);
+    var scanner = new ClientScanner(client, 'mock_table', new Scan('a2', 'c2'));
+    scanner.open(function (err) {
+      should.not.exist(err);
+      var results = [];
+      var next = function () {
+        scanner.next(10, function (err, values) {
+          should.not.exist(err);
+          if (values.length === 0) {
+            results.should.eql(['a2', 'b1', 'c1']);
+            // never open the scanner on region [d, )
+            Object.keys(client.scanners).should.length(2);
+            return scanner.close(done);
+          }
+          results = results.concat(values);
+          next();
+        });
+      };
+      next();
+    });
+  });
+
+  it('should close the current region scanner', function (done) {
+    var client = createMockClient(rows);
+    var scanner = new ClientScanner(client, 'mock_table', new Scan('b'));
+    scanner.open(function (err) {
+      should.not.exist(err);
+      scanner.currentRegion.getStartKey().toString().should.equal('b');
+      scanner.close(function (err) {
+        should.not.exist(err);
+        client.scanners[0].closed.should.equal(true);
+        should.not.exist(scanner.id);
+        scanner.next(1, function (err, values) {
+          should.not.exist(err);
+          values.should.length(0);
+          done();
+        });
+      });
+    });
+  });
+
+  it('should return the error of opening the next region scanner on every next()', function (done) {
+    var openError = new Error('mock open scanner error');
+    var client = createMockClient(rows, {b: openError});
+    var scanner = new ClientScanner(client, 'mock_table', new Scan());
+    scanner.open(function (err) {
+      should.not.exist(err);
+      scanner.next(10, function (err, values) {
+        should.not.exist(err);
+        values.should.eql(['a1', 'a2']);
+        scanner.next(10, function (err, values) {
+          err.should.equal(openError);
+          should.not.exist(values);
+          scanner.closed.should.equal(true);
+          client.scanners[0].closed.should.equal(true);
+          scanner.next(10, function (err, values) {
+            err.should.equal(openError);
+            should.not.exist(values);
+            scanner.next(function (err, row) {
+              err.should.equal(openError);
+              should.not.exist(row);
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+});
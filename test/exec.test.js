@@ -0,0 +1,167 @@
+/**!
+ * node-hbase-client - test/exec.test.js
+ *
+ * Copyright(c) Alibaba Group Holding Limited.
+ * MIT Licensed
+ */
+
+"use strict";
+
+/**
+ * Module dependencies.
+ */
+
+var should = require('should');
+var Long = require('long');
+var Exec = require('../lib/exec');
+var ExecResult = require('../lib/exec_result');
+var Scan = require('../lib/scan');
+var Bytes = require('../lib/util/bytes');
+var Text = require('../lib/text');
+var HbaseObjectWritable = require('../lib/io/hbase_object_writable');
+var HRegionLocation = require('../lib/hregion_location');
+var DataOutputBuffer = require('../lib/data_output_buffer');
+var DataInputBuffer = require('../lib/data_input_buffer');
+var mock = require('./support/mock_client');
+
+var PROTOCOL = 'com.example.RowCountProtocol';
+
+// mock a table with regions: [, b), [b, d), [d, )
+function createMockClient() {
+  var regions = mock.createRegions('mock_table');
+  var server = {
+    execCoprocessor: function (regionName, exec, callback) {
+      client.execs.push(exec);
+      setImmediate(function () {
+        callback(null, new ExecResult(regionName, Long.fromNumber(exec.getRow().length + 10)));
+      });
+    }
+  };
+  var client = mock.createMockClient({
+    execs: [],
+    locateRegion: function (tableName, row, useCache, callback) {
+      for (var i = 0; i < regions.length; i++) {
+        if (regions[i].containsRow(row)) {
+          return setImmediate(callback.bind(null, null, new HRegionLocation(regions[i], '127.0.0.1', 60020)));
+        }
+      }
+    },
+    getRegionConnection: function (hostname, port, callback) {
+      setImmediate(callback.bind(null, null, server));
+    }
+  }, ['coprocessorExec', '_locateRegionsInRange', '_action', '_regionAction']);
+  return client;
+}
+
+describe('test/exec.test.js', function () {
+
+  describe('new Exec()', function () {
+    it('should infer parameter classes', function () {
+      var exec = new Exec('row1', PROTOCOL, 'count',
+        [new Buffer('f'), Long.fromNumber(1), 1, true, 'str', new Scan()]);
+      exec.getRow().should.eql(new Buffer('row1'));
+      exec.getProtocolName().should.equal(PROTOCOL);
+      exec.parameterClasses.should.eql([
+        '[B', 'long', 'int', 'boolean', 'java.lang.String', 'org.apache.hadoop.hbase.client.Scan'
+      ]);
+    });
+
+    it('should use the parameter classes', function () {
+      var exec = new Exec('row1', PROTOCOL, 'count', [new Buffer('f'), {}], [null, 'com.example.Foo']);
+      exec.parameterClasses.should.eql(['[B', 'com.example.Foo']);
+    });
+
+    it('should throw error when parameter class unknown', function () {
+      (function () {
+        new Exec('row1', PROTOCOL, 'count', [1, {}]);
+      }).should.throw("Can't infer the Java class of parameter 1, please set it by parameterClasses");
+    });
+  });
+
+  describe('write()', function () {
+    it('should convert Exec to bytes', function () {
+      var exec = new Exec('row1', PROTOCOL, 'count', [new Buffer('f'), 2]);
+      var out = new DataOutputBuffer();
+      exec.write(out);
+
+      var expect = new DataOutputBuffer();
+      expect.writeUTF('count');
+      expect.writeInt(2);
+      HbaseObjectWritable.writeObject(expect, new Buffer('f'));
+      expect.writeUTF('[B');
+      HbaseObjectWritable.writeObject(expect, 2);
+      expect.writeUTF('int');
+      Bytes.writeByteArray(expect, new Buffer('row1'));
+      expect.writeUTF(PROTOCOL);
+      out.getData().should.eql(expect.getData());
+    });
+  });
+
+  describe('ExecResult', function () {
+    it('should read ExecResult sent with its class name', function () {
+      var out = new DataOutputBuffer();
+      HbaseObjectWritable.writeClassCode(out, 'Writable.class');
+      out.writeByte(0); // NOT_ENCODED
+      Text.writeString(out, 'org.apache.hadoop.hbase.client.coprocessor.ExecResult');
+      Bytes.writeByteArray(out, new Buffer('mock_table,,1'));
+      HbaseObjectWritable.writeObject(out, Long.fromNumber(100));
+
+      var result = HbaseObjectWritable.readObject(new DataInputBuffer(out.getData()));
+      result.should.be.instanceof(ExecResult);
+      result.getRegionName().should.eql(new Buffer('mock_table,,1'));
+      result.getValue().toNumber().should.equal(100);
+    });
+
+    it('should throw error when class not registered', function () {
+      var out = new DataOutputBuffer();
+      HbaseObjectWritable.writeClassCode(out, 'Writable.class');
+      out.writeByte(0);
+      Text.writeString(out, 'com.example.NotExists');
+      (function () {
+        HbaseObjectWritable.readObject(new DataInputBuffer(out.getData()));
+      }).should.throw("Can't find class com.example.NotExists");
+    });
+  });
+
+  describe('client.coprocessorExec()', function () {
+    it('should exec on all regions', function (done) {
+      var client = createMockClient();
+      client.coprocessorExec('mock_table', PROTOCOL, 'count', [new Buffer('f')], function (err, results) {
+        should.not.exist(err);
+        Object.keys(results).should.length(3);
+        client.execs.map(function (exec) {
+          return exec.getRow().toString();
+        }).sort().should.eql(['', 'b', 'd']);
+        var values = Object.keys(results).map(function (name) {
+          return results[name].toNumber();
+        }).sort();
+        values.should.eql([10, 11, 11]);
+        done();
+      });
+    });
+
+    it('should exec on the regions in [startRow, stopRow]', function (done) {
+      var client = createMockClient();
+      client.coprocessorExec('mock_table', PROTOCOL, 'count', [], {startRow: 'b1', stopRow: 'd'},
+      function (err, results) {
+        should.not.exist(err);
+        Object.keys(results).should.length(2);
+        client.execs.map(function (exec) {
+          return exec.getRow().toString();
+        }).sort().should.eql(['b', 'd']);
+        done();
+      });
+    });
+
+    it('should return error when parameter class unknown', function (done) {
+      var client = createMockClient();
+      client.coprocessorExec('mock_table', PROTOCOL, 'count', [{}], function (err) {
+        should.exist(err);
+        err.name.should.equal('IllegalArgumentException');
+        client.execs.should.length(0);
+        done();
+      });
+    });
+  });
+
+});
@@ -16,9 +16,31 @@
 var should = require('should');
 var filters = require('../').filters;
 var DataOutputBuffer = require('../lib/data_output_buffer');
+var DataInputBuffer = require('../lib/data_input_buffer');
+var Scan = require('../lib/scan');
+var Get = require('../lib/get');
+var HbaseObjectWritable = require('../lib/io/hbase_object_writable');
 var utils = require('./support/utils');
 var testJavaBytes = utils.createTestBytes('filters');
 
+function toBytes(filter) {
+  var out = new DataOutputBuffer();
+  filter.write(out);
+  return out.getData();
+}
+
+// DataOutput.writeUTF()
+function utf(s) {
+  var b = new Buffer(s);
+  return Buffer.concat([new Buffer([0, b.length]), b]);
+}
+
+// Text.writeString()
+function text(s) {
+  var b = new Buffer(s);
+  return Buffer.concat([new Buffer([b.length]), b]);
+}
+
 describe('test/filters.test.js', function () {
   describe('FilterList()', function () {
     describe('write()', function () {
@@ -48,6 +70,11 @@ describe('test/filters.test.js', function () {
 
         filter.toString().should.equal('ColumnPrefixFilter(prefix: abc)');
       });
+
+      it('should write the prefix length as vint', function () {
+        var filter = new filters.ColumnPrefixFilter(new Array(201).join('p'));
+        testJavaBytes('write', 'ColumnPrefixFilter_200', toBytes(filter));
+      });
     });
   });
   describe('ColumnRangeFilter()', function () {
@@ -60,8 +87,383 @@ describe('test/filters.test.js', function () {
         bytes.length.should.above(0);
         testJavaBytes('write', 'ColumnRangeFilter', bytes);
 
-        filter.toString().should.equal('ColumnRangeFilter(minColumn: a, minColumnInclusive: true, minColumn: b, minColumnInclusive: true)');
+        filter.toString().should.equal('ColumnRangeFilter(minColumn: a, minColumnInclusive: true, maxColumn: b, maxColumnInclusive: true)');
+      });
+
+      it('should write the column lengths as vint', function () {
+        var filter = new filters.ColumnRangeFilter(new Array(151).join('a'), true, new Array(301).join('b'), false);
+        testJavaBytes('write', 'ColumnRangeFilter_300', toBytes(filter));
+      });
+    });
+  });
+
+  // the comparator is written by `HbaseObjectWritable.writeObject(out, comparator, WritableByteArrayComparable.class)`:
+  // 0x36 WritableByteArrayComparable code, then the comparator class code
+  // or 0x00 NOT_ENCODED and the Java class name
+  describe('CompareFilter', function () {
+    describe('write()', function () {
+      it('should convert RowFilter with BinaryComparator to bytes', function () {
+        var filter = new filters.RowFilter(filters.CompareOp.EQUAL, new filters.BinaryComparator('row1'));
+        toBytes(filter).should.eql(Buffer.concat([
+          utf('EQUAL'), new Buffer([0x36, 0x2f]), text('row1')
+        ]));
+        filter.toString().should.equal('RowFilter (EQUAL, row1)');
+        filter.getClass().getName().should.equal('org.apache.hadoop.hbase.filter.RowFilter');
+      });
+
+      it('should compare by BinaryComparator with String or Buffer', function () {
+        var filter = new filters.ValueFilter('GREATER_OR_EQUAL', new Buffer('v'));
+        filter.getComparator().should.be.an.instanceof(filters.BinaryComparator);
+        toBytes(filter).should.eql(Buffer.concat([
+          utf('GREATER_OR_EQUAL'), new Buffer([0x36, 0x2f]), text('v')
+        ]));
+        filter.toString().should.equal('ValueFilter (GREATER_OR_EQUAL, v)');
+      });
+
+      it('should convert QualifierFilter with BitComparator to bytes', function () {
+        var filter = new filters.QualifierFilter(filters.CompareOp.NOT_EQUAL,
+          new filters.BitComparator(new Buffer([0x01, 0x80]), filters.BitComparator.BitwiseOp.XOR));
+        toBytes(filter).should.eql(Buffer.concat([
+          utf('NOT_EQUAL'), new Buffer([0x36, 0x30, 0x02, 0x01, 0x80]), utf('XOR')
+        ]));
+      });
+
+      it('should write comparators without class code by Java class name', function () {
+        var filter = new filters.FamilyFilter(filters.CompareOp.EQUAL, new filters.SubstringComparator('CF'));
+        toBytes(filter).should.eql(Buffer.concat([
+          utf('EQUAL'), new Buffer([0x36, 0x00]),
+          text('org.apache.hadoop.hbase.filter.SubstringComparator'), utf('cf')
+        ]));
+        filter.toString().should.equal('FamilyFilter (EQUAL, cf)');
+
+        filter = new filters.RowFilter(filters.CompareOp.LESS, new filters.BinaryPrefixComparator('ab'));
+        toBytes(filter).should.eql(Buffer.concat([
+          utf('LESS'), new Buffer([0x36, 0x00]),
+          text('org.apache.hadoop.hbase.filter.BinaryPrefixComparator'), text('ab')
+        ]));
+
+        filter = new filters.ValueFilter(filters.CompareOp.EQUAL, new filters.NullComparator());
+        toBytes(filter).should.eql(Buffer.concat([
+          utf('EQUAL'), new Buffer([0x36, 0x00]),
+          text('org.apache.hadoop.hbase.filter.NullComparator'), new Buffer([0x00])
+        ]));
+
+        filter = new filters.RowFilter(filters.CompareOp.EQUAL, new filters.RegexStringComparator('^row\\d+$',
+          filters.RegexStringComparator.Flags.CASE_INSENSITIVE));
+        toBytes(filter).should.eql(Buffer.concat([
+          utf('EQUAL'), new Buffer([0x36, 0x00]),
+          text('org.apache.hadoop.hbase.filter.RegexStringComparator'),
+          utf('^row\\d+$'), new Buffer([0, 0, 0, 0x02]), utf('UTF-8')
+        ]));
+      });
+
+      it('should use DOTALL flag for RegexStringComparator by default', function () {
+        var comparator = new filters.RegexStringComparator('.*').setCharset('GBK');
+        toBytes(comparator).should.eql(Buffer.concat([utf('.*'), new Buffer([0, 0, 0, 0x20]), utf('GBK')]));
+      });
+
+      it('should write the filter class name in Scan', function () {
+        var scan = new Scan();
+        scan.setFilter(new filters.FamilyFilter(filters.CompareOp.EQUAL, 'cf'));
+        var out = new DataOutputBuffer();
+        scan.write(out);
+        out.getData().toString().should.include('org.apache.hadoop.hbase.filter.FamilyFilter' + utf('EQUAL'));
+      });
+
+      it('should write filters with the instance class code in FilterList', function () {
+        var filterList = new filters.FilterList();
+        filterList.addFilter(new filters.RowFilter(filters.CompareOp.EQUAL, 'r'));
+        toBytes(filterList).should.eql(Buffer.concat([
+          new Buffer([0x00, 0, 0, 0, 0x01, 0x0e, 0x32]), utf('EQUAL'), new Buffer([0x36, 0x2f]), text('r')
+        ]));
+      });
+
+      it('should throw on unknown operator', function () {
+        (function () {
+          new filters.RowFilter('EQ', 'r');
+        }).should.throw('Unknown CompareOp: EQ');
+        (function () {
+          new filters.BitComparator('r', 'NOT');
+        }).should.throw('Unknown BitwiseOp: NOT');
+      });
+    });
+
+    describe('readFields()', function () {
+      it('should read the written filters and comparators', function () {
+        [
+          new filters.RowFilter(filters.CompareOp.LESS_OR_EQUAL, new filters.BinaryComparator('row1')),
+          new filters.ValueFilter(filters.CompareOp.NOT_EQUAL, new filters.BitComparator('a', 'OR')),
+          new filters.QualifierFilter(filters.CompareOp.EQUAL, new filters.RegexStringComparator('^q')),
+          new filters.FamilyFilter(filters.CompareOp.EQUAL, new filters.SubstringComparator('Cf')),
+          new filters.RowFilter(filters.CompareOp.GREATER, new filters.BinaryPrefixComparator('p')),
+          new filters.ValueFilter(filters.CompareOp.EQUAL, new filters.NullComparator()),
+        ].forEach(function (filter) {
+          var other = new filter.constructor();
+          other.readFields(new DataInputBuffer(toBytes(filter)));
+          other.should.eql(filter);
+          other.getComparator().should.be.an.instanceof(filter.getComparator().constructor);
+        });
+      });
+    });
+  });
+
+  // fixtures are written by the Writable format of HBase 0.94 SingleColumnValueFilter.write():
+  // family, qualifier, compareOp, comparator, foundColumn, matchedColumn, filterIfMissing, latestVersionOnly
+  describe('SingleColumnValueFilter', function () {
+    describe('write()', function () {
+      it('should convert SingleColumnValueFilter to bytes', function () {
+        var filter = new filters.SingleColumnValueFilter('cf1', 'status', filters.CompareOp.EQUAL, 'active');
+        filter.getFilterIfMissing().should.equal(false);
+        filter.getLatestVersionOnly().should.equal(true);
+        filter.getComparator().should.be.an.instanceof(filters.BinaryComparator);
+        testJavaBytes('write', 'SingleColumnValueFilter', toBytes(filter));
+
+        filter.toString().should.equal('SingleColumnValueFilter (cf1, status, EQUAL, active)');
+        filter.getClass().getName().should.equal('org.apache.hadoop.hbase.filter.SingleColumnValueFilter');
+      });
+
+      it('should convert SingleColumnValueExcludeFilter to bytes', function () {
+        var filter = new filters.SingleColumnValueExcludeFilter(new Buffer('cf1'), new Buffer('status'),
+          filters.CompareOp.NOT_EQUAL, new filters.SubstringComparator('Act'))
+          .setFilterIfMissing(true)
+          .setLatestVersionOnly(false);
+        filter.should.be.an.instanceof(filters.SingleColumnValueFilter);
+        testJavaBytes('write', 'SingleColumnValueExcludeFilter', toBytes(filter));
+
+        filter.toString().should.equal('SingleColumnValueExcludeFilter (cf1, status, NOT_EQUAL, act)');
+        filter.getClass().getName().should.equal('org.apache.hadoop.hbase.filter.SingleColumnValueExcludeFilter');
+      });
+
+      it('should convert FilterList with SingleColumnValueFilters to bytes', function () {
+        var filterList = new filters.FilterList({operator: filters.FilterList.Operator.MUST_PASS_ONE});
+        filterList.addFilter(new filters.SingleColumnValueFilter('cf1', 'status', filters.CompareOp.EQUAL, 'active'));
+        filterList.addFilter(new filters.SingleColumnValueExcludeFilter('cf1', 'status', filters.CompareOp.NOT_EQUAL,
+          new filters.SubstringComparator('act')).setFilterIfMissing(true).setLatestVersionOnly(false));
+        testJavaBytes('write', 'FilterList_SingleColumnValueFilter', toBytes(filterList));
+      });
+
+      it('should write the filter class name and bytes in Scan and Get', function () {
+        var filter = new filters.SingleColumnValueFilter('cf1', 'status', filters.CompareOp.EQUAL, 'active');
+        var expect = Buffer.concat([
+          text('org.apache.hadoop.hbase.filter.SingleColumnValueFilter'), toBytes(filter)
+        ]).toString();
+
+        var scan = new Scan();
+        scan.setFilter(filter);
+        toBytes(scan).toString().should.include(expect);
+
+        var get = new Get('row1');
+        get.filter = filter;
+        toBytes(get).toString().should.include(expect);
+      });
+    });
+
+    describe('readFields()', function () {
+      it('should read the written filter by HbaseObjectWritable', function () {
+        var filter = new filters.SingleColumnValueExcludeFilter('cf1', 'status', filters.CompareOp.EQUAL,
+          new filters.RegexStringComparator('^act')).setFilterIfMissing(true);
+        var out = new DataOutputBuffer();
+        HbaseObjectWritable.writeObject(out, filter);
+
+        var other = HbaseObjectWritable.readObject(new DataInputBuffer(out.getData()));
+        other.should.be.an.instanceof(filters.SingleColumnValueExcludeFilter);
+        other.should.eql(filter);
+        other.getFilterIfMissing().should.equal(true);
+        other.getLatestVersionOnly().should.equal(true);
+        other.getComparator().should.be.an.instanceof(filters.RegexStringComparator);
       });
     });
   });
+
+  describe('PrefixFilter(), PageFilter(), InclusiveStopFilter()', function () {
+    it('should convert to bytes', function () {
+      var filter = new filters.PrefixFilter('user-');
+      testJavaBytes('write', 'PrefixFilter', toBytes(filter));
+      filter.toString().should.equal('PrefixFilter user-');
+
+      filter = new filters.PageFilter(10);
+      testJavaBytes('write', 'PageFilter', toBytes(filter));
+      filter.toString().should.equal('PageFilter 10');
+
+      filter = new filters.InclusiveStopFilter(new Buffer('row9'));
+      testJavaBytes('write', 'InclusiveStopFilter', toBytes(filter));
+      filter.toString().should.equal('InclusiveStopFilter row9');
+    });
+
+    it('should throw on negative page size', function () {
+      (function () {
+        new filters.PageFilter(-1);
+      }).should.throw('must be positive -1');
+    });
+
+    it('should read the written filters by HbaseObjectWritable', function () {
+      [
+        new filters.PrefixFilter('user-'),
+        new filters.PageFilter(100),
+        new filters.InclusiveStopFilter('row9'),
+      ].forEach(function (filter) {
+        var out = new DataOutputBuffer();
+        HbaseObjectWritable.writeObject(out, filter);
+        HbaseObjectWritable.readObject(new DataInputBuffer(out.getData())).should.eql(filter);
+      });
+    });
+  });
+
+  // wrapper filters write the Java class name of the wrapped filter by DataOutput.writeUTF()
+  describe('WhileMatchFilter(), SkipFilter()', function () {
+    it('should convert to bytes', function () {
+      var filter = new filters.WhileMatchFilter(new filters.PrefixFilter('user-'));
+      testJavaBytes('write', 'WhileMatchFilter', toBytes(filter));
+      filter.toString().should.equal('WhileMatchFilter PrefixFilter user-');
+
+      filter = new filters.SkipFilter(new filters.ValueFilter(filters.CompareOp.NOT_EQUAL, new Buffer([0])));
+      testJavaBytes('write', 'SkipFilter', toBytes(filter));
+      filter.getFilter().should.be.an.instanceof(filters.ValueFilter);
+    });
+
+    it('should work inside FilterList', function () {
+      var filterList = new filters.FilterList();
+      filterList.addFilter(new filters.WhileMatchFilter(new filters.PrefixFilter('user-')));
+      filterList.addFilter(new filters.PageFilter(10));
+      toBytes(filterList).should.eql(Buffer.concat([
+        new Buffer([0, 0, 0, 0, 2, 0x0e, 0x28]), utf('org.apache.hadoop.hbase.filter.PrefixFilter'), text('user-'),
+        new Buffer([0x0e, 0x2a, 0, 0, 0, 0, 0, 0, 0, 10])
+      ]));
+    });
+
+    it('should read the wrapped filter by its class name', function () {
+      [
+        new filters.WhileMatchFilter(new filters.PrefixFilter('user-')),
+        new filters.SkipFilter(new filters.ValueFilter(filters.CompareOp.NOT_EQUAL, new Buffer([0]))),
+        new filters.WhileMatchFilter(new filters.FirstKeyOnlyFilter()),
+      ].forEach(function (filter) {
+        var out = new DataOutputBuffer();
+        HbaseObjectWritable.writeObject(out, filter);
+        HbaseObjectWritable.readObject(new DataInputBuffer(out.getData())).should.eql(filter);
+      });
+    });
+
+    it('should throw without a filter', function () {
+      (function () {
+        new filters.SkipFilter(null);
+      }).should.throw('SkipFilter requires a filter from filters, but got null');
+      (function () {
+        filters.forName('org.apache.hadoop.hbase.filter.FuzzyRowFilter');
+      }).should.throw("Can't find class org.apache.hadoop.hbase.filter.FuzzyRowFilter");
+    });
+  });
+
+  describe('column filters', function () {
+    var cases = [
+      // fixture, filter, toString()
+      ['ColumnPaginationFilter', new filters.ColumnPaginationFilter(10, 20), 'ColumnPaginationFilter (10, 20)'],
+      ['ColumnCountGetFilter', new filters.ColumnCountGetFilter(5), 'ColumnCountGetFilter 5'],
+      ['MultipleColumnPrefixFilter', new filters.MultipleColumnPrefixFilter(['b', new Buffer('ab')]),
+        'MultipleColumnPrefixFilter (2/2): [ab, b]'],
+      ['TimestampsFilter', new filters.TimestampsFilter([1389861633612, 1, 1]),
+        'TimestampsFilter (2/2): [1, 1389861633612]'],
+      ['DependentColumnFilter', new filters.DependentColumnFilter('cf', 'q'),
+        'DependentColumnFilter (cf, q, false, NO_OP, null)'],
+      ['DependentColumnFilter_ValueFilter',
+        new filters.DependentColumnFilter('cf', 'q', true, filters.CompareOp.EQUAL, 'v'),
+        'DependentColumnFilter (cf, q, true, EQUAL, v)'],
+      ['RandomRowFilter', new filters.RandomRowFilter(0.5), 'RandomRowFilter 0.5'],
+    ];
+
+    it('should convert to bytes', function () {
+      cases.forEach(function (item) {
+        testJavaBytes('write', item[0], toBytes(item[1]));
+        item[1].toString().should.equal(item[2]);
+      });
+    });
+
+    it('should write the filter class name and bytes in Scan and Get', function () {
+      cases.forEach(function (item) {
+        var filter = item[1];
+        var expect = Buffer.concat([text(filter.getClass().getName()), toBytes(filter)]).toString('hex');
+
+        var scan = new Scan();
+        scan.setFilter(filter);
+        toBytes(scan).toString('hex').should.include(expect);
+
+        var get = new Get('row1');
+        get.filter = filter;
+        toBytes(get).toString('hex').should.include(expect);
+      });
+    });
+
+    it('should read the written filters by HbaseObjectWritable', function () {
+      cases.forEach(function (item) {
+        var out = new DataOutputBuffer();
+        HbaseObjectWritable.writeObject(out, item[1]);
+        HbaseObjectWritable.readObject(new DataInputBuffer(out.getData())).should.eql(item[1]);
+      });
+    });
+
+    it('should throw on illegal arguments', function () {
+      (function () {
+        new filters.MultipleColumnPrefixFilter(['a', new Buffer('a')]);
+      }).should.throw('prefixes must be distinct');
+      (function () {
+        new filters.TimestampsFilter([1, -1]);
+      }).should.throw('must be positive -1');
+      (function () {
+        new filters.ColumnCountGetFilter(-1);
+      }).should.throw('limit be positive -1');
+    });
+  });
+
+  describe('FilterBase', function () {
+    var FilterBase = filters.FilterBase;
+
+    it('should be the base of every filter', function () {
+      var names = Object.keys(filters).filter(function (name) {
+        return typeof filters[name] === 'function' && filters[name].prototype instanceof FilterBase;
+      });
+      names.should.length(23);
+      names.forEach(function (name) {
+        var Filter = filters[name];
+        Filter.name.should.equal(name);
+        Filter.classname.should.equal('org.apache.hadoop.hbase.filter.' + name);
+        filters.forName(Filter.classname).should.equal(Filter);
+        // created for readFields()
+        var filter = new Filter();
+        filter.getClass().getName().should.equal(Filter.classname);
+        filter.readFields.should.be.a.Function;
+        filter.write.should.be.a.Function;
+        filter.toString.should.be.a.Function;
+      });
+    });
+
+    it('should write and read any filter in Scan and Get', function () {
+      [
+        new filters.FirstKeyOnlyFilter(),
+        new filters.KeyOnlyFilter(true),
+        new filters.ColumnPrefixFilter('his'),
+        new filters.ColumnRangeFilter('a', false, 'c', true),
+        new filters.WhileMatchFilter(new filters.KeyOnlyFilter(true)),
+        filters.parse("(PrefixFilter('a') OR SKIP ValueFilter(=, 'binary:0')) AND ColumnPaginationFilter(1, 2)"),
+      ].forEach(function (filter) {
+        var out = new DataOutputBuffer();
+        FilterBase.writeFilter(out, filter);
+        var data = out.getData();
+
+        var other = FilterBase.readFilter(new DataInputBuffer(data));
+        other.should.be.an.instanceof(filter.constructor);
+        other.should.eql(filter);
+        other.toString().should.equal(filter.toString());
+
+        toBytes(new Scan().setFilter(filter)).toString('hex').should.include(data.toString('hex'));
+        toBytes(new Get('r').setFilter(filter)).toString('hex').should.include(data.toString('hex'));
+      });
+    });
+
+    it('should throw on unknown filter class', function () {
+      var out = new DataOutputBuffer();
+      out.write(text('org.apache.hadoop.hbase.filter.FuzzyRowFilter'));
+      (function () {
+        FilterBase.readFilter(new DataInputBuffer(out.getData()));
+      }).should.throw("Can't find class org.apache.hadoop.hbase.filter.FuzzyRowFilter");
+    });
+  });
 });
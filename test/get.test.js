@@ -12,9 +12,13 @@
 
 var pedding = require('pedding');
 var utils = require('./support/utils');
+var mock = require('./support/mock_client');
 var should = require('should');
 var Get = require('../lib/get');
+var Result = require('../lib/result');
+var filters = require('../lib/filters');
 var DataOutputBuffer = require('../lib/data_output_buffer');
+var DataInputBuffer = require('../lib/data_input_buffer');
 
 describe('test/get.test.js', function () {
   
@@ -75,4 +79,93 @@ describe('test/get.test.js', function () {
 
   });
 
+  describe('setFilter()', function () {
+    it('should write and read the Get with filter', function () {
+      var filterList = new filters.FilterList({operator: filters.FilterList.Operator.MUST_PASS_ONE});
+      filterList.addFilter(new filters.ColumnPrefixFilter('his'));
+      filterList.addFilter(new filters.ColumnRangeFilter('a', true, 'c', false));
+      filterList.addFilter(new filters.FilterList());
+      var get = new Get('row1').setFilter(filterList);
+      get.getFilter().should.equal(filterList);
+      get.addColumn('f', 'history');
+      var out = new DataOutputBuffer();
+      get.write(out);
+
+      var other = new Get();
+      other.readFields(new DataInputBuffer(out.getData()));
+      other.hasFilter.should.equal(true);
+      other.getFilter().should.eql(filterList);
+      other.familyMap.f.should.eql([new Buffer('history')]);
+    });
+
+    it('should remove the filter', function () {
+      var get = new Get('row1').setFilter(new filters.KeyOnlyFilter()).setFilter(null);
+      should.not.exist(get.getFilter());
+      var out = new DataOutputBuffer();
+      get.write(out);
+      new Get().readFields(new DataInputBuffer(out.getData()));
+    });
+  });
+
+  describe('client.getRow() and client.mget() with filter option', function () {
+    var kv = {
+      getFamily: function () { return new Buffer('f'); },
+      getQualifier: function () { return new Buffer('history'); },
+      getValue: function () { return new Buffer('v'); },
+    };
+    var createResult = function () {
+      var result = new Result();
+      result.kvs = [kv];
+      return result;
+    };
+    var client = mock.createMockClient({
+      gets: [],
+      get: function (tableName, get, callback) {
+        client.gets.push(get);
+        setImmediate(callback.bind(null, null, createResult()));
+      },
+      processBatch: function (tableName, gets, useCache, retry, options, callback) {
+        client.gets = client.gets.concat(gets);
+        setImmediate(callback.bind(null, null, gets.map(createResult)));
+      },
+    }, ['getRow', 'mget']);
+
+    beforeEach(function () {
+      client.gets = [];
+    });
+
+    it('should set the filter on Get', function (done) {
+      var filter = new filters.ColumnPrefixFilter('his');
+      client.getRow('t', 'row1', ['f:history'], {filter: filter}, function (err, row) {
+        should.not.exist(err);
+        row.should.eql({'f:history': new Buffer('v')});
+        client.gets[0].getFilter().should.equal(filter);
+
+        client.getRow('t', 'row1', function (err) {
+          should.not.exist(err);
+          should.not.exist(client.gets[1].getFilter());
+          client.getRow('t', 'row1', null, {filter: filter}).then(function (row) {
+            should.exist(row);
+            client.gets[2].getFilter().should.equal(filter);
+            done();
+          }).catch(done);
+        });
+      });
+    });
+
+    it('should set the filter on every Get of mget', function (done) {
+      var filter = new filters.ColumnCountGetFilter(1);
+      client.mget('t', ['row1', 'row2'], null, {filter: filter, raw: true}, function (err, results) {
+        should.not.exist(err);
+        results.should.length(2);
+        results[0].should.be.an.instanceof(Result);
+        client.gets.should.length(2);
+        client.gets.forEach(function (get) {
+          get.getFilter().should.equal(filter);
+        });
+        done();
+      });
+    });
+  });
+
 });
@@ -0,0 +1,98 @@
+/**!
+ * node-hbase-client - test/hbase_object_writable.test.js
+ *
+ * Copyright(c) Alibaba Group Holding Limited.
+ * MIT Licensed
+ */
+
+"use strict";
+
+/**
+ * Module dependencies.
+ */
+
+var should = require('should');
+var HbaseObjectWritable = require('../lib/io/hbase_object_writable');
+var Invocation = require('../lib/ipc/invocation');
+var DataOutputBuffer = require('../lib/data_output_buffer');
+var DataInputBuffer = require('../lib/data_input_buffer');
+
+describe('test/hbase_object_writable.test.js', function () {
+
+  describe('writeObject()', function () {
+    it('should write null byte[] as Writable, NullInstance and byte[] class codes', function () {
+      var out = new DataOutputBuffer();
+      HbaseObjectWritable.writeObject(out, new HbaseObjectWritable.NullInstance('byte[].class'));
+
+      var expect = new DataOutputBuffer();
+      HbaseObjectWritable.writeClassCode(expect, 'Writable.class');
+      HbaseObjectWritable.writeClassCode(expect, 'NullInstance.class');
+      HbaseObjectWritable.writeClassCode(expect, 'byte[].class');
+      out.getData().should.eql(expect.getData());
+    });
+
+    it('should keep writing null Writable', function () {
+      var out = new DataOutputBuffer();
+      HbaseObjectWritable.writeObject(out, null, 'Writable.class');
+
+      var expect = new DataOutputBuffer();
+      HbaseObjectWritable.writeClassCode(expect, 'Writable.class');
+      HbaseObjectWritable.writeClassCode(expect, 'NullInstance.class');
+      HbaseObjectWritable.writeClassCode(expect, 'Writable.class');
+      out.getData().should.eql(expect.getData());
+    });
+
+    it('should write null with its declared class', function () {
+      var out = new DataOutputBuffer();
+      HbaseObjectWritable.writeObject(out, null, 'WritableByteArrayComparable.class');
+
+      var expect = new DataOutputBuffer();
+      HbaseObjectWritable.writeClassCode(expect, 'Writable.class');
+      HbaseObjectWritable.writeClassCode(expect, 'NullInstance.class');
+      HbaseObjectWritable.writeClassCode(expect, 'WritableByteArrayComparable.class');
+      out.getData().should.eql(expect.getData());
+    });
+
+    it('should read null and skip its declared class', function () {
+      var out = new DataOutputBuffer();
+      HbaseObjectWritable.writeObject(out, null, 'WritableByteArrayComparable.class');
+      HbaseObjectWritable.writeObject(out, new Buffer('next'));
+
+      var io = new DataInputBuffer(out.getData());
+      should.not.exist(HbaseObjectWritable.readObject(io));
+      HbaseObjectWritable.readObject(io).should.eql(new Buffer('next'));
+    });
+
+    it('should write null parameter of an Invocation', function () {
+      var nullValue = new HbaseObjectWritable.NullInstance('byte[].class');
+      var invocation = new Invocation('checkAndDelete', [new Buffer('r'), nullValue]);
+      var out = new DataOutputBuffer();
+      invocation.write(out);
+
+      var data = out.getData();
+
+      var expect = new DataOutputBuffer();
+      HbaseObjectWritable.writeObject(expect, new Buffer('r'));
+      HbaseObjectWritable.writeClassCode(expect, 'Writable.class');
+      HbaseObjectWritable.writeClassCode(expect, 'NullInstance.class');
+      HbaseObjectWritable.writeClassCode(expect, 'byte[].class');
+      var params = expect.getData();
+      data.slice(data.length - params.length).should.eql(params);
+    });
+
+    it('should write an array of Buffer as byte[][]', function () {
+      var out = new DataOutputBuffer();
+      HbaseObjectWritable.writeObject(out, [new Buffer('a'), new Buffer('bc')]);
+
+      var expect = new DataOutputBuffer();
+      HbaseObjectWritable.writeClassCode(expect, 'byte[][].class');
+      expect.writeInt(2);
+      HbaseObjectWritable.writeClassCode(expect, 'byte[].class');
+      expect.write(new Buffer([1, 0x61]));
+      HbaseObjectWritable.writeClassCode(expect, 'byte[].class');
+      expect.write(new Buffer([2, 0x62, 0x63]));
+      out.getData().should.eql(expect.getData());
+    });
+  });
+
+});
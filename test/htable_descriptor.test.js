@@ -0,0 +1,176 @@
+/**!
+ * node-hbase-client - test/htable_descriptor.test.js
+ *
+ * Copyright(c) Alibaba Group Holding Limited.
+ * MIT Licensed
+ */
+
+"use strict";
+
+/**
+ * Module dependencies.
+ */
+
+var should = require('should');
+var HTableDescriptor = require('../lib/htable_descriptor');
+var HColumnDescriptor = require('../lib/hcolumn_descriptor');
+var HbaseObjectWritable = require('../lib/io/hbase_object_writable');
+var DataOutputBuffer = require('../lib/data_output_buffer');
+var DataInputBuffer = require('../lib/data_input_buffer');
+
+function writeBytesWritable(out, s) {
+  var b = new Buffer(s);
+  out.writeInt(b.length);
+  out.write(b);
+}
+
+describe('test/htable_descriptor.test.js', function () {
+
+  describe('HColumnDescriptor', function () {
+    it('should have the default settings', function () {
+      var family = new HColumnDescriptor('cf');
+      family.getNameAsString().should.equal('cf');
+      family.getMaxVersions().should.equal(3);
+      family.getMinVersions().should.equal(0);
+      family.getTimeToLive().should.equal(2147483647);
+      family.getCompressionType().should.equal('NONE');
+      family.getBloomFilterType().should.equal('NONE');
+      family.getBlocksize().should.equal(65536);
+      family.isInMemory().should.equal(false);
+      family.isBlockCacheEnabled().should.equal(true);
+      family.getValue('VERSIONS').should.equal('3');
+      Object.keys(family.values).should.length(12);
+    });
+
+    it('should change settings by chained setters', function () {
+      var family = new HColumnDescriptor('cf')
+        .setMaxVersions(1)
+        .setTimeToLive(86400)
+        .setCompressionType('snappy')
+        .setInMemory(true);
+      family.getMaxVersions().should.equal(1);
+      family.getTimeToLive().should.equal(86400);
+      family.getCompressionType().should.equal('SNAPPY');
+      family.isInMemory().should.equal(true);
+      family.toString().should.include("NAME => 'cf'");
+      family.toString().should.include("VERSIONS => '1'");
+    });
+
+    it('should throw on illegal family name', function () {
+      (function () {
+        new HColumnDescriptor('');
+      }).should.throw('Family name can not be empty');
+      (function () {
+        new HColumnDescriptor('.cf');
+      }).should.throw('Family names cannot start with a period: .cf');
+      (function () {
+        new HColumnDescriptor('c:f');
+      }).should.throw('Illegal character <58>. Family names cannot contain control characters or colons: c:f');
+    });
+
+    it('should write version, name and values', function () {
+      var family = new HColumnDescriptor('cf');
+      family.values = {};
+      family.setMaxVersions(1).setInMemory(true);
+      var out = new DataOutputBuffer();
+      family.write(out);
+
+      var expect = new DataOutputBuffer();
+      expect.writeByte(11);
+      expect.write(new Buffer([2, 0x63, 0x66]));
+      expect.writeInt(2);
+      // in key order
+      writeBytesWritable(expect, 'IN_MEMORY');
+      writeBytesWritable(expect, 'true');
+      writeBytesWritable(expect, 'VERSIONS');
+      writeBytesWritable(expect, '1');
+      out.getData().should.eql(expect.getData());
+    });
+
+    it('should read the written descriptor', function () {
+      var family = new HColumnDescriptor('cf').setMaxVersions(5).setBloomFilterType('ROW');
+      var out = new DataOutputBuffer();
+      family.write(out);
+
+      var other = new HColumnDescriptor();
+      other.readFields(new DataInputBuffer(out.getData()));
+      other.getName().should.eql(new Buffer('cf'));
+      other.getMaxVersions().should.equal(5);
+      other.getBloomFilterType().should.equal('ROW');
+      other.values.should.eql(family.values);
+    });
+  });
+
+  describe('HTableDescriptor', function () {
+    it('should add, get and remove families', function () {
+      var desc = new HTableDescriptor('t1');
+      desc.getNameAsString().should.equal('t1');
+      desc.addFamily('f2').addFamily(new HColumnDescriptor('f1').setMaxVersions(1));
+      desc.hasFamily('f1').should.equal(true);
+      desc.hasFamily(new Buffer('f2')).should.equal(true);
+      desc.hasFamily('f3').should.equal(false);
+      desc.getFamily('f1').getMaxVersions().should.equal(1);
+      should.not.exist(desc.getFamily('f3'));
+      desc.getFamilies().map(function (family) {
+        return family.getNameAsString();
+      }).should.eql(['f1', 'f2']);
+      desc.removeFamily('f2').getNameAsString().should.equal('f2');
+      desc.getFamilies().should.length(1);
+    });
+
+    it('should throw on illegal table name', function () {
+      (function () {
+        new HTableDescriptor('');
+      }).should.throw('Name is null or empty');
+      (function () {
+        new HTableDescriptor('-t');
+      }).should.throw("Illegal first character <45> at 0. User-space table names can only start with " +
+        "'word characters': i.e. [a-zA-Z_0-9]: -t");
+      (function () {
+        new HTableDescriptor('t:1');
+      }).should.throw("Illegal character <:> at 1. User-space table names can only contain " +
+        "'word characters': i.e. [a-zA-Z_0-9-.]: t:1");
+      new HTableDescriptor('a_b-c.d1').getNameAsString().should.equal('a_b-c.d1');
+    });
+
+    it('should write version, name, flags, values and families', function () {
+      var desc = new HTableDescriptor('t1').setReadOnly(true);
+      var family = new HColumnDescriptor('f');
+      family.values = {};
+      desc.addFamily(family);
+      var out = new DataOutputBuffer();
+      desc.write(out);
+
+      var expect = new DataOutputBuffer();
+      expect.writeInt(5);
+      expect.write(new Buffer([2, 0x74, 0x31]));
+      expect.writeBoolean(false); // -ROOT-
+      expect.writeBoolean(false); // .META.
+      expect.writeInt(1);
+      writeBytesWritable(expect, 'READONLY');
+      writeBytesWritable(expect, 'true');
+      expect.writeInt(1);
+      expect.writeByte(11);
+      expect.write(new Buffer([1, 0x66]));
+      expect.writeInt(0);
+      out.getData().should.eql(expect.getData());
+    });
+
+    it('should read the written descriptor by HbaseObjectWritable', function () {
+      var desc = new HTableDescriptor('t1').setMaxFileSize(1024);
+      desc.addFamily('f1').addFamily('f2');
+      var out = new DataOutputBuffer();
+      HbaseObjectWritable.writeObject(out, desc);
+
+      var other = HbaseObjectWritable.readObject(new DataInputBuffer(out.getData()));
+      other.should.be.an.instanceof(HTableDescriptor);
+      other.getNameAsString().should.equal('t1');
+      other.getMaxFileSize().should.equal(1024);
+      other.isReadOnly().should.equal(false);
+      other.getFamilies().should.length(2);
+      other.getFamily('f2').getMaxVersions().should.equal(3);
+      other.toString().should.equal(desc.toString());
+    });
+  });
+
+});
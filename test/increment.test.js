@@ -0,0 +1,73 @@
+/**!
+ * node-hbase-client - test/increment.test.js
+ *
+ * Copyright(c) Alibaba Group Holding Limited.
+ * MIT Licensed
+ */
+
+"use strict";
+
+/**
+ * Module dependencies.
+ */
+
+var should = require('should');
+var Long = require('long');
+var Increment = require('../lib/increment');
+var DataOutputBuffer = require('../lib/data_output_buffer');
+var DataInputBuffer = require('../lib/data_input_buffer');
+
+describe('test/increment.test.js', function () {
+
+  describe('addColumn()', function () {
+    it('should override the same column amount', function () {
+      var inc = new Increment('row1');
+      inc.addColumn('f', 'pv', 1);
+      inc.addColumn('f', 'uv', 2);
+      inc.addColumn('f', 'pv', 10);
+      inc.addColumn('f2', 'pv', -1);
+      inc.numColumns().should.equal(3);
+      inc.familyMap.f[0].amount.toNumber().should.equal(10);
+      inc.familyMap.f2[0].amount.toNumber().should.equal(-1);
+    });
+  });
+
+  describe('write()', function () {
+    it('should convert Increment to bytes', function () {
+      var inc = new Increment('row1');
+      inc.addColumn('f', 'pv', 1);
+      inc.addColumn('f', 'uv', Long.fromString('9007199254740993'));
+      inc.setWriteToWAL(false);
+      var out = new DataOutputBuffer();
+      inc.write(out);
+      var bytes = out.getData();
+      // version(1) + row(1 + 4) + timeRange(8 + 8 + 1) + lockId(8) + families(4)
+      // + family(1 + 1) + hasColumns(1) + columns(4) + (qualifier(1 + 2) + amount(8)) * 2
+      // + writeToWAL(1)
+      bytes.length.should.equal(1 + 5 + 17 + 8 + 4 + 2 + 1 + 4 + 11 * 2 + 1);
+      bytes[0].should.equal(2);
+      bytes.slice(1, 6).should.eql(new Buffer('\u0004row1'));
+      bytes[bytes.length - 1].should.equal(0);
+
+      var io = new DataInputBuffer(bytes);
+      var inc2 = new Increment();
+      inc2.readFields(io);
+      inc2.row.should.eql(new Buffer('row1'));
+      inc2.lockId.toNumber().should.equal(-1);
+      inc2.writeToWAL.should.equal(false);
+      inc2.familyMap.should.have.keys('f');
+      inc2.familyMap.f.should.length(2);
+      inc2.familyMap.f[0].qualifier.should.eql(new Buffer('pv'));
+      inc2.familyMap.f[0].amount.toNumber().should.equal(1);
+      inc2.familyMap.f[1].qualifier.should.eql(new Buffer('uv'));
+      inc2.familyMap.f[1].amount.toString().should.equal('9007199254740993');
+    });
+
+    it('should throw error when no column', function () {
+      (function () {
+        new Increment('row1').write(new DataOutputBuffer());
+      }).should.throw('At least one column required');
+    });
+  });
+
+});
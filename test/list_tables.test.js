@@ -0,0 +1,317 @@
+/**!
+ * node-hbase-client - test/list_tables.test.js
+ *
+ * Copyright(c) Alibaba Group Holding Limited.
+ * MIT Licensed
+ */
+
+"use strict";
+
+/**
+ * Module dependencies.
+ */
+
+var should = require('should');
+var Long = require('long');
+var Client = require('../lib/client');
+var Result = require('../lib/result');
+var KeyValue = require('../lib/keyvalue');
+var HRegionInfo = require('../lib/hregion_info');
+var HRegionLocation = require('../lib/hregion_location');
+var HConstants = require('../lib/hconstants');
+var DataOutputBuffer = require('../lib/data_output_buffer');
+var Bytes = require('../lib/util/bytes');
+var mock = require('./support/mock_client');
+
+// HRegionInfo.write() of HBase 0.94
+function writeRegionInfo(regionInfo) {
+  var out = new DataOutputBuffer();
+  out.writeByte(HRegionInfo.VERSION);
+  Bytes.writeByteArray(out, regionInfo.endKey);
+  out.writeBoolean(regionInfo.offLine);
+  out.writeLong(Long.fromNumber(regionInfo.regionId));
+  Bytes.writeByteArray(out, regionInfo.regionName);
+  out.writeBoolean(!!regionInfo.split);
+  Bytes.writeByteArray(out, regionInfo.startKey);
+  Bytes.writeByteArray(out, regionInfo.tableName);
+  out.writeInt(0);
+  return out.getData();
+}
+
+// a .META. row, columns must be in order
+function metaRow(regionInfo, server, daughters) {
+  var row = regionInfo.regionName;
+  var kvs = [];
+  var add = function (qualifier, value) {
+    kvs.push(KeyValue.createKeyValue(row, HConstants.CATALOG_FAMILY, new Buffer(qualifier),
+      HConstants.LATEST_TIMESTAMP, KeyValue.Type.Put, value));
+  };
+  add('regioninfo', writeRegionInfo(regionInfo));
+  if (server) {
+    add('server', new Buffer(server));
+    add('serverstartcode', Bytes.toBytes(Long.fromNumber(1389861633612)));
+  }
+  if (daughters) {
+    add('splitA', writeRegionInfo(daughters[0]));
+    add('splitB', writeRegionInfo(daughters[1]));
+  }
+  var result = new Result();
+  result.kvs = kvs;
+  return result;
+}
+
+function createMockClient(rows) {
+  var client = mock.createMockClient({
+    scans: [],
+    closed: 0,
+    getScanner: function (tableName, scan, callback) {
+      client.scans.push([tableName, scan]);
+      var index = 0;
+      while (index < rows.length && Bytes.compareTo(rows[index].getRow(), scan.startRow) < 0) {
+        index++;
+      }
+      var scanner = {
+        next: function (numberOfRows, callback) {
+          var results = rows.slice(index, index + 2);
+          index += results.length;
+          setImmediate(callback.bind(null, null, results));
+        },
+        close: function (callback) {
+          client.closed++;
+          setImmediate(callback);
+        }
+      };
+      setImmediate(callback.bind(null, null, scanner));
+    }
+  }, ['listTables', 'getTableRegionsInfo', 'getTableDescriptor', '_scanMeta', 'getRegionLocations', 'getStartEndKeys',
+    'getTableLocations', 'cacheLocation', 'getCachedLocation']);
+  return client;
+}
+
+describe('test/list_tables.test.js', function () {
+  var parent = mock.createRegion('t1', 'm', '', {split: true, offline: true});
+  var daughterA = mock.createRegion('t1', 'm', 'p');
+  var daughterB = mock.createRegion('t1', 'p', '');
+  var rows = [
+    metaRow(mock.createRegion('t1', '', 'm'), 'host1:60020'),
+    metaRow(parent, 'host1:60020', [daughterA, daughterB]),
+    metaRow(daughterA, 'host2:60020'),
+    metaRow(daughterB, 'host1:60020'),
+    metaRow(mock.createRegion('t2', '', ''), null),
+    metaRow(mock.createRegion('t3', '', 'b'), 'host3:60020'),
+    metaRow(mock.createRegion('t3', 'b', ''), 'host3:60020'),
+  ];
+
+  describe('metaRowToRegion()', function () {
+    it('should convert a .META. row to region', function () {
+      var region = Client.metaRowToRegion(rows[1]);
+      region.regionInfo.getTableNameAsString().should.equal('t1');
+      region.regionName.should.equal(parent.regionNameStr);
+      region.startKey.should.eql(new Buffer('m'));
+      region.endKey.should.eql(new Buffer(''));
+      region.server.should.equal('host1:60020');
+      region.hostname.should.equal('host1');
+      region.port.should.equal(60020);
+      region.startcode.toNumber().should.equal(1389861633612);
+      region.split.should.equal(true);
+      region.offline.should.equal(true);
+      region.online.should.equal(false);
+      region.splitA.getStartKey().should.eql(new Buffer('m'));
+      region.splitB.getStartKey().should.eql(new Buffer('p'));
+    });
+
+    it('should return null without regioninfo', function () {
+      var result = new Result();
+      result.kvs = [];
+      should.not.exist(Client.metaRowToRegion(result));
+    });
+  });
+
+  describe('listTables()', function () {
+    it('should group .META. rows by table', function (done) {
+      var client = createMockClient(rows);
+      client.listTables(function (err, tables) {
+        should.not.exist(err);
+        client.scans[0][0].should.equal(HConstants.META_TABLE_NAME);
+        client.scans[0][1].startRow.should.length(0);
+        client.closed.should.equal(1);
+        tables.map(function (table) {
+          return table.name;
+        }).should.eql(['t1', 't2', 't3']);
+
+        var t1 = tables[0];
+        t1.tableName.should.eql(new Buffer('t1'));
+        t1.regions.map(function (region) {
+          return region.startKey.toString() + '-' + region.server;
+        }).should.eql(['-host1:60020', 'm-host2:60020', 'p-host1:60020']);
+        t1.splitParents.should.length(1);
+        t1.splitParents[0].regionName.should.equal(parent.regionNameStr);
+        t1.online.should.equal(true);
+
+        // not assigned
+        tables[1].regions.should.length(1);
+        should.not.exist(tables[1].regions[0].server);
+        tables[1].regions[0].online.should.equal(false);
+        tables[1].online.should.equal(false);
+
+        tables[2].regions.should.length(2);
+        tables[2].online.should.equal(true);
+        done();
+      });
+    });
+
+    it('should return scanner error', function (done) {
+      var client = createMockClient(rows);
+      client.getScanner = function (tableName, scan, callback) {
+        callback(new Error('mock scanner error'));
+      };
+      client.listTables(function (err, tables) {
+        should.exist(err);
+        err.message.should.equal('mock scanner error');
+        should.not.exist(tables);
+        done();
+      });
+    });
+  });
+
+  describe('getTableRegionsInfo()', function () {
+    it('should scan .META. from the first region of the table', function (done) {
+      var client = createMockClient(rows);
+      client.getTableRegionsInfo('t2', function (err, table) {
+        should.not.exist(err);
+        client.scans[0][1].startRow.toString().should.equal('t2,,00000000000000');
+        client.closed.should.equal(1);
+        table.name.should.equal('t2');
+        table.regions.should.length(1);
+        table.splitParents.should.length(0);
+        table.online.should.equal(false);
+        done();
+      });
+    });
+
+    it('should be called by getTableDescriptor() too', function (done) {
+      var client = createMockClient(rows);
+      client.getTableDescriptor('t2', function (err, table) {
+        should.not.exist(err);
+        table.name.should.equal('t2');
+        table.regions.should.length(1);
+        client.getTableDescriptor('t20').then(function () {
+          done(new Error('should not resolve'));
+        }, function (err) {
+          err.name.should.equal('TableNotFoundException');
+          done();
+        });
+      });
+    });
+
+    it('should return TableNotFoundException', function (done) {
+      var client = createMockClient(rows);
+      client.getTableRegionsInfo('t20', function (err, table) {
+        should.exist(err);
+        err.name.should.equal('TableNotFoundException');
+        err.message.should.equal("Table 't20' was not found");
+        should.not.exist(table);
+        done();
+      });
+    });
+  });
+
+  describe('getRegionLocations()', function () {
+    it('should read all regions from .META. and cache the online regions', function (done) {
+      var client = createMockClient(rows);
+      client.getRegionLocations('t1', function (err, locations) {
+        should.not.exist(err);
+        client.scans.should.length(1);
+        locations.map(function (location) {
+          return location.regionInfo.getStartKey().toString() + '-' + location.getHostnamePort();
+        }).should.eql(['-host1:60020', 'm-host2:60020', 'p-host1:60020']);
+        client.getTableLocations(new Buffer('t1')).should.length(3);
+        client.getCachedLocation(new Buffer('t1'), new Buffer('n')).getHostname().should.equal('host2');
+
+        // always read .META. by default
+        client.getRegionLocations('t1', function (err, refreshed) {
+          should.not.exist(err);
+          client.scans.should.length(2);
+          refreshed.should.length(3);
+          client.getTableLocations(new Buffer('t1')).should.length(3);
+
+          client.getRegionLocations('t1', {refresh: true, useCache: true}, function (err, refreshed) {
+            should.not.exist(err);
+            client.scans.should.length(3);
+            refreshed.should.length(3);
+
+            // cache covers the whole table
+            client.getRegionLocations('t1', {refresh: false}, function (err, cached) {
+              should.not.exist(err);
+              client.scans.should.length(3);
+              cached.should.eql(locations);
+              client.getRegionLocations('t1', {useCache: true}, function (err, cached) {
+                should.not.exist(err);
+                client.scans.should.length(3);
+                cached.should.eql(locations);
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('should read .META. when the cache has gap', function (done) {
+      var client = createMockClient(rows);
+      var regionInfo = Client.metaRowToRegion(rows[5]).regionInfo;
+      client.cacheLocation(new Buffer('t3'), new HRegionLocation(regionInfo, 'host3', 60020));
+      client.getRegionLocations('t3', {refresh: false}, function (err, locations) {
+        should.not.exist(err);
+        client.scans.should.length(1);
+        locations.should.length(2);
+        locations[1].regionInfo.getStartKey().should.eql(new Buffer('b'));
+        done();
+      });
+    });
+
+    it('should return unassigned regions only with includeUnassigned', function (done) {
+      var client = createMockClient(rows);
+      client.getRegionLocations('t2', function (err, locations) {
+        should.not.exist(err);
+        locations.should.length(0);
+        client.getRegionLocations('t2', {includeUnassigned: true}, function (err, locations) {
+          should.not.exist(err);
+          locations.should.length(1);
+          should.not.exist(locations[0].getHostname());
+          client.getTableLocations(new Buffer('t2')).should.length(0);
+          done();
+        });
+      });
+    });
+
+    it('should return TableNotFoundException', function (done) {
+      createMockClient(rows).getRegionLocations('t20', function (err) {
+        should.exist(err);
+        err.name.should.equal('TableNotFoundException');
+        done();
+      });
+    });
+  });
+
+  describe('getStartEndKeys()', function () {
+    it('should return start keys and end keys in row order', function (done) {
+      createMockClient(rows).getStartEndKeys('t1', function (err, keys) {
+        should.not.exist(err);
+        keys.getFirst().should.eql([new Buffer(''), new Buffer('m'), new Buffer('p')]);
+        keys.getSecond().should.eql([new Buffer('m'), new Buffer('p'), new Buffer('')]);
+        done();
+      });
+    });
+
+    it('should include the unassigned regions', function (done) {
+      createMockClient(rows).getStartEndKeys('t2', function (err, keys) {
+        should.not.exist(err);
+        keys.getFirst().should.eql([new Buffer('')]);
+        keys.getSecond().should.eql([new Buffer('')]);
+        done();
+      });
+    });
+  });
+
+});
@@ -0,0 +1,139 @@
+/**!
+ * node-hbase-client - test/object_input_stream.test.js
+ *
+ * Copyright(c) Alibaba Group Holding Limited.
+ * MIT Licensed
+ */
+
+"use strict";
+
+/**
+ * Module dependencies.
+ */
+
+var should = require('should');
+var Long = require('long');
+var ObjectInputStream = require('../lib/io/object_input_stream');
+var HbaseObjectWritable = require('../lib/io/hbase_object_writable');
+var DataOutputBuffer = require('../lib/data_output_buffer');
+var DataInputBuffer = require('../lib/data_input_buffer');
+var Text = require('../lib/text');
+
+// Build the streams of ObjectOutputStream by the Java Object Serialization Stream Protocol.
+// handle of the first new object is 0x7e0000.
+function utf(s) {
+  var buf = new Buffer(s);
+  var len = new Buffer(2);
+  len.writeUInt16BE(buf.length, 0);
+  return Buffer.concat([len, buf]);
+}
+
+function int(n) {
+  var buf = new Buffer(4);
+  buf.writeInt32BE(n, 0);
+  return buf;
+}
+
+function long(n) {
+  var l = Long.fromNumber(n);
+  return Buffer.concat([int(l.high), int(l.low)]);
+}
+
+var MAGIC = new Buffer([0xac, 0xed, 0x00, 0x05]);
+
+// TC_CLASSDESC java.lang.Long, with super class java.lang.Number, 2 handles
+var LONG_CLASSDESC = Buffer.concat([
+  new Buffer([0x72]), utf('java.lang.Long'), new Buffer('3b8be490cc8f23df', 'hex'),
+  new Buffer([0x02, 0x00, 0x01, 0x4a]), utf('value'), new Buffer([0x78]),
+  new Buffer([0x72]), utf('java.lang.Number'), new Buffer('86ac951d0b94e08b', 'hex'),
+  new Buffer([0x02, 0x00, 0x00, 0x78, 0x70])
+]);
+
+function serializedLong(n) {
+  return Buffer.concat([MAGIC, new Buffer([0x73]), LONG_CLASSDESC, long(n)]);
+}
+
+// Pair<Long, Long>
+function serializedPair(first, second) {
+  return Buffer.concat([
+    MAGIC,
+    new Buffer([0x73, 0x72]), utf('org.apache.hadoop.hbase.util.Pair'), long(1), // handle 0
+    new Buffer([0x02, 0x00, 0x02, 0x4c]), utf('first'), new Buffer([0x74]), utf('Ljava/lang/Object;'), // handle 1
+    new Buffer([0x4c]), utf('second'), new Buffer([0x71]), int(0x7e0001),
+    new Buffer([0x78, 0x70]), // pair object handle 2
+    new Buffer([0x73]), LONG_CLASSDESC, long(first), // handle 3, 4, 5
+    new Buffer([0x73, 0x71]), int(0x7e0003), long(second) // handle 6
+  ]);
+}
+
+// Pair<List<Long>, Long>
+function serializedListPair(list, second) {
+  var items = list.map(function (n, i) {
+    if (i === 0) {
+      return Buffer.concat([new Buffer([0x73]), LONG_CLASSDESC, long(n)]); // handle 5, 6, 7
+    }
+    return Buffer.concat([new Buffer([0x73, 0x71]), int(0x7e0005), long(n)]);
+  });
+  return Buffer.concat([
+    MAGIC,
+    new Buffer([0x73, 0x72]), utf('org.apache.hadoop.hbase.util.Pair'), long(1), // handle 0
+    new Buffer([0x02, 0x00, 0x02, 0x4c]), utf('first'), new Buffer([0x74]), utf('Ljava/lang/Object;'), // handle 1
+    new Buffer([0x4c]), utf('second'), new Buffer([0x71]), int(0x7e0001),
+    new Buffer([0x78, 0x70]), // pair object handle 2
+    new Buffer([0x73, 0x72]), utf('java.util.ArrayList'), new Buffer('7881d21d99c7619d', 'hex'), // handle 3
+    new Buffer([0x03, 0x00, 0x01, 0x49]), utf('size'), new Buffer([0x78, 0x70]), // list object handle 4
+    int(list.length),
+    new Buffer([0x77, 0x04]), int(list.length)
+  ].concat(items).concat([
+    new Buffer([0x78]),
+    new Buffer([0x73, 0x71]), int(0x7e0005), long(second)
+  ]));
+}
+
+describe('test/object_input_stream.test.js', function () {
+  describe('readObject()', function () {
+    it('should read java.lang.Long', function () {
+      var value = ObjectInputStream.readObject(serializedLong(-9007199254740993));
+      value.should.be.instanceof(Long);
+      value.toString().should.equal('-9007199254740992');
+      ObjectInputStream.readObject(serializedLong(100)).toNumber().should.equal(100);
+    });
+
+    it('should read Pair<Long, Long> with references', function () {
+      var pair = ObjectInputStream.readObject(serializedPair(300, 4));
+      pair.first.toNumber().should.equal(300);
+      pair.second.toNumber().should.equal(4);
+    });
+
+    it('should read Pair<ArrayList<Long>, Long>', function () {
+      var pair = ObjectInputStream.readObject(serializedListPair([10, 50], 2));
+      pair.first.should.length(2);
+      pair.first[0].toNumber().should.equal(10);
+      pair.first[1].toNumber().should.equal(50);
+      pair.second.toNumber().should.equal(2);
+    });
+
+    it('should throw error with invalid stream header', function () {
+      (function () {
+        ObjectInputStream.readObject(new Buffer([0, 1, 2, 3, 4]));
+      }).should.throw('invalid stream header');
+    });
+  });
+
+  describe('HbaseObjectWritable.readObject()', function () {
+    it('should read Serializable', function () {
+      var bytes = serializedLong(123);
+      var out = new DataOutputBuffer();
+      HbaseObjectWritable.writeClassCode(out, 'Serializable.class');
+      out.writeByte(0); // NOT_ENCODED
+      Text.writeString(out, 'java.lang.Long');
+      out.writeInt(bytes.length);
+      out.write(bytes);
+
+      var obj = {};
+      var value = HbaseObjectWritable.readObject(new DataInputBuffer(out.getData()), obj);
+      value.toNumber().should.equal(123);
+      obj.declaredClass.should.equal('java.lang.Long');
+    });
+  });
+});
@@ -0,0 +1,142 @@
+/**!
+ * node-hbase-client - test/parse_filter.test.js
+ *
+ * Copyright(c) Alibaba Group Holding Limited.
+ * MIT Licensed
+ */
+
+"use strict";
+
+/**
+ * Module dependencies.
+ */
+
+var should = require('should');
+var filters = require('../').filters;
+var DataOutputBuffer = require('../lib/data_output_buffer');
+
+function toBytes(filter) {
+  var out = new DataOutputBuffer();
+  filter.write(out);
+  return out.getData();
+}
+
+function parseError(expression) {
+  try {
+    filters.parse(expression);
+  } catch (err) {
+    return err;
+  }
+  throw new Error('should throw on ' + expression);
+}
+
+describe('test/parse_filter.test.js', function () {
+
+  describe('parse()', function () {
+    it('should parse a filter to the same bytes as the created one', function () {
+      var cases = [
+        ["KeyOnlyFilter()", new filters.KeyOnlyFilter()],
+        ["FirstKeyOnlyFilter ( )", new filters.FirstKeyOnlyFilter()],
+        ["PrefixFilter('user_')", new filters.PrefixFilter('user_')],
+        ["ColumnPrefixFilter('his')", new filters.ColumnPrefixFilter('his')],
+        ["MultipleColumnPrefixFilter('b', 'a')", new filters.MultipleColumnPrefixFilter(['a', 'b'])],
+        ["ColumnCountGetFilter(4)", new filters.ColumnCountGetFilter(4)],
+        ["PageFilter(10)", new filters.PageFilter(10)],
+        ["ColumnPaginationFilter(10, 20)", new filters.ColumnPaginationFilter(10, 20)],
+        ["InclusiveStopFilter('row9')", new filters.InclusiveStopFilter('row9')],
+        ["TimestampsFilter(5, 1389861633612)", new filters.TimestampsFilter([5, 1389861633612])],
+        ["RowFilter(<=, 'binary:row1')",
+          new filters.RowFilter(filters.CompareOp.LESS_OR_EQUAL, new filters.BinaryComparator('row1'))],
+        ["FamilyFilter(>, 'binaryprefix:cf')",
+          new filters.FamilyFilter(filters.CompareOp.GREATER, new filters.BinaryPrefixComparator('cf'))],
+        ["QualifierFilter(=, 'regexstring:^his.*')",
+          new filters.QualifierFilter(filters.CompareOp.EQUAL, new filters.RegexStringComparator('^his.*'))],
+        ["ValueFilter(!=, 'substring:Error')",
+          new filters.ValueFilter(filters.CompareOp.NOT_EQUAL, new filters.SubstringComparator('error'))],
+        ["ColumnRangeFilter('a', true, 'c', FALSE)", new filters.ColumnRangeFilter('a', true, 'c', false)],
+        ["DependentColumnFilter('cf', 'ts')", new filters.DependentColumnFilter('cf', 'ts')],
+        ["DependentColumnFilter('cf', 'ts', true, >=, 'binary:1')",
+          new filters.DependentColumnFilter('cf', 'ts', true, filters.CompareOp.GREATER_OR_EQUAL, '1')],
+        ["SingleColumnValueFilter('f', 'status', =, 'binary:active')",
+          new filters.SingleColumnValueFilter('f', 'status', filters.CompareOp.EQUAL, 'active')],
+        ["SingleColumnValueExcludeFilter('f', 'status', <, 'binary:b', true, false)",
+          new filters.SingleColumnValueExcludeFilter('f', 'status', filters.CompareOp.LESS, 'b')
+            .setFilterIfMissing(true).setLatestVersionOnly(false)],
+      ];
+      cases.forEach(function (item) {
+        var filter = filters.parse(item[0]);
+        filter.should.be.an.instanceof(item[1].constructor);
+        toBytes(filter).should.eql(toBytes(item[1]));
+      });
+    });
+
+    it('should unescape doubled quotes in quoted string', function () {
+      filters.parse("PrefixFilter('it''s')").getPrefix().should.eql(new Buffer("it's"));
+      filters.parse("PrefixFilter('')").getPrefix().should.length(0);
+    });
+
+    it('should build FilterList trees, AND before OR', function () {
+      var filter = filters.parse("PrefixFilter('a') OR PrefixFilter('b') AND KeyOnlyFilter() OR PageFilter(1)");
+      filter.should.be.an.instanceof(filters.FilterList);
+      filter.operator.should.equal(filters.FilterList.Operator.MUST_PASS_ONE);
+      filter.filters.should.length(3);
+      filter.filters[0].should.be.an.instanceof(filters.PrefixFilter);
+      filter.filters[1].operator.should.equal(filters.FilterList.Operator.MUST_PASS_ALL);
+      filter.filters[1].filters.should.length(2);
+      filter.filters[2].should.be.an.instanceof(filters.PageFilter);
+
+      filter = filters.parse("(PrefixFilter('a') OR PrefixFilter('b')) AND KeyOnlyFilter() AND PageFilter(1)");
+      filter.operator.should.equal(filters.FilterList.Operator.MUST_PASS_ALL);
+      filter.toString().should.equal('FilterList AND (3/3): FilterList OR (2/2): PrefixFilter a,PrefixFilter b,' +
+        'KeyOnlyFilter(lenAsVal: false),PageFilter 1');
+    });
+
+    it('should wrap the following filter by SKIP and WHILE', function () {
+      var filter = filters.parse("SKIP ValueFilter(=, 'binary:0') AND WHILE (PrefixFilter('a'))");
+      filter.filters[0].should.be.an.instanceof(filters.SkipFilter);
+      filter.filters[0].getFilter().should.be.an.instanceof(filters.ValueFilter);
+      filter.filters[1].should.be.an.instanceof(filters.WhileMatchFilter);
+      filter.filters[1].getFilter().should.be.an.instanceof(filters.PrefixFilter);
+
+      filter = filters.parse("WHILE SKIP (PrefixFilter('a') OR PrefixFilter('b'))");
+      filter.getFilter().getFilter().should.be.an.instanceof(filters.FilterList);
+    });
+
+    it('should report syntax errors with their position', function () {
+      var cases = [
+        // expression, message, position
+        ["PrefixFilter('a') AND", 'Expected a filter name but got end of expression', 21],
+        ["PrefixFilter('a) ", 'Unterminated quoted string', 13],
+        ["PrefixFilter(", 'Expected an argument but got end of expression', 13],
+        ["PrefixFilter('a'", "Expected ',' or ')' but got end of expression", 16],
+        ["(PrefixFilter('a')", "Expected ')' but got end of expression", 18],
+        ["PrefixFilter('a') PageFilter(1)", 'Expected AND, OR or end of expression but got PageFilter', 18],
+        ["PageFilter(1) & PageFilter(2)", "Unexpected character '&'", 14],
+        ["FooFilter('a')", 'Filter Name FooFilter not supported', 0],
+        ["PrefixFilter('a', 'b')", 'PrefixFilter expects 1 arguments but got 2', 13],
+        ["DependentColumnFilter('f')", 'DependentColumnFilter expects 2, 3 or 5 arguments but got 1', 22],
+        ["KeyOnlyFilter(true)", 'KeyOnlyFilter expects 0 arguments but got 1', 14],
+        ["PageFilter('10')", "Expected a number but got '10'", 11],
+        ["RowFilter('=', 'binary:a')", "Expected a compare operator but got '='", 10],
+        ["RowFilter(=, binary)", "Expected an argument but got binary", 13],
+        ["RowFilter(=, 'a')", "Incorrect comparator type in 'a', expected binary, binaryprefix, regexstring or " +
+          'substring', 13],
+        ["RowFilter(<, 'substring:a')",
+          'A regexstring comparator and substring comparator can only be used with EQUAL and NOT_EQUAL', 13],
+      ];
+      cases.forEach(function (item) {
+        var err = parseError(item[0]);
+        err.name.should.equal('IllegalArgumentException');
+        err.message.should.equal(item[1] + ' at position ' + item[2]);
+        err.position.should.equal(item[2]);
+      });
+    });
+
+    it('should throw on empty filter string', function () {
+      var err = parseError(' ');
+      err.message.should.equal('Filter String is empty');
+      should.not.exist(err.position);
+    });
+  });
+
+});
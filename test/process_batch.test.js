@@ -0,0 +1,619 @@
+/**!
+ * node-hbase-client - test/process_batch.test.js
+ *
+ * Copyright(c) Alibaba Group Holding Limited.
+ * MIT Licensed
+ */
+
+"use strict";
+
+/**
+ * Module dependencies.
+ */
+
+var should = require('should');
+var Long = require('long');
+var Put = require('../lib/put');
+var Get = require('../lib/get');
+var Delete = require('../lib/delete');
+var Increment = require('../lib/increment');
+var RowLock = require('../lib/row_lock');
+var Action = require('../lib/action');
+var Result = require('../lib/result');
+var KeyValue = require('../lib/keyvalue');
+var filters = require('../lib/filters');
+var Pair = require('../lib/pair');
+var MultiResponse = require('../lib/multi_response');
+var HRegionLocation = require('../lib/hregion_location');
+var HConstants = require('../lib/hconstants');
+var Bytes = require('../lib/util/bytes');
+var errors = require('../lib/errors');
+var mock = require('./support/mock_client');
+
+// regions of every table: ['', 'm') and ['m', '')
+// `servers` is the region start keys served by each server, `errors` is the error of each row
+function createMockClient(servers, rowErrors) {
+  var tables = {};
+  var client = mock.createMockClient({
+    maxActionRetries: 3,
+    pause: 1,
+    // [server, rows] of each multi request
+    requests: [],
+    // result of Put and Delete, HBase returns empty Result
+    mutationResult: null,
+    // Get actions of all multi requests
+    gets: [],
+    // rows exist in every table
+    existingRows: [],
+    // multi requests running at the same time
+    running: 0,
+    maxRunning: 0,
+    located: [],
+    locateRegion: function (tableName, row, useCache, callback) {
+      var location = useCache && client.getCachedLocation(tableName, row);
+      if (location) {
+        return setImmediate(callback.bind(null, null, location));
+      }
+      client.located.push(row.toString());
+      if (!useCache) {
+        client.deleteCachedLocation(tableName, row);
+      }
+      var regions = tables[tableName] = tables[tableName] ||
+        [mock.createRegion(tableName.toString(), '', 'm'), mock.createRegion(tableName.toString(), 'm', '')];
+      var regionInfo = Bytes.compareTo(row, regions[1].startKey) < 0 ? regions[0] : regions[1];
+      for (var server in servers) {
+        // the first server of the region
+        if (!location && servers[server].indexOf(regionInfo.startKey.toString()) >= 0) {
+          location = new HRegionLocation(regionInfo, server, 60020);
+          client.cacheLocation(tableName, location);
+        }
+      }
+      setImmediate(callback.bind(null, null, location));
+    },
+    getRegionConnection: function (hostname, port, callback) {
+      if (!servers[hostname]) {
+        return setImmediate(callback.bind(null, new errors.ConnectionClosedException(hostname + ' closed')));
+      }
+      setImmediate(callback.bind(null, null, {
+        multi: function (multiAction, callback) {
+          var response = new MultiResponse();
+          var rows = [];
+          multiAction.getRegions().forEach(function (regionName) {
+            var item = multiAction.actions[regionName];
+            var serving = servers[hostname].indexOf(item.regionInfo.startKey.toString()) >= 0;
+            response.results[regionName] = item.list.map(function (action) {
+              var row = action.action.getRow().toString();
+              rows.push(row);
+              var result = action.action instanceof Get || action.action instanceof Increment ?
+                new Result() : client.mutationResult;
+              if (action.action instanceof Get) {
+                client.gets.push(action.action);
+                if (client.existingRows.indexOf(row) >= 0) {
+                  result.kvs = [KeyValue.createKeyValue(new Buffer(row), new Buffer('f'), new Buffer('q'),
+                    Date.now(), KeyValue.Type.Put, new Buffer(''))];
+                }
+              }
+              if (!serving) {
+                result = mock.remoteError('org.apache.hadoop.hbase.NotServingRegionException', regionName);
+              } else if (rowErrors && rowErrors[row]) {
+                result = rowErrors[row];
+              }
+              return new Pair(action.originalIndex, result);
+            });
+          });
+          client.requests.push([hostname, rows]);
+          client.running++;
+          client.maxRunning = Math.max(client.maxRunning, client.running);
+          setTimeout(function () {
+            client.running--;
+            callback(null, response);
+          }, 2);
+        }
+      }));
+    },
+  }, ['processBatch', '_processBatch', 'batch', 'multiTableBatch', 'mput', 'mget', 'mexists',
+    '_action', '_regionAction', 'deleteCachedLocation', 'getCachedLocation', 'getTableLocations', 'cacheLocation']);
+  return client;
+}
+
+function createPuts(rows) {
+  return rows.map(function (row) {
+    return new Put(row).add('f', 'q', 'v');
+  });
+}
+
+describe('test/process_batch.test.js', function () {
+
+  it('should retry only the actions of the moved region', function (done) {
+    var servers = {host1: ['', 'm']};
+    var client = createMockClient(servers);
+    var puts = createPuts(['a1', 'n1', 'a2', 'n2']);
+    client.processBatch('t1', puts, true, 0, function (err, results) {
+      should.not.exist(err);
+      // move region ['m', '') to host2
+      servers.host1 = [''];
+      servers.host2 = ['m'];
+      client.requests = [];
+      client.located = [];
+
+      client.processBatch('t1', puts, true, 0, function (err, results) {
+        should.not.exist(err);
+        results.should.eql([null, null, null, null]);
+        client.requests.should.eql([
+          ['host1', ['a1', 'a2', 'n1', 'n2']],
+          ['host2', ['n1', 'n2']],
+        ]);
+        // only the moved region is located again
+        client.located.should.eql(['n1']);
+        client.getTableLocations(new Buffer('t1')).map(function (location) {
+          return location.getHostname();
+        }).should.eql(['host1', 'host2']);
+        done();
+      });
+    });
+  });
+
+  it('should return per-index errors after the action retries exhausted', function (done) {
+    var error = mock.remoteError('org.apache.hadoop.hbase.regionserver.RegionTooBusyException', 'busy');
+    var client = createMockClient({host1: ['', 'm']}, {n1: error});
+    var gets = [new Get('a1'), null, new Get('n1'), new Get('n2')];
+    client.processBatch('t1', gets, true, 0, function (err, results) {
+      should.exist(err);
+      err.name.should.equal('RetriesExhaustedWithDetailsException');
+      err.message.should.equal('Failed 1 action: org.apache.hadoop.hbase.regionserver.RegionTooBusyException');
+      err.exceptions.should.eql([error]);
+      err.actions.should.eql([gets[2]]);
+      results.should.length(4);
+      results[0].should.be.an.instanceof(Result);
+      should.not.exist(results[1]);
+      results[2].should.equal(error);
+      results[3].should.be.an.instanceof(Result);
+      // 1 + maxActionRetries times
+      client.requests.filter(function (request) {
+        return request[1].indexOf('n1') >= 0;
+      }).should.length(4);
+      client.requests.filter(function (request) {
+        return request[1].indexOf('n2') >= 0;
+      }).should.length(1);
+      done();
+    });
+  });
+
+  it('should pause before retrying the failed actions', function (done) {
+    var error = mock.remoteError('org.apache.hadoop.hbase.regionserver.RegionTooBusyException', 'busy');
+    var client = createMockClient({host1: ['', 'm']}, {a1: error});
+    client.pause = 20;
+    client.maxActionRetries = 4;
+    var start = Date.now();
+    client.processBatch('t1', createPuts(['a1']), true, 0, function (err) {
+      should.exist(err);
+      client.requests.should.length(5);
+      // RETRY_BACKOFF[1..4]: 1, 1, 2, 2
+      (Date.now() - start).should.not.below(20 * 6);
+      done();
+    });
+  });
+
+  it('should return DoNotRetryIOException and its subclasses without retry', function (done) {
+    var error = mock.remoteError('org.apache.hadoop.hbase.regionserver.NoSuchColumnFamilyException', 'f2');
+    var error2 = mock.remoteError('org.apache.hadoop.hbase.DoNotRetryIOException', 'bad request');
+    var client = createMockClient({host1: ['', 'm']}, {a1: error, n1: error2});
+    client.processBatch('t1', createPuts(['a1', 'n1', 'n2']), true, 0, function (err, results) {
+      should.exist(err);
+      err.exceptions.should.eql([error, error2]);
+      results[0].should.equal(error);
+      results[1].should.equal(error2);
+      should.not.exist(results[2]);
+      client.requests.should.eql([
+        ['host1', ['a1', 'n1', 'n2']],
+      ]);
+      done();
+    });
+  });
+
+  it('should return connection errors of the region server without retry', function (done) {
+    var servers = {host1: ['', 'm'], host2: []};
+    var client = createMockClient(servers);
+    var puts = createPuts(['a1', 'n1']);
+    client.processBatch('t1', puts, true, 0, function (err) {
+      should.not.exist(err);
+      delete servers.host1;
+      client.processBatch('t1', puts, true, 0, function (err, results) {
+        should.exist(err);
+        err.exceptions.should.length(2);
+        results[0].name.should.equal('ConnectionClosedException');
+        results[1].message.should.equal('host1 closed');
+        done();
+      });
+    });
+  });
+
+  it('should return empty results without actions', function (done) {
+    createMockClient({}).processBatch('t1', [null], true, 0, function (err, results) {
+      should.not.exist(err);
+      results.should.eql([]);
+      done();
+    });
+  });
+
+  describe('mget() and mexists()', function () {
+    it('should return error of the rows refused by the region server without retry', function (done) {
+      var error = mock.remoteError('org.apache.hadoop.hbase.regionserver.NoSuchColumnFamilyException', 'f2');
+      var client = createMockClient({host1: ['', 'm']}, {n1: error});
+      client.mget('t1', ['a1', 'n1', 'n2'], ['f2:q'], {raw: true}, function (err, results) {
+        should.exist(err);
+        err.name.should.equal('RetriesExhaustedWithDetailsException');
+        err.exceptions.should.eql([error]);
+        err.indexes.should.eql([1]);
+        results.should.length(3);
+        results[0].should.be.an.instanceof(Result);
+        should.not.exist(results[1]);
+        results[2].should.be.an.instanceof(Result);
+        client.requests.should.length(1);
+        client.mexists('t1', ['a1', 'n1'], function (err, exists) {
+          err.exceptions.should.eql([error]);
+          exists.should.eql([false, null]);
+          done();
+        });
+      });
+    });
+
+    it('should reject the mget Promise with the other rows', function () {
+      var error = mock.remoteError('org.apache.hadoop.hbase.regionserver.NoSuchColumnFamilyException', 'f2');
+      var client = createMockClient({host1: ['', 'm']}, {n1: error});
+      return client.mget('t1', ['a1', 'n1'], null, {raw: true}).then(function () {
+        throw new Error('should not resolve');
+      }, function (err) {
+        err.name.should.equal('RetriesExhaustedWithDetailsException');
+        err.indexes.should.eql([1]);
+        err.results.should.length(2);
+        err.results[0].should.be.an.instanceof(Result);
+        should.not.exist(err.results[1]);
+      });
+    });
+
+    it('should return null of the rows not exist without error', function (done) {
+      var client = createMockClient({host1: ['', 'm']});
+      client.mget('t1', ['a1', 'n1'], null, function (err, results) {
+        should.not.exist(err);
+        results.should.eql([null, null]);
+        done();
+      });
+    });
+
+    it('should return error with the other rows when retries exhausted', function (done) {
+      var error = mock.remoteError('org.apache.hadoop.hbase.regionserver.RegionTooBusyException', 'busy');
+      var client = createMockClient({host1: ['', 'm']}, {n1: error});
+      client.maxActionRetries = 1;
+      client.mget('t1', ['a1', 'n1'], null, {raw: true}, function (err, results) {
+        should.exist(err);
+        err.name.should.equal('RetriesExhaustedWithDetailsException');
+        err.exceptions.should.eql([error]);
+        err.indexes.should.eql([1]);
+        results[0].should.be.an.instanceof(Result);
+        should.not.exist(results[1]);
+        client.mexists('t1', ['a1', 'n1'], function (err, exists) {
+          err.exceptions.should.eql([error]);
+          exists.should.eql([false, null]);
+          // 1 + maxActionRetries requests of each mget and mexists
+          client.requests.should.length(4);
+          done();
+        });
+      });
+    });
+
+    it('should mexists by Gets of the first key only grouped by region server', function (done) {
+      var client = createMockClient({host1: [''], host2: ['m']});
+      client.existingRows = ['a1', 'n2'];
+      var filter = new filters.ColumnPrefixFilter('q');
+      var get = new Get('n2');
+      get.setFilter(filter);
+      client.mexists('t1', ['a1', 'n1', 'a2', get], ['f:q'], function (err, exists) {
+        should.not.exist(err);
+        exists.should.eql([true, false, false, true]);
+        client.requests.should.eql([
+          ['host1', ['a1', 'a2']],
+          ['host2', ['n1', 'n2']],
+        ]);
+        client.gets.should.length(4);
+        client.gets.forEach(function (existsGet) {
+          existsGet.should.be.an.instanceof(Get);
+          var list = existsGet.getFilter();
+          list.should.be.an.instanceof(filters.FilterList);
+          list.filters.slice(-2).map(function (f) {
+            return f.constructor;
+          }).should.eql([filters.FirstKeyOnlyFilter, filters.KeyOnlyFilter]);
+        });
+        Object.keys(client.gets[0].familyMap).should.eql(['f']);
+        client.gets[3].getFilter().filters.should.length(3);
+        client.gets[3].getFilter().filters[0].should.equal(filter);
+        // the Get of the caller is not changed
+        get.getFilter().should.equal(filter);
+        done();
+      });
+    });
+
+    it('should locate the moved region again and retry mexists', function (done) {
+      var servers = {host1: ['', 'm']};
+      var client = createMockClient(servers);
+      client.existingRows = ['n1'];
+      client.mexists('t1', ['a1', 'n1'], function (err, exists) {
+        should.not.exist(err);
+        exists.should.eql([false, true]);
+        servers.host1 = [''];
+        servers.host2 = ['m'];
+        client.requests = [];
+        client.mexists('t1', ['a1', 'n1'], function (err, exists) {
+          should.not.exist(err);
+          exists.should.eql([false, true]);
+          client.requests.should.eql([
+            ['host1', ['a1', 'n1']],
+            ['host2', ['n1']],
+          ]);
+          done();
+        });
+      });
+    });
+
+    it('should split the mexists requests by maxBatchActions option', function (done) {
+      var client = createMockClient({host1: ['', 'm']});
+      client.mexists('t1', ['a1', 'a2', 'a3'], null, {maxBatchActions: 2}, function (err, exists) {
+        should.not.exist(err);
+        exists.should.eql([false, false, false]);
+        client.requests.should.length(2);
+        done();
+      });
+    });
+  });
+
+  describe('batch()', function () {
+    it('should return Result, null or Error of the mixed actions in order', function (done) {
+      var error = mock.remoteError('org.apache.hadoop.hbase.regionserver.NoSuchColumnFamilyException', 'f2');
+      var client = createMockClient({host1: ['', 'm']}, {n2: error});
+      client.mutationResult = new Result();
+      client.maxActionRetries = 0;
+      var actions = [
+        new Get('n1'),
+        new Put('a1').add('f', 'q', 'v'),
+        new Delete('n1'),
+        new Increment('a2').addColumn('f', 'count', 1),
+        new Put('n2').add('f2', 'q', 'v'),
+      ];
+      client.batch('t1', actions, function (err, results) {
+        should.not.exist(err);
+        results.should.length(5);
+        results[0].should.be.an.instanceof(Result);
+        should.not.exist(results[1]);
+        should.not.exist(results[2]);
+        results[3].should.be.an.instanceof(Result);
+        results[4].should.equal(error);
+        // one request per region server
+        client.requests.should.eql([
+          ['host1', ['n1', 'n1', 'n2', 'a1', 'a2']],
+        ]);
+        done();
+      });
+    });
+
+    it('should return error on invalid actions', function (done) {
+      var client = createMockClient({host1: ['', 'm']});
+      client.batch('t1', [new Get('a1'), 'a2'], function (err) {
+        should.exist(err);
+        err.name.should.equal('IllegalArgumentException');
+        err.message.should.equal('Invalid action at 1, must be a Get, Put, Delete, Increment, Append or RowMutations');
+        client.batch('t1', [new Increment('a1')], function (err) {
+          err.message.should.equal('Increment must have at least one column');
+          client.requests.should.length(0);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('maxBatchActions, maxBatchBytes and maxBatchConcurrency', function () {
+    it('should split the requests of a server by action count', function (done) {
+      var client = createMockClient({host1: ['', 'm']});
+      client.maxBatchActions = 2;
+      client.maxBatchConcurrency = 1;
+      var progress = [];
+      var puts = createPuts(['a1', 'n1', 'a2', 'n2', 'a3']);
+      client.processBatch('t1', puts, true, 0, {
+        progress: function (finished, total) {
+          progress.push([finished, total]);
+        }
+      }, function (err, results) {
+        should.not.exist(err);
+        results.should.eql([null, null, null, null, null]);
+        // in the order of input, one by one
+        client.requests.should.eql([
+          ['host1', ['a1', 'n1']],
+          ['host1', ['a2', 'n2']],
+          ['host1', ['a3']],
+        ]);
+        client.maxRunning.should.equal(1);
+        progress.should.eql([[2, 5], [4, 5], [5, 5]]);
+        done();
+      });
+    });
+
+    it('should send at most 2 requests to a server at the same time by default', function (done) {
+      var client = createMockClient({host1: ['', 'm']});
+      should.not.exist(client.maxBatchConcurrency);
+      HConstants.DEFAULT_HBASE_CLIENT_MAX_PERSERVER_TASKS.should.equal(2);
+      var puts = createPuts(['a1', 'n1', 'a2', 'n2', 'a3', 'n3', 'a4', 'n4']);
+      client.batch('t1', puts, {maxBatchActions: 2}, function (err) {
+        should.not.exist(err);
+        client.requests.should.length(4);
+        client.maxRunning.should.equal(2);
+        done();
+      });
+    });
+
+    it('should split the requests by estimated bytes and send them in parallel', function (done) {
+      var client = createMockClient({host1: ['', 'm'], host2: []});
+      var puts = createPuts(['a1', 'n1', 'a2', 'n2']);
+      var size = Action.estimateSize(puts[0]);
+      size.should.equal(2 + puts[0].familyMap.f[0].getLength());
+      client.batch('t1', puts, {maxBatchBytes: size * 2 - 1, maxBatchConcurrency: 3}, function (err, results) {
+        should.not.exist(err);
+        results.should.length(4);
+        client.requests.should.length(4);
+        client.maxRunning.should.equal(3);
+
+        client.requests = [];
+        client.maxRunning = 0;
+        client.mput('t1', puts, {maxBatchBytes: size * 2, maxBatchActions: 100}, function (err) {
+          should.not.exist(err);
+          client.requests.should.eql([
+            ['host1', ['a1', 'n1']],
+            ['host1', ['a2', 'n2']],
+          ]);
+          done();
+        });
+      });
+    });
+
+    it('should retry the failed actions of a chunk', function (done) {
+      var error = mock.remoteError('org.apache.hadoop.hbase.regionserver.RegionTooBusyException', 'busy');
+      var client = createMockClient({host1: ['', 'm']}, {a2: error});
+      client.maxActionRetries = 1;
+      var progress = [];
+      var options = {
+        maxBatchActions: 2,
+        progress: function (finished, total) {
+          progress.push([finished, total]);
+        }
+      };
+      client.processBatch('t1', createPuts(['a1', 'a2', 'a3']), true, 0, options, function (err, results) {
+        should.exist(err);
+        results[1].should.equal(error);
+        progress.should.eql([[1, 3], [2, 3], [3, 3]]);
+        client.requests.should.eql([
+          ['host1', ['a1', 'a2']],
+          ['host1', ['a3']],
+          ['host1', ['a2']],
+        ]);
+        done();
+      });
+    });
+  });
+
+  describe('multiTableBatch()', function () {
+    it('should send the actions of all tables on one server in one request', function (done) {
+      var servers = {host1: [''], host2: ['m']};
+      var client = createMockClient(servers);
+      client.mutationResult = new Result();
+      var items = [
+        {table: 't1', action: new Put('n1').add('f', 'q', 'v')},
+        {table: 'idx1', action: new Put('a1').add('f', 'q', 'v')},
+        {table: new Buffer('idx2'), action: new Put('b1').add('f', 'q', 'v')},
+        {table: 't1', action: new Get('a2')},
+      ];
+      client.multiTableBatch(items, function (err, results) {
+        should.not.exist(err);
+        results.should.length(4);
+        should.not.exist(results[0]);
+        should.not.exist(results[1]);
+        should.not.exist(results[2]);
+        results[3].should.be.an.instanceof(Result);
+        client.requests.should.eql([
+          ['host2', ['n1']],
+          ['host1', ['a1', 'b1', 'a2']],
+        ]);
+        // each action is located in its own table
+        client.getTableLocations(new Buffer('idx2')).should.length(1);
+        client.getTableLocations(new Buffer('t1')).should.length(2);
+        done();
+      });
+    });
+
+    it('should retry the failed actions in their own tables', function (done) {
+      var servers = {host1: ['', 'm']};
+      var client = createMockClient(servers);
+      var items = [
+        {table: 't1', action: new Put('n1').add('f', 'q', 'v')},
+        {table: 'idx1', action: new Put('n1').add('f', 'q', 'v')},
+      ];
+      client.multiTableBatch(items, function (err) {
+        should.not.exist(err);
+        servers.host1 = [''];
+        servers.host2 = ['m'];
+        client.requests = [];
+        client.located = [];
+        client.multiTableBatch(items, function (err, results) {
+          should.not.exist(err);
+          results.should.eql([null, null]);
+          client.requests.should.eql([
+            ['host1', ['n1', 'n1']],
+            ['host2', ['n1', 'n1']],
+          ]);
+          client.located.should.eql(['n1', 'n1']);
+          done();
+        });
+      });
+    });
+
+    it('should return error on invalid items', function (done) {
+      var client = createMockClient({host1: ['', 'm']});
+      client.multiTableBatch([{action: new Get('a1')}], function (err) {
+        should.exist(err);
+        err.message.should.equal('Missing table of the item at 0');
+        client.multiTableBatch([{table: 't1', action: new Get('a1')}, {table: 't1'}], function (err) {
+          err.message.should.equal('Invalid action at 1, must be a Get, Put, Delete, Increment, Append or RowMutations');
+          done();
+        });
+      });
+    });
+  });
+
+  describe('RowLock', function () {
+    it('should send the locked actions to the region which granted the lock without retry', function (done) {
+      var servers = {host1: ['', 'm'], host2: ['']};
+      var client = createMockClient(servers);
+      var lockLocation = new HRegionLocation(mock.createRegion('t1', '', 'm'), 'host2', 60020);
+      var rowLock = new RowLock(new Buffer('a1'), Long.fromNumber(100), lockLocation);
+      var actions = [
+        new Put('a1', null, rowLock).add('f', 'q', 'v'),
+        new Put('a2').add('f', 'q', 'v'),
+        new Get('n1'),
+      ];
+      client.batch('t1', actions, function (err, results) {
+        should.not.exist(err);
+        results.should.length(3);
+        client.requests.should.eql([
+          ['host2', ['a1']],
+          ['host1', ['a2', 'n1']],
+        ]);
+        client.located.should.eql(['a2', 'n1']);
+
+        // the lock is lost when the region moved
+        servers.host2 = [];
+        client.requests = [];
+        client.batch('t1', [actions[0]], function (err, results) {
+          should.not.exist(err);
+          results[0].name.should.equal('org.apache.hadoop.hbase.NotServingRegionException');
+          client.requests.should.eql([
+            ['host2', ['a1']],
+          ]);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('deleteCachedLocation()', function () {
+    it('should remove only the region of the row', function () {
+      var client = createMockClient({});
+      var tableName = new Buffer('t1');
+      client.cacheLocation(tableName, new HRegionLocation(mock.createRegion('t1', '', 'm'), 'host1', 60020));
+      client.cacheLocation(tableName, new HRegionLocation(mock.createRegion('t1', 'm', ''), 'host2', 60020));
+      client.deleteCachedLocation(tableName, new Buffer('n'));
+      client.getTableLocations(tableName).should.length(1);
+      client.getCachedLocation(tableName, new Buffer('a')).getHostname().should.equal('host1');
+      should.not.exist(client.getCachedLocation(tableName, new Buffer('n')));
+      client.deleteCachedLocation(tableName, new Buffer('n'));
+      client.getTableLocations(tableName).should.length(1);
+    });
+  });
+
+});
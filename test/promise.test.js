@@ -0,0 +1,144 @@
+/**!
+ * node-hbase-client - test/promise.test.js
+ *
+ * Copyright(c) Alibaba Group Holding Limited.
+ * MIT Licensed
+ */
+
+"use strict";
+
+/**
+ * Module dependencies.
+ */
+
+var should = require('should');
+var promise = require('../lib/util/promise');
+var HConstants = require('../lib/hconstants');
+var errors = require('../lib/errors');
+
+describe('test/promise.test.js', function () {
+  function Foo() {
+    this.closed = 0;
+    this.rows = [1, 2, 3, 4, 5];
+  }
+  Foo.prototype.echo = function (a, b, callback) {
+    if (typeof b === 'function') {
+      callback = b;
+      b = 'default';
+    }
+    var self = this;
+    setImmediate(function () {
+      if (a === 'error') {
+        return callback(new errors.TableNotFoundException('mock error'));
+      }
+      if (a === 'partial') {
+        return callback(new errors.RetriesExhaustedWithDetailsException([], []), [self.closed, null]);
+      }
+      callback(null, [self.closed, a, b], 'other value');
+    });
+  };
+  Foo.prototype.next = function (numberOfRows, callback) {
+    this.numberOfRows = numberOfRows;
+    var rows = this.rows.splice(0, numberOfRows);
+    setImmediate(callback.bind(null, this.nextError || null, rows));
+  };
+  Foo.prototype.close = function (callback) {
+    this.closed++;
+    setImmediate(callback);
+  };
+  promise.promisifyMethods(Foo.prototype, ['echo', 'next', 'close']);
+  promise.asyncIterable(Foo);
+
+  describe('promisify()', function () {
+    it('should still work with callback', function (done) {
+      new Foo().echo('a', 'b', function (err, value, other) {
+        should.not.exist(err);
+        value.should.eql([0, 'a', 'b']);
+        other.should.equal('other value');
+        done();
+      });
+    });
+
+    it('should return a Promise when callback missing', function () {
+      return new Foo().echo('a', 'b').then(function (value) {
+        value.should.eql([0, 'a', 'b']);
+      });
+    });
+
+    it('should ignore tail undefined arguments', function () {
+      return new Foo().echo('a', undefined).then(function (value) {
+        value.should.eql([0, 'a', 'default']);
+      });
+    });
+
+    it('should reject with the callback error', function () {
+      return new Foo().echo('error').then(function () {
+        throw new Error('should not resolve');
+      }, function (err) {
+        err.should.be.instanceof(errors.TableNotFoundException);
+        err.name.should.equal('TableNotFoundException');
+        should.not.exist(err.results);
+      });
+    });
+
+    it('should reject with the results the callback got with the error', function () {
+      return new Foo().echo('partial').then(function () {
+        throw new Error('should not resolve');
+      }, function (err) {
+        err.name.should.equal('RetriesExhaustedWithDetailsException');
+        err.results.should.eql([0, null]);
+      });
+    });
+  });
+
+  describe('asyncIterable()', function () {
+    it('should iterate all rows and close', function () {
+      var foo = new Foo();
+      foo.caching = 2;
+      var it = foo[Symbol.asyncIterator]();
+      var rows = [];
+      var next = function () {
+        return it.next().then(function (item) {
+          if (item.done) {
+            rows.should.eql([1, 2, 3, 4, 5]);
+            foo.numberOfRows.should.equal(2);
+            foo.closed.should.equal(1);
+            return;
+          }
+          rows.push(item.value);
+          return next();
+        });
+      };
+      return next();
+    });
+
+    it('should close on return()', function () {
+      var foo = new Foo();
+      var it = foo[Symbol.asyncIterator]();
+      return it.next().then(function (item) {
+        item.value.should.equal(1);
+        foo.numberOfRows.should.equal(HConstants.DEFAULT_HBASE_CLIENT_SCANNER_CACHING);
+        return it.return();
+      }).then(function (item) {
+        item.done.should.equal(true);
+        foo.closed.should.equal(1);
+        return it.next();
+      }).then(function (item) {
+        item.done.should.equal(true);
+        foo.closed.should.equal(1);
+      });
+    });
+
+    it('should close and reject on next() error', function () {
+      var foo = new Foo();
+      foo.nextError = new Error('mock next error');
+      var it = foo[Symbol.asyncIterator]();
+      return it.next().then(function () {
+        throw new Error('should not resolve');
+      }, function (err) {
+        err.message.should.equal('mock next error');
+        foo.closed.should.equal(1);
+      });
+    });
+  });
+});
@@ -0,0 +1,106 @@
+/**!
+ * node-hbase-client - test/row_lock.test.js
+ *
+ * Copyright(c) Alibaba Group Holding Limited.
+ * MIT Licensed
+ */
+
+"use strict";
+
+/**
+ * Module dependencies.
+ */
+
+var should = require('should');
+var Long = require('long');
+var RowLock = require('../lib/row_lock');
+var Put = require('../lib/put');
+var Get = require('../lib/get');
+var HRegionLocation = require('../lib/hregion_location');
+var mock = require('./support/mock_client');
+
+// mock a client which region of `mock_table` moves from server1 to server2 after locked
+function createMockClient() {
+  var region = mock.createRegion('mock_table', '', '', {regionId: 1});
+  var locations = [
+    new HRegionLocation(region, 'server1', 60020),
+    new HRegionLocation(region, 'server2', 60020),
+  ];
+  var calls = [];
+  var createServer = function (hostname) {
+    var server = {};
+    ['lockRow', 'unlockRow', 'put', 'get'].forEach(function (method) {
+      server[method] = function (regionName, obj, callback) {
+        calls.push([hostname, method, obj]);
+        setImmediate(function () {
+          callback(null, method === 'lockRow' ? Long.fromNumber(100) : null);
+        });
+      };
+    });
+    return server;
+  };
+  var servers = {
+    server1: createServer('server1'),
+    server2: createServer('server2'),
+  };
+
+  var client = mock.createMockClient({
+    calls: calls,
+    locateCount: 0,
+    locateRegion: function (tableName, row, useCache, callback) {
+      var location = locations[Math.min(client.locateCount++, 1)];
+      setImmediate(callback.bind(null, null, location));
+    },
+    getRegionConnection: function (hostname, port, callback) {
+      setImmediate(callback.bind(null, null, servers[hostname]));
+    }
+  }, ['lockRow', 'unlockRow', 'put', 'get', '_action', '_regionAction']);
+  return client;
+}
+
+describe('test/row_lock.test.js', function () {
+  it('should lock row and send operations to the region which granted the lock', function (done) {
+    var client = createMockClient();
+    client.lockRow('mock_table', 'row1', function (err, rowLock) {
+      should.not.exist(err);
+      rowLock.should.be.instanceof(RowLock);
+      rowLock.getRow().should.eql(new Buffer('row1'));
+      rowLock.getLockId().toNumber().should.equal(100);
+      rowLock.getRegionLocation().getHostname().should.equal('server1');
+
+      var put = new Put('row1', null, rowLock);
+      put.lockId.toNumber().should.equal(100);
+      put.add('f', 'q', 'v');
+      client.put('mock_table', put, function (err) {
+        should.not.exist(err);
+        client.get('mock_table', new Get('row1', rowLock), function (err) {
+          should.not.exist(err);
+          client.unlockRow('mock_table', rowLock, function (err) {
+            should.not.exist(err);
+            client.locateCount.should.equal(1);
+            client.calls.map(function (call) {
+              return call[0] + ':' + call[1];
+            }).should.eql([
+              'server1:lockRow', 'server1:put', 'server1:get', 'server1:unlockRow'
+            ]);
+            client.calls[3][2].getLockId().toNumber().should.equal(100);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('should locate region again for operations without lock', function (done) {
+    var client = createMockClient();
+    client.lockRow('mock_table', 'row1', function (err) {
+      should.not.exist(err);
+      client.get('mock_table', new Get('row1'), function (err) {
+        should.not.exist(err);
+        client.locateCount.should.equal(2);
+        client.calls[1][0].should.equal('server2');
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,74 @@
+/**!
+ * node-hbase-client - test/row_mutations.test.js
+ *
+ * Copyright(c) Alibaba Group Holding Limited.
+ * MIT Licensed
+ */
+
+"use strict";
+
+/**
+ * Module dependencies.
+ */
+
+var should = require('should');
+var RowMutations = require('../lib/row_mutations');
+var Put = require('../lib/put');
+var Delete = require('../lib/delete');
+var HbaseObjectWritable = require('../lib/io/hbase_object_writable');
+var DataOutputBuffer = require('../lib/data_output_buffer');
+var Bytes = require('../lib/util/bytes');
+
+describe('test/row_mutations.test.js', function () {
+
+  describe('add()', function () {
+    it('should add Put and Delete of the same row in order', function () {
+      var rm = new RowMutations('row1');
+      var put = new Put('row1');
+      put.add('f', 'q', 'v');
+      var del = new Delete(new Buffer('row1'));
+      del.deleteColumns('f', 'q2');
+      rm.add(put).add(del).should.equal(rm);
+      rm.getRow().should.eql(new Buffer('row1'));
+      var mutations = rm.getMutations();
+      mutations.should.length(2);
+      mutations[0].should.equal(put);
+      mutations[1].should.equal(del);
+    });
+
+    it('should throw error when row not match', function () {
+      var rm = new RowMutations('row1');
+      (function () {
+        rm.add(new Put('row2'));
+      }).should.throw("The row in the recently added Put/Delete row2 doesn't match the original one row1");
+      rm.getMutations().should.length(0);
+    });
+  });
+
+  describe('write()', function () {
+    it('should convert RowMutations to bytes', function () {
+      var put = new Put('row1');
+      put.add('f', 'q', 'v');
+      var del = new Delete('row1');
+      del.deleteColumns('f', 'q2');
+      var rm = new RowMutations('row1').add(put).add(del);
+
+      var out = new DataOutputBuffer();
+      rm.write(out);
+
+      var expect = new DataOutputBuffer();
+      expect.writeByte(0);
+      Bytes.writeByteArray(expect, new Buffer('row1'));
+      expect.writeInt(2);
+      // declared class and instance class, then the mutation
+      HbaseObjectWritable.writeClassCode(expect, 'Put.class');
+      HbaseObjectWritable.writeClassCode(expect, 'Put.class');
+      put.write(expect);
+      HbaseObjectWritable.writeClassCode(expect, 'Delete.class');
+      HbaseObjectWritable.writeClassCode(expect, 'Delete.class');
+      del.write(expect);
+      out.getData().should.eql(expect.getData());
+    });
+  });
+
+});
@@ -0,0 +1,127 @@
+/**!
+ * node-hbase-client - test/scanner_stream.test.js
+ *
+ * Copyright(c) Alibaba Group Holding Limited.
+ * MIT Licensed
+ */
+
+"use strict";
+
+/**
+ * Module dependencies.
+ */
+
+var should = require('should');
+var ScannerStream = require('../lib/scanner_stream');
+var Scan = require('../lib/scan');
+var Put = require('../lib/put');
+var Result = require('../lib/result');
+var mock = require('./support/mock_client');
+
+function createResult(row) {
+  var put = new Put(row);
+  put.add('cf1', 'history', row + ' history');
+  var kv = put.familyMap.cf1[0];
+  var buf = new Buffer(4 + kv.getLength());
+  buf.writeInt32BE(kv.getLength(), 0);
+  kv.getBuffer().copy(buf, 4, kv.getOffset(), kv.getOffset() + kv.getLength());
+  return new Result(buf);
+}
+
+function createMockClient(count, nextError) {
+  var rows = [];
+  for (var i = 0; i < count; i++) {
+    rows.push(createResult('row' + i));
+  }
+  var client = mock.createMockClient({
+    nextCalls: [],
+    closed: 0,
+    getScanner: function (tableName, scan, callback) {
+      var scanner = {
+        closed: false,
+        next: function (numberOfRows, callback) {
+          client.nextCalls.push(numberOfRows);
+          setImmediate(function () {
+            if (nextError) {
+              return callback(nextError);
+            }
+            callback(null, rows.splice(0, numberOfRows));
+          });
+        },
+        close: function (callback) {
+          scanner.closed = true;
+          client.closed++;
+          callback();
+        }
+      };
+      setImmediate(callback.bind(null, null, scanner));
+    }
+  });
+  return client;
+}
+
+describe('test/scanner_stream.test.js', function () {
+  it('should read all rows as row objects and close the scanner on end', function (done) {
+    var client = createMockClient(5);
+    var scan = new Scan();
+    scan.caching = 2;
+    var stream = new ScannerStream(client, 'mock_table', scan);
+    var rows = [];
+    stream.on('data', function (row) {
+      rows.push(row);
+    });
+    stream.on('end', function () {
+      rows.should.length(5);
+      rows[0].row.toString().should.equal('row0');
+      rows[4]['cf1:history'].toString().should.equal('row4 history');
+      client.nextCalls.forEach(function (n) {
+        n.should.equal(2);
+      });
+      client.closed.should.equal(1);
+      done();
+    });
+  });
+
+  it('should push Result with raw option', function (done) {
+    var client = createMockClient(3);
+    var stream = new ScannerStream(client, 'mock_table', new Scan(), {raw: true});
+    var rows = [];
+    stream.on('data', function (result) {
+      result.should.be.instanceof(Result);
+      rows.push(result.getRow().toString());
+    });
+    stream.on('end', function () {
+      rows.should.eql(['row0', 'row1', 'row2']);
+      done();
+    });
+  });
+
+  it('should fetch rows only when consumer reads', function (done) {
+    var client = createMockClient(100);
+    var scan = new Scan();
+    scan.caching = 10;
+    var stream = new ScannerStream(client, 'mock_table', scan);
+    stream.once('readable', function () {
+      setTimeout(function () {
+        // nobody read, only fill the buffer to highWaterMark
+        client.nextCalls.length.should.below(3);
+        stream.destroy();
+      }, 50);
+    });
+    stream.on('close', function () {
+      client.closed.should.equal(1);
+      done();
+    });
+  });
+
+  it('should close the scanner and emit error when next() error', function (done) {
+    var client = createMockClient(3, new Error('mock next error'));
+    var stream = new ScannerStream(client, 'mock_table', new Scan());
+    stream.on('error', function (err) {
+      err.message.should.equal('mock next error');
+      client.closed.should.equal(1);
+      done();
+    });
+    stream.resume();
+  });
+});
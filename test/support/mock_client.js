@@ -0,0 +1,87 @@
+/**!
+ * node-hbase-client - test/support/mock_client.js
+ *
+ * Copyright(c) Alibaba Group Holding Limited.
+ * MIT Licensed
+ */
+
+"use strict";
+
+/**
+ * Module dependencies.
+ */
+
+var Client = require('../../lib/client');
+var HRegionInfo = require('../../lib/hregion_info');
+
+/**
+ * Create a client without ZooKeeper and region servers, the tests mock what they need.
+ *
+ * @param {Object} [mocks], properties of the client, e.g.: `locateRegion()` and `getRegionConnection()`
+ * @param {Array} [methods], names of the `Client.prototype` methods to test
+ * @return {Object} client, with an empty region location cache and a silent `logger`
+ */
+exports.createMockClient = function (mocks, methods) {
+  var client = {
+    logger: {warn: function () {}},
+    cachedRegionLocations: {},
+    cachedServers: {},
+  };
+  mocks = mocks || {};
+  for (var k in mocks) {
+    client[k] = mocks[k];
+  }
+  (methods || []).forEach(function (method) {
+    client[method] = Client.prototype[method];
+  });
+  return client;
+};
+
+/**
+ * Create a region of `tableName` in [`startKey`, `endKey`).
+ *
+ * @param {String} tableName
+ * @param {String} startKey
+ * @param {String} endKey
+ * @param {Object} [options]
+ *  - {Number} regionId, default is `1389861633612`
+ *  - {Boolean} split, split parent
+ *  - {Boolean} offline
+ * @return {HRegionInfo}
+ */
+exports.createRegion = function (tableName, startKey, endKey, options) {
+  options = options || {};
+  var regionInfo = new HRegionInfo(options.regionId || 1389861633612, new Buffer(tableName),
+    new Buffer(startKey), new Buffer(endKey), options.split);
+  regionInfo.startKey = new Buffer(startKey);
+  regionInfo.endKey = new Buffer(endKey);
+  regionInfo.offLine = !!options.offline;
+  return regionInfo;
+};
+
+/**
+ * Regions of `tableName`: ['', 'b'), ['b', 'd') and ['d', '').
+ *
+ * @param {String} tableName
+ * @return {Array} HRegionInfo list
+ */
+exports.createRegions = function (tableName) {
+  return [
+    exports.createRegion(tableName, '', 'b', {regionId: 1}),
+    exports.createRegion(tableName, 'b', 'd', {regionId: 2}),
+    exports.createRegion(tableName, 'd', '', {regionId: 3}),
+  ];
+};
+
+/**
+ * Error of the region server, `name` is the Java class name.
+ *
+ * @param {String} name
+ * @param {String} message
+ * @return {Error}
+ */
+exports.remoteError = function (name, message) {
+  var err = new Error(message);
+  err.name = name;
+  return err;
+};